@@ -0,0 +1,186 @@
+// agentTimeline.js
+// Single chronological feed of everything on record for one agent:
+// weekly scores, warnings, actions, recommendations and at-risk flags
+
+const { COUNTED_STATUSES } = require('./warningLifecycle');
+const { dataFilterClause } = require('./dataFilters');
+const { isUnderperforming } = require('./warningEngine');
+
+// Order of events that fall on the same date
+const EVENT_ORDER = ['Weekly Score', 'At Risk', 'Recommendation', 'Warning', 'Action'];
+
+/**
+ * Append optional date range / metric conditions for one source
+ * dateColumn is compared as a date; metricColumn is skipped when null (source has no metric)
+ */
+function addFilters(query, params, filters, dateColumn, metricColumn) {
+    if (filters.from) {
+        params.push(filters.from);
+        query += ` AND ${dateColumn}::date >= $${params.length}`;
+    }
+    if (filters.to) {
+        params.push(filters.to);
+        query += ` AND ${dateColumn}::date <= $${params.length}`;
+    }
+    if (filters.metricType && metricColumn) {
+        params.push(filters.metricType);
+        query += ` AND ${metricColumn} IN ($${params.length}, 'Both')`;
+    }
+    return query;
+}
+
+/**
+ * One row per week (worst flag across tasks, average score)
+ */
+async function getWeeklyScores(pool, agentEmail, filters) {
+    const params = [agentEmail];
+    let query = `
+        SELECT
+            start_date,
+            MAX(week_range) as week_range,
+            MAX(month_name) as month_name,
+            MAX(year_num) as year_num,
+            STRING_AGG(DISTINCT client, ', ') as client,
+            STRING_AGG(DISTINCT task, ', ') as tasks,
+            ROUND(AVG(kpi_qa) * 100, 2) as score_qa,
+            ROUND(AVG(kpi_prod) * 100, 2) as score_prod,
+            CASE
+                WHEN BOOL_OR(flag_qa = 'Critical') THEN 'Critical'
+                WHEN BOOL_OR(flag_qa = 'Low') THEN 'Low'
+                ELSE MAX(flag_qa)
+            END as flag_qa,
+            CASE
+                WHEN BOOL_OR(flag_prod = 'Critical') THEN 'Critical'
+                WHEN BOOL_OR(flag_prod = 'Low') THEN 'Low'
+                ELSE MAX(flag_prod)
+            END as flag_prod
+        FROM consolidations.data_qperform_weekly
+        WHERE LOWER(agent_email) = LOWER($1)
+    `;
+    // Weeks overlapping the range, not only those starting in it
+    query += dataFilterClause({ from: filters.from, to: filters.to }, params);
+    query += ` GROUP BY start_date`;
+
+    const result = await pool.query(query, params);
+    return result.rows.map(row => {
+        // With a metric filter only that metric's score and flag are reported
+        if (filters.metricType === 'QA') {
+            delete row.score_prod;
+            delete row.flag_prod;
+        } else if (filters.metricType === 'Production') {
+            delete row.score_qa;
+            delete row.flag_qa;
+        }
+        return row;
+    });
+}
+
+async function getWarnings(pool, agentEmail, filters) {
+    const params = [agentEmail];
+    let query = `
+        SELECT * FROM consolidations.warnings
+        WHERE LOWER(agent_email) = LOWER($1)
+    `;
+    query = addFilters(query, params, filters, 'issue_date', 'metric_type');
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Actions have no metric, so the metric filter doesn't apply to them
+ */
+async function getActions(pool, agentEmail, filters) {
+    const params = [agentEmail];
+    let query = `
+        SELECT id, agent_email, action_type, description, taken_by, action_date, client, category
+        FROM consolidations.action_log
+        WHERE LOWER(agent_email) = LOWER($1)
+    `;
+    query = addFilters(query, params, filters, 'action_date', null);
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+async function getRecommendations(pool, agentEmail, filters) {
+    const params = [agentEmail];
+    let query = `
+        SELECT * FROM consolidations.recommendations
+        WHERE LOWER(agent_email) = LOWER($1)
+    `;
+    query = addFilters(query, params, filters, 'generated_date', 'metric_type');
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+async function getAtRiskFlags(pool, agentEmail, filters) {
+    const params = [agentEmail];
+    let query = `
+        SELECT * FROM consolidations.at_risk_agents
+        WHERE LOWER(agent_email) = LOWER($1)
+    `;
+    query = addFilters(query, params, filters, 'flagged_date', 'metric_type');
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Build an agent's timeline
+ * filters: from, to (inclusive dates, weeks that overlap them are included), metricType ('QA' or 'Production')
+ * Returns { agentEmail, summary, events } with events oldest first
+ */
+async function getAgentTimeline(pool, agentEmail, filters = {}) {
+    const [weeks, warnings, actions, recommendations, atRiskFlags] = await Promise.all([
+        getWeeklyScores(pool, agentEmail, filters),
+        getWarnings(pool, agentEmail, filters),
+        getActions(pool, agentEmail, filters),
+        getRecommendations(pool, agentEmail, filters),
+        getAtRiskFlags(pool, agentEmail, filters),
+    ]);
+
+    const events = [
+        ...weeks.map(row => ({ type: 'Weekly Score', date: row.start_date, metricType: filters.metricType || 'Both', data: row })),
+        ...warnings.map(row => ({ type: 'Warning', date: row.issue_date, metricType: row.metric_type, data: row })),
+        ...actions.map(row => ({ type: 'Action', date: row.action_date, metricType: null, data: row })),
+        ...recommendations.map(row => ({ type: 'Recommendation', date: row.generated_date, metricType: row.metric_type, data: row })),
+        ...atRiskFlags.map(row => ({ type: 'At Risk', date: row.flagged_date, metricType: row.metric_type, data: row })),
+    ];
+
+    events.sort((a, b) =>
+        new Date(a.date) - new Date(b.date) ||
+        EVENT_ORDER.indexOf(a.type) - EVENT_ORDER.indexOf(b.type)
+    );
+
+    // Counted the way warningEngine.getActiveWarnings counts them: a counted status and not past expiry
+    // (DATE columns come back as local midnight, so compare against the start of today)
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const isActive = w => COUNTED_STATUSES.includes(w.status) && (!w.expiration_date || w.expiration_date >= today);
+
+    const summary = {
+        weeks: weeks.length,
+        underperformingWeeks: weeks.filter(week => isUnderperforming(week, filters.metricType || null)).length,
+        warnings: warnings.length,
+        activeWarnings: warnings.filter(isActive).length,
+        warningsByType: warnings.reduce((counts, w) => {
+            counts[w.warning_type] = (counts[w.warning_type] || 0) + 1;
+            return counts;
+        }, {}),
+        actions: actions.length,
+        recommendations: recommendations.length,
+        unactionedRecommendations: recommendations.filter(r => !r.is_actioned).length,
+        atRiskFlags: atRiskFlags.length,
+        openAtRiskFlags: atRiskFlags.filter(r => !r.is_resolved).length,
+        firstEventDate: events.length > 0 ? events[0].date : null,
+        lastEventDate: events.length > 0 ? events[events.length - 1].date : null,
+    };
+
+    return { agentEmail, filters, summary, events };
+}
+
+module.exports = {
+    getAgentTimeline,
+};
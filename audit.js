@@ -0,0 +1,110 @@
+// audit.js
+// Append-only audit trail of every write to the disciplinary tables
+// Rows are written by triggers on each table (see migrations/); the API sets
+// the acting user for the transaction so the triggers can record who made the change
+
+const { withTransaction } = require('./db');
+
+// Entities (tables) that are audited
+const AUDITED_ENTITIES = [
+    'warnings',
+    'recommendations',
+    'action_log',
+    'leadership_reports',
+    'at_risk_agents',
+    'escalation_policy',
+    'escalation_rules',
+    'leader_hierarchy',
+    'app_users',
+    'webhook_subscriptions',
+];
+
+// Operations the triggers record
+const AUDIT_OPERATIONS = ['INSERT', 'UPDATE', 'DELETE'];
+
+const DEFAULT_AUDIT_LIMIT = 500;
+const MAX_AUDIT_LIMIT = 5000;
+
+/**
+ * Run fn in a transaction attributed to actor (req.user)
+ * Every audited write made through the client passed to fn records actor's email and role
+ */
+async function withActor(pool, actor, fn) {
+    return withTransaction(pool, async (client) => {
+        await client.query(
+            `SELECT set_config('app.actor_email', $1, true), set_config('app.actor_role', $2, true)`,
+            [actor.email, actor.role || '']
+        );
+        return fn(client);
+    });
+}
+
+/**
+ * Query the audit trail, newest first
+ */
+async function getAuditLog(pool, filters = {}) {
+    let query = `
+        SELECT * FROM consolidations.audit_log
+        WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (filters.entity) {
+        query += ` AND entity = $${paramCount}`;
+        params.push(filters.entity);
+        paramCount++;
+    }
+
+    if (filters.entityId) {
+        query += ` AND entity_id = $${paramCount}`;
+        params.push(String(filters.entityId));
+        paramCount++;
+    }
+
+    if (filters.operation) {
+        query += ` AND operation = $${paramCount}`;
+        params.push(filters.operation);
+        paramCount++;
+    }
+
+    if (filters.actorEmail) {
+        query += ` AND actor_email = $${paramCount}`;
+        params.push(filters.actorEmail);
+        paramCount++;
+    }
+
+    if (filters.agentEmail) {
+        query += ` AND agent_email = $${paramCount}`;
+        params.push(filters.agentEmail);
+        paramCount++;
+    }
+
+    if (filters.from) {
+        query += ` AND occurred_at >= $${paramCount}`;
+        params.push(filters.from);
+        paramCount++;
+    }
+
+    if (filters.to) {
+        // Inclusive of the whole "to" day
+        query += ` AND occurred_at < $${paramCount}::date + 1`;
+        params.push(filters.to);
+        paramCount++;
+    }
+
+    const limit = Math.min(parseInt(filters.limit) || DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+    query += ` ORDER BY occurred_at DESC, audit_id DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+module.exports = {
+    AUDITED_ENTITIES,
+    AUDIT_OPERATIONS,
+    MAX_AUDIT_LIMIT,
+    withActor,
+    getAuditLog,
+};
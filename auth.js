@@ -0,0 +1,258 @@
+// auth.js
+// Token-based authentication and role-based access control
+// Users live in consolidations.app_users; bearer tokens in consolidations.auth_tokens
+// (only a SHA-256 of each token is stored)
+
+const crypto = require('crypto');
+const hierarchy = require('./hierarchy');
+
+// Roles from least to most privileged
+const ROLES = ['Agent', 'Team Leader', 'Director', 'AVP', 'Admin'];
+
+// Roles that see every agent rather than only their own team
+const UNRESTRICTED_ROLES = ['AVP', 'Admin'];
+
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS || '12');
+
+/**
+ * Hash a password with scrypt: "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored scrypt hash
+ */
+function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public fields of a user row
+ */
+function toUser(row) {
+    return {
+        userId: row.user_id,
+        email: row.email,
+        name: row.display_name,
+        role: row.role,
+        isActive: row.is_active,
+    };
+}
+
+/**
+ * Create a user in the local user store
+ */
+async function createUser(pool, userData) {
+    if (!ROLES.includes(userData.role)) {
+        throw new Error(`Invalid role "${userData.role}". Expected one of: ${ROLES.join(', ')}`);
+    }
+
+    const query = `
+        INSERT INTO consolidations.app_users (email, display_name, role, password_hash)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+        userData.email.toLowerCase(),
+        userData.name || null,
+        userData.role,
+        hashPassword(userData.password),
+    ]);
+    return toUser(result.rows[0]);
+}
+
+/**
+ * Update a user's name, role, active flag and/or password
+ * Deactivating a user or changing their password revokes their tokens
+ */
+async function updateUser(pool, userId, changes) {
+    if (changes.role !== undefined && !ROLES.includes(changes.role)) {
+        throw new Error(`Invalid role "${changes.role}". Expected one of: ${ROLES.join(', ')}`);
+    }
+
+    const query = `
+        UPDATE consolidations.app_users
+        SET display_name = COALESCE($2, display_name),
+            role = COALESCE($3, role),
+            is_active = COALESCE($4, is_active),
+            password_hash = COALESCE($5, password_hash),
+            updated_at = NOW()
+        WHERE user_id = $1
+        RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+        userId,
+        changes.name === undefined ? null : changes.name,
+        changes.role === undefined ? null : changes.role,
+        changes.isActive === undefined ? null : changes.isActive,
+        changes.password ? hashPassword(changes.password) : null,
+    ]);
+
+    if (result.rows.length === 0) return null;
+
+    if (changes.isActive === false || changes.password) {
+        await pool.query(`
+            UPDATE consolidations.auth_tokens SET revoked_at = NOW()
+            WHERE user_id = $1 AND revoked_at IS NULL
+        `, [userId]);
+    }
+
+    return toUser(result.rows[0]);
+}
+
+/**
+ * List users in the local user store
+ */
+async function listUsers(pool) {
+    const result = await pool.query(`
+        SELECT * FROM consolidations.app_users
+        ORDER BY role, email
+    `);
+    return result.rows.map(toUser);
+}
+
+/**
+ * Exchange email + password for a bearer token
+ * Returns null when the credentials are wrong or the user is inactive
+ */
+async function login(pool, email, password) {
+    const result = await pool.query(`
+        SELECT * FROM consolidations.app_users
+        WHERE email = $1 AND is_active = true
+    `, [String(email).toLowerCase()]);
+
+    const row = result.rows[0];
+    if (!row || !verifyPassword(password, row.password_hash)) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenResult = await pool.query(`
+        INSERT INTO consolidations.auth_tokens (token_hash, user_id, expires_at)
+        VALUES ($1, $2, NOW() + make_interval(hours => $3))
+        RETURNING expires_at
+    `, [hashToken(token), row.user_id, TOKEN_TTL_HOURS]);
+
+    await pool.query(`
+        UPDATE consolidations.app_users SET last_login_at = NOW() WHERE user_id = $1
+    `, [row.user_id]);
+
+    return { token, expiresAt: tokenResult.rows[0].expires_at, user: toUser(row) };
+}
+
+/**
+ * Revoke a bearer token
+ */
+async function logout(pool, token) {
+    await pool.query(`
+        UPDATE consolidations.auth_tokens SET revoked_at = NOW()
+        WHERE token_hash = $1 AND revoked_at IS NULL
+    `, [hashToken(token)]);
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Middleware: require a valid bearer token and set req.user
+ */
+function authenticate(pool) {
+    return async (req, res, next) => {
+        try {
+            const token = getBearerToken(req);
+            if (!token) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            const result = await pool.query(`
+                SELECT u.* FROM consolidations.auth_tokens t
+                JOIN consolidations.app_users u ON u.user_id = t.user_id
+                WHERE t.token_hash = $1
+                    AND t.revoked_at IS NULL
+                    AND t.expires_at > NOW()
+                    AND u.is_active = true
+            `, [hashToken(token)]);
+
+            if (result.rows.length === 0) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+
+            req.user = toUser(result.rows[0]);
+            req.token = token;
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+/**
+ * Whether a role is at least as privileged as minimumRole
+ */
+function hasRole(user, minimumRole) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Middleware: require at least the given role
+ */
+function requireRole(minimumRole) {
+    return (req, res, next) => {
+        if (!req.user || !hasRole(req.user, minimumRole)) {
+            return res.status(403).json({ error: `Requires ${minimumRole} role or higher` });
+        }
+        next();
+    };
+}
+
+/**
+ * Emails a user may see data for
+ * Returns null for AVP/Admin (everyone); agents see themselves, leaders themselves + their team
+ * Emails are lowercased - compare with LOWER(agent_email) in SQL
+ */
+async function getVisibleEmails(pool, user) {
+    if (UNRESTRICTED_ROLES.includes(user.role)) return null;
+    if (user.role === 'Agent') return [user.email];
+
+    const team = await hierarchy.getTeamMembers(pool, user.email);
+    return [user.email, ...team.map(member => member.person_email)].map(email => email.toLowerCase());
+}
+
+/**
+ * Whether a user may see/act on a given agent's records
+ */
+async function canAccessAgent(pool, user, agentEmail) {
+    const visibleEmails = await getVisibleEmails(pool, user);
+    return visibleEmails === null || visibleEmails.includes(String(agentEmail).toLowerCase());
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    createUser,
+    updateUser,
+    listUsers,
+    login,
+    logout,
+    authenticate,
+    hasRole,
+    requireRole,
+    getVisibleEmails,
+    canAccessAgent,
+};
@@ -0,0 +1,40 @@
+// Create an API user from the command line (e.g. the first Admin)
+// Usage: node create_user.js <email> <role> <password> [display name]
+require('dotenv').config();
+const { Pool } = require('pg');
+const auth = require('./auth');
+
+const pool = new Pool({
+    user: process.env.DB_USER ? process.env.DB_USER.trim() : undefined,
+    host: process.env.DB_HOST ? process.env.DB_HOST.trim() : undefined,
+    database: process.env.DB_NAME ? process.env.DB_NAME.trim() : undefined,
+    password: process.env.DB_PASSWORD ? process.env.DB_PASSWORD.trim() : undefined,
+    port: parseInt(process.env.DB_PORT || '25060'),
+    ssl: { rejectUnauthorized: false }
+});
+
+async function createUser() {
+    const [email, role, password, ...nameParts] = process.argv.slice(2);
+
+    if (!email || !role || !password) {
+        console.error('Usage: node create_user.js <email> <role> <password> [display name]');
+        console.error(`Roles: ${auth.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    try {
+        const user = await auth.createUser(pool, {
+            email,
+            role,
+            password,
+            name: nameParts.join(' ') || null,
+        });
+        console.log(`Created user ${user.email} (${user.role}) with id ${user.userId}`);
+        process.exit(0);
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exit(1);
+    }
+}
+
+createUser();
@@ -0,0 +1,267 @@
+// dataExport.js
+// CSV / Excel export of list endpoints (?format=csv or ?format=xlsx)
+// Rows are streamed from Postgres with a cursor, so large months are never held in memory
+
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const QueryStream = require('pg-query-stream');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Rows fetched from the cursor per round trip
+const BATCH_SIZE = 500;
+
+// Fixed columns per export, so headers don't change when the table or query does
+// type: 'number' (numeric), 'date' (calendar date), 'timestamp'; anything else is text
+const RECOMMENDATION_COLUMNS = [
+    { key: 'recommendation_id', header: 'Recommendation ID', type: 'number' },
+    { key: 'agent_email', header: 'Agent Email' },
+    { key: 'agent_name', header: 'Agent Name' },
+    { key: 'case_type', header: 'Case' },
+    { key: 'recommendation_type', header: 'Recommendation' },
+    { key: 'metric_type', header: 'Metric' },
+    { key: 'priority', header: 'Priority' },
+    { key: 'recommendation_text', header: 'Details' },
+    { key: 'generated_date', header: 'Generated Date', type: 'date' },
+    { key: 'generated_for_week_start', header: 'Week Start', type: 'date' },
+    { key: 'generated_for_week_end', header: 'Week End', type: 'date' },
+    { key: 'client', header: 'Client' },
+    { key: 'category', header: 'Category' },
+    { key: 'leader_email', header: 'Leader Email' },
+    { key: 'leader_name', header: 'Leader Name' },
+    { key: 'director_email', header: 'Director Email' },
+    { key: 'is_actioned', header: 'Actioned' },
+    { key: 'actioned_date', header: 'Actioned Date', type: 'date' },
+    { key: 'actioned_by', header: 'Actioned By' },
+    { key: 'action_notes', header: 'Action Notes' },
+];
+
+// Per-metric columns of the summary endpoints
+const SUMMARY_METRIC_COLUMNS = [
+    { key: 'avg_score_qa', header: 'QA Average Score', type: 'number' },
+    { key: 'avg_score_prod', header: 'Production Average Score', type: 'number' },
+    { key: 'underperformers_qa', header: 'QA Underperformers', type: 'number' },
+    { key: 'underperformers_prod', header: 'Production Underperformers', type: 'number' },
+    { key: 'flagged_qa_only', header: 'Flagged QA Only', type: 'number' },
+    { key: 'flagged_prod_only', header: 'Flagged Production Only', type: 'number' },
+    { key: 'flagged_both', header: 'Flagged Both', type: 'number' },
+];
+
+const EXPORT_COLUMNS = {
+    performanceData: [
+        { key: 'agent_id', header: 'Agent ID' },
+        { key: 'agent_email', header: 'Agent Email' },
+        { key: 'agent_name', header: 'Agent Name' },
+        { key: 'client', header: 'Client' },
+        { key: 'category', header: 'Category' },
+        { key: 'task', header: 'Task' },
+        { key: 'month_name', header: 'Month' },
+        { key: 'year_num', header: 'Year', type: 'number' },
+        { key: 'week_range', header: 'Week' },
+        { key: 'start_date', header: 'Week Start', type: 'date' },
+        { key: 'kpi_qa', header: 'QA Score', type: 'number' },
+        { key: 'flag_qa', header: 'QA Flag' },
+        { key: 'kpi_prod', header: 'Production Score', type: 'number' },
+        { key: 'flag_prod', header: 'Production Flag' },
+    ],
+    monthlySummary: [
+        { key: 'client', header: 'Client' },
+        { key: 'category', header: 'Category' },
+        { key: 'total_aftes', header: 'Total AFTEs', type: 'number' },
+        { key: 'underperformers', header: 'Underperformers', type: 'number' },
+        { key: 'avg_score', header: 'Average Score', type: 'number' },
+        ...SUMMARY_METRIC_COLUMNS,
+    ],
+    clientSummary: [
+        { key: 'client', header: 'Client' },
+        { key: 'total_aftes', header: 'Total AFTEs', type: 'number' },
+        { key: 'underperformers', header: 'Underperformers', type: 'number' },
+        { key: 'weeks_with_issues', header: 'Weeks', type: 'number' },
+        { key: 'avg_score', header: 'Average Score', type: 'number' },
+        ...SUMMARY_METRIC_COLUMNS,
+    ],
+    actionLog: [
+        { key: 'id', header: 'Action ID', type: 'number' },
+        { key: 'agent_email', header: 'Agent Email' },
+        { key: 'action_type', header: 'Action Type' },
+        { key: 'description', header: 'Description' },
+        { key: 'taken_by', header: 'Taken By' },
+        { key: 'action_date', header: 'Action Date', type: 'timestamp' },
+        { key: 'client', header: 'Client' },
+        { key: 'category', header: 'Category' },
+    ],
+    recommendations: RECOMMENDATION_COLUMNS,
+    pendingRecommendations: [
+        ...RECOMMENDATION_COLUMNS,
+        { key: 'days_pending', header: 'Days Pending', type: 'number' },
+    ],
+};
+
+/**
+ * Middleware: reject unknown ?format values (json, the default, is always allowed)
+ */
+function validateFormat(req, res, next) {
+    const { format } = req.query;
+    if (format && format !== 'json' && !EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: json, ${EXPORT_FORMATS.join(', ')}` });
+    }
+    next();
+}
+
+/**
+ * Export format requested by ?format, or null for a normal JSON response
+ */
+function getExportFormat(req) {
+    return EXPORT_FORMATS.includes(req.query.format) ? req.query.format : null;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * pg returns DATE columns as local midnight - format from local parts so the day doesn't shift
+ */
+function formatDate(value) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Value of a column as CSV text
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+ */
+function toCsvValue(value, column) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (value instanceof Date) {
+        text = column.type === 'date' ? formatDate(value) : value.toISOString();
+    } else {
+        text = String(value);
+        if (column.type !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Value of a column as an Excel cell value
+ */
+function toXlsxValue(value, column) {
+    if (value === null || value === undefined) return null;
+    if (column.type === 'number') return Number(value);
+    if (value instanceof Date && column.type === 'date') {
+        // Excel dates have no time zone - keep the calendar day pg gave us
+        return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+    }
+    return value;
+}
+
+async function writeCsv(rows, res, columns) {
+    const toCsv = new Transform({
+        writableObjectMode: true,
+        construct(callback) {
+            this.push(columns.map(c => toCsvValue(c.header, c)).join(',') + '\r\n');
+            callback();
+        },
+        transform(row, encoding, callback) {
+            callback(null, columns.map(c => toCsvValue(row[c.key], c)).join(',') + '\r\n');
+        },
+    });
+
+    await pipeline(rows, toCsv, res);
+}
+
+async function writeXlsx(rows, res, columns, sheetName) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(c => ({
+        header: c.header,
+        key: c.key,
+        width: Math.max(12, c.header.length + 2),
+        style: c.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : undefined,
+    }));
+
+    for await (const row of rows) {
+        const values = {};
+        columns.forEach(c => {
+            values[c.key] = toXlsxValue(row[c.key], c);
+        });
+        sheet.addRow(values).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+/**
+ * Resolve once the first batch (or the end of an empty result) is ready, reject if the query fails
+ * or the stream is destroyed first (the client went away), which emits neither
+ * Nothing is written before this, so a bad query still gets a normal error response
+ */
+function firstBatch(rows) {
+    return new Promise((resolve, reject) => {
+        const onError = (err) => settle(() => reject(err));
+        const onClose = () => settle(() => reject(new Error('Export cancelled before the first batch')));
+        const onReadable = () => settle(resolve);
+        const settle = (done) => {
+            rows.removeListener('error', onError);
+            rows.removeListener('close', onClose);
+            rows.removeListener('readable', onReadable);
+            done();
+        };
+        rows.once('error', onError);
+        rows.once('close', onClose);
+        rows.once('readable', onReadable);
+    });
+}
+
+/**
+ * Stream a query to the response as CSV or xlsx
+ * options: format, name (file name and sheet name), columns, query, params
+ * Once the download has started an error can only abort it, so it is logged and the socket closed
+ */
+async function streamExport(pool, res, options) {
+    const client = await pool.connect();
+    let streamError;
+    let cancelled = false;
+    try {
+        const rows = client.query(new QueryStream(options.query, options.params || [], { batchSize: BATCH_SIZE }));
+        const cancel = () => {
+            cancelled = true;
+            rows.destroy();
+        };
+        res.on('close', cancel);
+        // The client may have gone while waiting for a connection
+        if (res.destroyed) cancel();
+        await firstBatch(rows);
+
+        const date = formatDate(new Date());
+        if (options.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${options.name}-${date}.csv"`);
+            await writeCsv(rows, res, options.columns);
+        } else {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${options.name}-${date}.xlsx"`);
+            await writeXlsx(rows, res, options.columns, options.name);
+        }
+    } catch (err) {
+        streamError = err;
+        if (!res.headersSent && !cancelled) throw err;
+        console.error(`❌ Export ${options.name} aborted:`, err.message);
+        res.destroy();
+    } finally {
+        // A connection whose cursor was interrupted is not reused
+        client.release(streamError);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    validateFormat,
+    getExportFormat,
+    streamExport,
+};
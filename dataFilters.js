@@ -0,0 +1,204 @@
+// dataFilters.js
+// Shared filters for consolidations.data_qperform_weekly
+// month, year, client, category, task and agentEmail take several values (?client=A&client=B)
+// and have an exclusion counterpart (?excludeClient=C); month/year match the data's own
+// month_name / year_num; from/to and isoWeek/isoYear work on start_date
+// A weekly row covers start_date .. start_date + 6 and matches a date range it overlaps,
+// so weeks that straddle a month boundary show up on both sides
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after start_date that a weekly row still covers
+const WEEK_SPAN_DAYS = 6;
+
+// Query parameter -> column for multi-value filters
+const LIST_FILTERS = {
+    month: 'month_name',
+    year: 'year_num',
+    client: 'client',
+    category: 'category',
+    task: 'task',
+    agentEmail: 'agent_email',
+};
+
+/**
+ * Query parameter that excludes values of a list filter (client -> excludeClient)
+ */
+function excludeKey(name) {
+    return `exclude${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function isValidDate(text) {
+    if (!DATE_PATTERN.test(text)) return false;
+    const date = new Date(`${text}T00:00:00Z`);
+    return !isNaN(date) && toDateString(date) === text;
+}
+
+/**
+ * Monday of ISO week 1 (the week containing 4 January), as a UTC date
+ */
+function isoWeekOneMonday(isoYear) {
+    const jan4 = new Date(Date.UTC(isoYear, 0, 4));
+    return new Date(jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * Monday..Sunday of an ISO week, or of the whole ISO year when isoWeek is omitted
+ * Returns null when the year has no such week
+ */
+function isoWeekRange(isoYear, isoWeek) {
+    const weekOne = isoWeekOneMonday(isoYear);
+
+    if (isoWeek === undefined) {
+        const nextWeekOne = isoWeekOneMonday(isoYear + 1);
+        return { from: toDateString(weekOne), to: toDateString(new Date(nextWeekOne.getTime() - DAY_MS)) };
+    }
+
+    const monday = new Date(weekOne.getTime() + (isoWeek - 1) * 7 * DAY_MS);
+    if (monday >= isoWeekOneMonday(isoYear + 1)) return null;
+
+    return { from: toDateString(monday), to: toDateString(new Date(monday.getTime() + 6 * DAY_MS)) };
+}
+
+function parseWholeNumber(value) {
+    return /^\d+$/.test(String(value)) ? parseInt(value) : NaN;
+}
+
+/**
+ * Values of a repeatable query parameter (blank values ignored), or a string error
+ * Years must be whole numbers; agent emails are matched case-insensitively
+ */
+function parseListValues(name, key, value) {
+    const values = [...new Set((Array.isArray(value) ? value : [value]).filter(v => v !== ''))];
+
+    if (name === 'year') {
+        const years = values.map(parseWholeNumber);
+        return years.some(isNaN) ? `${key} must be a whole number` : years;
+    }
+    if (name === 'agentEmail') {
+        return [...new Set(values.map(v => v.toLowerCase()))];
+    }
+    return values;
+}
+
+/**
+ * Read the list filters (and their exclude* counterparts), from, to, isoWeek, isoYear from a query string
+ * List filters come back as arrays; ISO weeks are turned into a from/to range (intersected with any explicit from/to)
+ * Returns { filters } or { error } for a 400 response
+ */
+function parseDataFilters(query) {
+    const filters = {};
+
+    for (const name of Object.keys(LIST_FILTERS)) {
+        for (const key of [name, excludeKey(name)]) {
+            if (query[key] === undefined) continue;
+
+            const values = parseListValues(name, key, query[key]);
+            if (typeof values === 'string') return { error: values };
+            if (values.length > 0) filters[key] = values;
+        }
+    }
+
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            if (!isValidDate(query[key])) return { error: `${key} must be a date (YYYY-MM-DD)` };
+            filters[key] = query[key];
+        }
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+        return { error: 'from must be on or before to' };
+    }
+
+    if (query.isoWeek && !query.isoYear) {
+        return { error: 'isoWeek requires isoYear' };
+    }
+
+    if (query.isoYear) {
+        const isoYear = parseWholeNumber(query.isoYear);
+        const isoWeek = query.isoWeek ? parseWholeNumber(query.isoWeek) : undefined;
+
+        if (isNaN(isoYear) || isoYear < 1900 || isoYear > 9999) {
+            return { error: 'isoYear must be a four-digit year' };
+        }
+        if (isoWeek !== undefined && (isNaN(isoWeek) || isoWeek < 1)) {
+            return { error: 'isoWeek must be a whole number from 1 to 53' };
+        }
+
+        const range = isoWeekRange(isoYear, isoWeek);
+        if (!range) return { error: `${isoYear} has no ISO week ${isoWeek}` };
+
+        filters.from = filters.from && filters.from > range.from ? filters.from : range.from;
+        filters.to = filters.to && filters.to < range.to ? filters.to : range.to;
+    }
+
+    return { filters };
+}
+
+/**
+ * The given filters (and their exclusions) out of a parsed set
+ * e.g. pickFilters(filters, ['client']) to narrow categories by the selected clients only
+ */
+function pickFilters(filters, names) {
+    const picked = {};
+    names.forEach(name => {
+        [name, excludeKey(name)].forEach(key => {
+            if (filters[key] !== undefined) picked[key] = filters[key];
+        });
+    });
+    return picked;
+}
+
+/**
+ * " AND ..." conditions for parsed filters, adding values to params
+ * alias qualifies the columns (e.g. 'd' for d.start_date) when the query joins other tables
+ * Exclusions keep rows where the column is NULL
+ */
+function dataFilterClause(filters, params, alias) {
+    const column = (name) => {
+        const qualified = alias ? `${alias}.${name}` : name;
+        return name === 'agent_email' ? `LOWER(${qualified})` : qualified;
+    };
+    let clause = '';
+
+    Object.entries(LIST_FILTERS).forEach(([name, columnName]) => {
+        if (filters[name]) {
+            params.push(filters[name]);
+            clause += ` AND ${column(columnName)} = ANY($${params.length})`;
+        }
+
+        const excluded = filters[excludeKey(name)];
+        if (excluded) {
+            params.push(excluded);
+            clause += ` AND (${column(columnName)} IS NULL OR ${column(columnName)} <> ALL($${params.length}))`;
+        }
+    });
+
+    // Overlap: the week ends on/after from and starts on/before to
+    if (filters.from) {
+        params.push(filters.from);
+        clause += ` AND ${column('start_date')} >= $${params.length}::date - ${WEEK_SPAN_DAYS}`;
+    }
+
+    if (filters.to) {
+        params.push(filters.to);
+        clause += ` AND ${column('start_date')} <= $${params.length}::date`;
+    }
+
+    return clause;
+}
+
+module.exports = {
+    WEEK_SPAN_DAYS,
+    LIST_FILTERS,
+    isValidDate,
+    isoWeekRange,
+    parseDataFilters,
+    pickFilters,
+    dataFilterClause,
+};
@@ -0,0 +1,30 @@
+// db.js
+// Shared database helpers
+
+/**
+ * Run fn inside a transaction on a dedicated client
+ * Commits when fn resolves, rolls back and rethrows when it rejects.
+ * Given a client that is already checked out (inside an outer transaction), fn joins that transaction
+ */
+async function withTransaction(pool, fn) {
+    if (typeof pool.release === 'function') {
+        return fn(pool);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    withTransaction,
+};
@@ -0,0 +1,109 @@
+// digestTemplates.js
+// Subject, plain-text and HTML bodies of the leader digest email
+
+const RECOMMENDATION_COLUMNS = [
+    { key: 'agent_name', header: 'Agent' },
+    { key: 'recommendation_type', header: 'Recommendation' },
+    { key: 'metric_type', header: 'Metric' },
+    { key: 'priority', header: 'Priority' },
+    { key: 'generated_date', header: 'Generated', type: 'date' },
+    { key: 'days_pending', header: 'Days Pending' },
+];
+
+const AT_RISK_COLUMNS = [
+    { key: 'agent_name', header: 'Agent' },
+    { key: 'metric_type', header: 'Metric' },
+    { key: 'risk_level', header: 'Risk Level' },
+    { key: 'consecutive_weeks', header: 'Consecutive Weeks' },
+    { key: 'flagged_date', header: 'Flagged', type: 'date' },
+];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * pg returns DATE columns as local midnight - format from local parts so the day doesn't shift
+ */
+function formatDate(value) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function formatValue(row, column) {
+    const value = column.key === 'agent_name' ? row.agent_name || row.agent_email : row[column.key];
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date && column.type === 'date') return formatDate(value);
+    return String(value);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function textSection(title, rows, columns) {
+    if (rows.length === 0) return `${title}: none\n`;
+
+    const lines = rows.map(row => '  - ' + columns.map(c => `${c.header}: ${formatValue(row, c)}`).join(' | '));
+    return `${title} (${rows.length}):\n${lines.join('\n')}\n`;
+}
+
+function htmlSection(title, rows, columns) {
+    if (rows.length === 0) {
+        return `<h3>${escapeHtml(title)}</h3><p>None</p>`;
+    }
+
+    const header = columns.map(c => `<th align="left">${escapeHtml(c.header)}</th>`).join('');
+    const body = rows.map(row =>
+        `<tr>${columns.map(c => `<td>${escapeHtml(formatValue(row, c))}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    return `<h3>${escapeHtml(title)} (${rows.length})</h3>
+<table cellpadding="4" cellspacing="0" border="1" style="border-collapse: collapse">
+<tr>${header}</tr>
+${body}
+</table>`;
+}
+
+/**
+ * Render a digest built by notifications.buildDigest
+ * Returns { subject, text, html }
+ */
+function renderDigest(digest) {
+    const { leader, frequency, recommendations, newAtRisk } = digest;
+    const name = leader.person_name || leader.person_email;
+    const summary = `${plural(recommendations.length, 'unactioned recommendation')} and ${plural(newAtRisk.length, 'new at-risk agent')}`;
+
+    const subject = `QPerform ${frequency.toLowerCase()} digest: ${summary}`;
+
+    const text = `Hi ${name},
+
+Your team has ${summary}.
+
+${textSection('Unactioned recommendations (oldest first)', recommendations, RECOMMENDATION_COLUMNS)}
+${textSection('New at-risk agents', newAtRisk, AT_RISK_COLUMNS)}
+You receive this ${frequency.toLowerCase()} digest as a team leader in QPerform.
+To change how often you receive it, or to stop it, update your notification preferences.
+`;
+
+    const html = `<p>Hi ${escapeHtml(name)},</p>
+<p>Your team has ${escapeHtml(summary)}.</p>
+${htmlSection('Unactioned recommendations (oldest first)', recommendations, RECOMMENDATION_COLUMNS)}
+${htmlSection('New at-risk agents', newAtRisk, AT_RISK_COLUMNS)}
+<p style="color: #666; font-size: 12px">You receive this ${escapeHtml(frequency.toLowerCase())} digest as a team leader in QPerform.
+To change how often you receive it, or to stop it, update your notification preferences.</p>`;
+
+    return { subject, text, html };
+}
+
+module.exports = {
+    renderDigest,
+};
@@ -0,0 +1,232 @@
+// escalationPolicy.js
+// Database-backed escalation policy (warning and leadership report expiration, at-risk rules, coaching)
+// Backed by consolidations.escalation_policy: versioned by effective date,
+// with optional per-client / per-category overrides
+
+const { withTransaction } = require('./db');
+
+// Fallback when no policy row is in effect (original values, still NEEDS CONFIRMATION from HR)
+const DEFAULT_POLICY = {
+    warningExpiration: {
+        'Verbal': 90, // days
+        'Written': 180, // days
+        'Coaching': null, // never expires
+    },
+    leadershipReportExpiration: {
+        'First Report': 90, // days
+        'Second Report': 90, // days
+        'Verbal Warning': 90, // days
+        'Written Warning': 180, // days
+    },
+    atRiskThreshold: 3, // weeks
+    atRiskMode: 'consecutive', // 'consecutive' or 'total'
+    coachingCountsAsAction: false,
+};
+
+// policy_key -> DEFAULT_POLICY property
+const POLICY_KEYS = {
+    'warning_expiration': 'warningExpiration',
+    'leadership_report_expiration': 'leadershipReportExpiration',
+    'at_risk_threshold': 'atRiskThreshold',
+    'at_risk_mode': 'atRiskMode',
+    'coaching_counts_as_action': 'coachingCountsAsAction',
+};
+
+// Policy values that are objects of type -> days, merged over the defaults key by key
+const EXPIRATION_KEYS = ['warning_expiration', 'leadership_report_expiration'];
+
+const AT_RISK_MODES = ['consecutive', 'total'];
+
+/**
+ * Validate an object of type -> days (null = never expires)
+ */
+function validateExpiration(key, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `${key} must be an object of type -> days`;
+    }
+    const types = Object.keys(DEFAULT_POLICY[POLICY_KEYS[key]]);
+    for (const [type, days] of Object.entries(value)) {
+        if (!types.includes(type)) {
+            return `Unknown type "${type}" for ${key}. Expected one of: ${types.join(', ')}`;
+        }
+        if (days !== null && (!Number.isInteger(days) || days <= 0)) {
+            return `Expiration for ${type} must be a positive number of days or null`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate a policy value for its key
+ * Returns an error message, or null when the value is valid
+ */
+function validatePolicyValue(key, value) {
+    switch (key) {
+        case 'warning_expiration':
+        case 'leadership_report_expiration':
+            return validateExpiration(key, value);
+        case 'at_risk_threshold':
+            return Number.isInteger(value) && value > 0 ? null : 'at_risk_threshold must be a positive integer';
+        case 'at_risk_mode':
+            return AT_RISK_MODES.includes(value) ? null : `at_risk_mode must be one of: ${AT_RISK_MODES.join(', ')}`;
+        case 'coaching_counts_as_action':
+            return typeof value === 'boolean' ? null : 'coaching_counts_as_action must be true or false';
+        default:
+            return `Unknown policy key "${key}". Expected one of: ${Object.keys(POLICY_KEYS).join(', ')}`;
+    }
+}
+
+/**
+ * Get the policy in effect for a client/category on a date
+ * The most specific row wins: client + category, then client, then category, then global
+ */
+async function getPolicy(pool, options = {}) {
+    const query = `
+        SELECT DISTINCT ON (policy_key)
+            policy_id, policy_key, policy_value, client, category, effective_from
+        FROM consolidations.escalation_policy
+        WHERE effective_from <= $1
+            AND (effective_to IS NULL OR effective_to > $1)
+            AND (client IS NULL OR client = $2)
+            AND (category IS NULL OR category = $3)
+        ORDER BY policy_key, (client IS NOT NULL) DESC, (category IS NOT NULL) DESC, effective_from DESC
+    `;
+
+    const result = await pool.query(query, [
+        options.asOfDate || new Date(),
+        options.client || null,
+        options.category || null,
+    ]);
+
+    const policy = {
+        ...DEFAULT_POLICY,
+        warningExpiration: { ...DEFAULT_POLICY.warningExpiration },
+        leadershipReportExpiration: { ...DEFAULT_POLICY.leadershipReportExpiration },
+        sources: {},
+    };
+
+    result.rows.forEach(row => {
+        const property = POLICY_KEYS[row.policy_key];
+        if (!property) return;
+
+        policy[property] = EXPIRATION_KEYS.includes(row.policy_key)
+            ? { ...DEFAULT_POLICY[property], ...row.policy_value }
+            : row.policy_value;
+        policy.sources[row.policy_key] = {
+            policyId: row.policy_id,
+            client: row.client,
+            category: row.category,
+            effectiveFrom: row.effective_from,
+        };
+    });
+
+    return policy;
+}
+
+/**
+ * Get every version of the policy, optionally for one key/client/category
+ */
+async function getPolicyHistory(pool, filters = {}) {
+    let query = `
+        SELECT * FROM consolidations.escalation_policy
+        WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (filters.key) {
+        query += ` AND policy_key = $${paramCount}`;
+        params.push(filters.key);
+        paramCount++;
+    }
+
+    if (filters.client) {
+        query += ` AND client = $${paramCount}`;
+        params.push(filters.client);
+        paramCount++;
+    }
+
+    if (filters.category) {
+        query += ` AND category = $${paramCount}`;
+        params.push(filters.category);
+        paramCount++;
+    }
+
+    query += ` ORDER BY policy_key, client NULLS FIRST, category NULLS FIRST, effective_from DESC`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Add a new policy version for a key/client/category scope
+ * The version in effect for that scope is closed on the new effective date.
+ * Versions scheduled on or after that date are superseded (their range is emptied, not deleted)
+ */
+async function setPolicy(pool, change) {
+    return withTransaction(pool, async (client) => {
+        const effectiveFrom = change.effectiveFrom || new Date().toISOString().slice(0, 10);
+        const scopeParams = [change.key, change.client || null, change.category || null, effectiveFrom];
+        const scopeClause = `
+            policy_key = $1
+            AND client IS NOT DISTINCT FROM $2
+            AND category IS NOT DISTINCT FROM $3
+        `;
+
+        await client.query(`
+            UPDATE consolidations.escalation_policy
+            SET effective_to = effective_from
+            WHERE ${scopeClause} AND effective_from >= $4
+        `, scopeParams);
+
+        await client.query(`
+            UPDATE consolidations.escalation_policy
+            SET effective_to = $4
+            WHERE ${scopeClause} AND effective_from < $4 AND (effective_to IS NULL OR effective_to > $4)
+        `, scopeParams);
+
+        const result = await client.query(`
+            INSERT INTO consolidations.escalation_policy
+            (policy_key, policy_value, client, category, effective_from, changed_by, change_reason)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            change.key,
+            JSON.stringify(change.value),
+            change.client || null,
+            change.category || null,
+            effectiveFrom,
+            change.changedBy || null,
+            change.reason || null,
+        ]);
+
+        return result.rows[0];
+    });
+}
+
+/**
+ * Days until a warning of this type expires under a policy
+ * Returns null when the warning type never expires
+ */
+function getExpirationDays(policy, warningType) {
+    return policy.warningExpiration[warningType] || null;
+}
+
+/**
+ * Days until a leadership report of this type expires under a policy
+ * Returns null when the report type never expires
+ */
+function getReportExpirationDays(policy, reportType) {
+    return policy.leadershipReportExpiration[reportType] || null;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    POLICY_KEYS,
+    validatePolicyValue,
+    getPolicy,
+    getPolicyHistory,
+    setPolicy,
+    getExpirationDays,
+    getReportExpirationDays,
+};
@@ -0,0 +1,386 @@
+// escalationRules.js
+// Declarative escalation rules for the Cases A-E ladders and the generic engine that evaluates them
+// Backed by consolidations.escalation_rules, with optional per-client / per-category rule sets;
+// DEFAULT_RULES apply where no rule set is stored
+//
+// A rule set is an ordered list of rules; the first rule whose conditions all hold fires:
+//   {
+//     caseType: 'B',
+//     description: 'Second verbal warning already issued',
+//     conditions: [{ fact: 'activeWarnings.Verbal', operator: '>=', value: 2 }],
+//     recommendation: 'Written Warning - Substandard Work',
+//     priority: 'High',
+//     details: 'Agent has {activeWarnings.Verbal} verbal warnings ...',
+//   }
+// A condition can also be { any: [conditions] }, which holds when one of them does.
+// Facts are looked up by the caller (see warningEngine.js) and only when a rule needs them
+
+const { withTransaction } = require('./db');
+
+const LADDERS = ['Agent', 'Leader'];
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Facts rules can test, per ladder
+// Agent ladder facts are for the metric being evaluated; Leader ladder facts span both metrics
+const COMMON_FACTS = {
+    'activeWarnings.Verbal': 'Active verbal warnings',
+    'activeWarnings.Written': 'Active written warnings',
+    'activeWarnings.Coaching': 'Active coaching warnings',
+    'activeWarnings.total': 'Active warnings of any type',
+    'weeksUnderperforming': 'Weeks flagged Low/Critical in the evaluated week range',
+    'consecutiveWeeks': 'Longest run of consecutive underperforming weeks in the range',
+    'leaderActionTaken': 'Whether the leader logged a warning or action around the first underperforming week',
+};
+
+const FACTS = {
+    'Agent': COMMON_FACTS,
+    'Leader': {
+        ...COMMON_FACTS,
+        'activeLeadershipReports': 'Active leadership behavior reports held by the leader',
+    },
+};
+
+const OPERATORS = {
+    '=': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    '>': (actual, expected) => actual > expected,
+    '>=': (actual, expected) => actual >= expected,
+    '<': (actual, expected) => actual < expected,
+    '<=': (actual, expected) => actual <= expected,
+};
+
+// The ladders as originally hard-coded (Cases First/A/B/C and D/E)
+const DEFAULT_RULES = {
+    'Agent': [
+        {
+            caseType: 'C',
+            description: 'Two written warnings and underperforming again',
+            conditions: [{ fact: 'activeWarnings.Written', operator: '>=', value: 2 }],
+            recommendation: 'Prepare Employee Offboarding',
+            priority: 'Critical',
+            details: 'Agent has 2 written warnings and continues to underperform. Agent is at risk. Prepare for offboarding process.',
+        },
+        {
+            caseType: 'B',
+            description: 'Two verbal warnings and underperforming again',
+            conditions: [{ fact: 'activeWarnings.Verbal', operator: '>=', value: 2 }],
+            recommendation: 'Written Warning - Substandard Work',
+            priority: 'High',
+            details: 'Agent has 2 verbal warnings and is still underperforming. Issue formal written warning for substandard work.',
+        },
+        {
+            caseType: 'A',
+            description: 'One verbal warning and underperforming again',
+            conditions: [{ fact: 'activeWarnings.Verbal', operator: '=', value: 1 }],
+            recommendation: 'Second Verbal Warning + Coaching/Reinforcement',
+            priority: 'Medium',
+            details: 'Agent has 1 verbal warning and is underperforming again. Issue second verbal warning and provide coaching.',
+        },
+        {
+            caseType: 'First',
+            description: 'First underperformance',
+            conditions: [],
+            recommendation: 'First Verbal Warning',
+            priority: 'Low',
+            details: 'Agent is underperforming for the first time. Issue first verbal warning.',
+        },
+    ],
+    'Leader': [
+        {
+            caseType: 'E',
+            description: 'Leader fails procedures again while holding a leadership report',
+            conditions: [
+                { fact: 'weeksUnderperforming', operator: '>', value: 2 },
+                { fact: 'leaderActionTaken', operator: '=', value: false },
+                { fact: 'activeLeadershipReports', operator: '>=', value: 1 },
+            ],
+            recommendation: 'Second Leadership Behavior Report + Written Warning for Leader',
+            priority: 'Critical',
+            details: 'Leader has failed to follow procedures again within warning period. Issue written warning.',
+        },
+        {
+            caseType: 'D',
+            description: 'Agent underperforming more than 2 weeks with no leader action',
+            conditions: [
+                { fact: 'weeksUnderperforming', operator: '>', value: 2 },
+                { fact: 'leaderActionTaken', operator: '=', value: false },
+            ],
+            recommendation: 'Leadership Behavior Report + Verbal Warning for Leader',
+            priority: 'High',
+            details: 'Agent has been underperforming for {weeksUnderperforming} weeks with no documented actions from direct leader. Issue leadership behavior report.',
+        },
+    ],
+};
+
+// {fact} placeholders in a rule's details
+const PLACEHOLDER = /\{([A-Za-z.]+)\}/g;
+
+/**
+ * Validate one condition; returns an error message or null
+ */
+function validateCondition(condition, ladder, path) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return `${path} must be an object`;
+    }
+
+    if (condition.any !== undefined) {
+        if (!Array.isArray(condition.any) || condition.any.length === 0) {
+            return `${path}.any must be a non-empty array of conditions`;
+        }
+        for (let i = 0; i < condition.any.length; i++) {
+            const error = validateCondition(condition.any[i], ladder, `${path}.any[${i}]`);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    if (!FACTS[ladder][condition.fact]) {
+        return `${path}: unknown fact "${condition.fact}" for the ${ladder} ladder. Expected one of: ${Object.keys(FACTS[ladder]).join(', ')}`;
+    }
+    if (!OPERATORS[condition.operator]) {
+        return `${path}: operator must be one of: ${Object.keys(OPERATORS).join(', ')}`;
+    }
+    if (typeof condition.value !== 'number' && typeof condition.value !== 'boolean') {
+        return `${path}: value must be a number or true/false`;
+    }
+    return null;
+}
+
+/**
+ * Validate a ladder's rule set
+ * Returns an error message, or null when the rules are valid
+ */
+function validateRules(ladder, rules) {
+    if (!LADDERS.includes(ladder)) {
+        return `ladder must be one of: ${LADDERS.join(', ')}`;
+    }
+    if (!Array.isArray(rules)) {
+        return 'rules must be an array';
+    }
+
+    const caseTypes = new Set();
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        const path = `rules[${i}]`;
+
+        if (!rule || typeof rule !== 'object') {
+            return `${path} must be an object`;
+        }
+        if (typeof rule.caseType !== 'string' || !/^[A-Za-z0-9_-]{1,10}$/.test(rule.caseType)) {
+            return `${path}.caseType must be 1-10 letters, digits, - or _`;
+        }
+        if (caseTypes.has(rule.caseType)) {
+            return `${path}.caseType "${rule.caseType}" is used by more than one rule`;
+        }
+        caseTypes.add(rule.caseType);
+
+        if (typeof rule.recommendation !== 'string' || !rule.recommendation.trim() || rule.recommendation.length > 100) {
+            return `${path}.recommendation must be 1-100 characters`;
+        }
+        if (!PRIORITIES.includes(rule.priority)) {
+            return `${path}.priority must be one of: ${PRIORITIES.join(', ')}`;
+        }
+        if (typeof rule.details !== 'string' || !rule.details.trim()) {
+            return `${path}.details is required`;
+        }
+        for (const [, fact] of rule.details.matchAll(PLACEHOLDER)) {
+            if (!FACTS[ladder][fact]) {
+                return `${path}.details: unknown fact "{${fact}}"`;
+            }
+        }
+        if (!Array.isArray(rule.conditions)) {
+            return `${path}.conditions must be an array (empty = always fires)`;
+        }
+        for (let j = 0; j < rule.conditions.length; j++) {
+            const error = validateCondition(rule.conditions[j], ladder, `${path}.conditions[${j}]`);
+            if (error) return error;
+        }
+    }
+
+    return null;
+}
+
+function toRule(row) {
+    return {
+        ruleId: row.rule_id,
+        caseType: row.case_type,
+        description: row.description,
+        conditions: row.conditions,
+        recommendation: row.recommendation,
+        priority: row.priority,
+        details: row.details,
+    };
+}
+
+/**
+ * Get the rule set in effect for a ladder and client/category
+ * The most specific stored set wins: client + category, then client, then category, then global,
+ * then DEFAULT_RULES. Returns { ladder, client, category, source: 'database' | 'default', rules }
+ */
+async function getRules(pool, options = {}) {
+    const ladder = options.ladder || 'Agent';
+
+    const result = await pool.query(`
+        SELECT * FROM consolidations.escalation_rules
+        WHERE ladder = $1
+            AND (client IS NULL OR client = $2)
+            AND (category IS NULL OR category = $3)
+        ORDER BY (client IS NOT NULL) DESC, (category IS NOT NULL) DESC, rule_order
+    `, [ladder, options.client || null, options.category || null]);
+
+    if (result.rows.length === 0) {
+        return { ladder, client: null, category: null, source: 'default', rules: DEFAULT_RULES[ladder] };
+    }
+
+    // Rows are sorted most specific scope first; keep only that scope's rules
+    const { client, category } = result.rows[0];
+    const rows = result.rows.filter(row => row.client === client && row.category === category);
+
+    return { ladder, client, category, source: 'database', rules: rows.map(toRule) };
+}
+
+/**
+ * Get every stored rule, optionally for one ladder/client/category
+ */
+async function listRules(pool, filters = {}) {
+    let query = `
+        SELECT * FROM consolidations.escalation_rules
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.ladder) {
+        params.push(filters.ladder);
+        query += ` AND ladder = $${params.length}`;
+    }
+
+    if (filters.client) {
+        params.push(filters.client);
+        query += ` AND client = $${params.length}`;
+    }
+
+    if (filters.category) {
+        params.push(filters.category);
+        query += ` AND category = $${params.length}`;
+    }
+
+    query += ` ORDER BY ladder, client NULLS FIRST, category NULLS FIRST, rule_order`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Replace the rule set of a ladder for a client/category scope (validate with validateRules first)
+ * An empty rules array removes the scope's set, so it inherits the next less specific one
+ * Returns the stored rows
+ */
+async function setRules(pool, change) {
+    return withTransaction(pool, async (client) => {
+        const scope = [change.ladder, change.client || null, change.category || null];
+
+        await client.query(`
+            DELETE FROM consolidations.escalation_rules
+            WHERE ladder = $1 AND client IS NOT DISTINCT FROM $2 AND category IS NOT DISTINCT FROM $3
+        `, scope);
+
+        const rows = [];
+        for (let i = 0; i < change.rules.length; i++) {
+            const rule = change.rules[i];
+            const result = await client.query(`
+                INSERT INTO consolidations.escalation_rules
+                (ladder, client, category, rule_order, case_type, description, conditions,
+                 recommendation, priority, details, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *
+            `, [
+                ...scope,
+                i + 1,
+                rule.caseType,
+                rule.description || null,
+                JSON.stringify(rule.conditions),
+                rule.recommendation,
+                rule.priority,
+                rule.details,
+                change.createdBy || null,
+            ]);
+            rows.push(result.rows[0]);
+        }
+
+        return rows;
+    });
+}
+
+/**
+ * Check one condition, looking up facts with getFact
+ * Returns the condition with the actual value(s) and whether it passed
+ */
+async function checkCondition(condition, getFact) {
+    if (condition.any) {
+        const checked = [];
+        for (const option of condition.any) {
+            const result = await checkCondition(option, getFact);
+            checked.push(result);
+            if (result.passed) break;
+        }
+        return { any: checked, passed: checked.some(result => result.passed) };
+    }
+
+    const actual = await getFact(condition.fact);
+    return { ...condition, actual, passed: OPERATORS[condition.operator](actual, condition.value) };
+}
+
+/**
+ * Evaluate rules in order against facts from getFact(name) (an async lookup, called once per fact)
+ * Conditions are checked until one fails, so facts later rules don't need are never looked up
+ * Returns { rule (the first that fired, or null), details (its text with facts filled in), facts, trace }
+ * where trace lists every rule checked with each condition's actual value
+ */
+async function evaluateRules(rules, getFact) {
+    const facts = {};
+    const lookup = async (name) => {
+        if (!(name in facts)) facts[name] = await getFact(name);
+        return facts[name];
+    };
+
+    const trace = [];
+    for (const rule of rules) {
+        const conditions = [];
+        let fired = true;
+
+        for (const condition of rule.conditions) {
+            const result = await checkCondition(condition, lookup);
+            conditions.push(result);
+            if (!result.passed) {
+                fired = false;
+                break;
+            }
+        }
+
+        trace.push({ caseType: rule.caseType, description: rule.description || null, fired, conditions });
+        if (!fired) continue;
+
+        let details = rule.details;
+        for (const [placeholder, fact] of rule.details.matchAll(PLACEHOLDER)) {
+            details = details.replace(placeholder, String(await lookup(fact)));
+        }
+
+        return { rule, details, facts, trace };
+    }
+
+    return { rule: null, details: null, facts, trace };
+}
+
+module.exports = {
+    LADDERS,
+    PRIORITIES,
+    FACTS,
+    OPERATORS,
+    DEFAULT_RULES,
+    validateRules,
+    getRules,
+    listRules,
+    setRules,
+    evaluateRules,
+};
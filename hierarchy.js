@@ -0,0 +1,186 @@
+// hierarchy.js
+// Agent -> Team Leader -> Director -> AVP reporting lines
+// Backed by consolidations.leader_hierarchy
+// Emails are stored as given but always compared case-insensitively, since logins are lowercased
+// and entries are typed in by hand
+
+// Roles from the bottom of the hierarchy to the top
+const HIERARCHY_ROLES = ['Agent', 'Team Leader', 'Director', 'AVP'];
+
+// Guards the recursive queries against cycles in bad data
+const MAX_HIERARCHY_DEPTH = 10;
+
+/**
+ * Get a single hierarchy entry by email (any case)
+ */
+async function getHierarchyEntry(pool, personEmail) {
+    const query = `
+        SELECT * FROM consolidations.leader_hierarchy
+        WHERE LOWER(person_email) = LOWER($1)
+    `;
+
+    const result = await pool.query(query, [personEmail]);
+    return result.rows[0] || null;
+}
+
+/**
+ * List hierarchy entries, optionally by role and/or direct leader
+ * filters.visibleEmails (lowercase) limits the entries to those people; null or omitted for everyone
+ */
+async function listHierarchy(pool, filters = {}) {
+    let query = `
+        SELECT * FROM consolidations.leader_hierarchy
+        WHERE is_active = true
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (filters.role) {
+        query += ` AND role = $${paramCount}`;
+        params.push(filters.role);
+        paramCount++;
+    }
+
+    if (filters.reportsToEmail) {
+        query += ` AND LOWER(reports_to_email) = LOWER($${paramCount})`;
+        params.push(filters.reportsToEmail);
+        paramCount++;
+    }
+
+    if (filters.visibleEmails) {
+        query += ` AND LOWER(person_email) = ANY($${paramCount})`;
+        params.push(filters.visibleEmails);
+        paramCount++;
+    }
+
+    query += ` ORDER BY role, person_email`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Create or update a person's place in the hierarchy
+ * An existing entry is updated under its stored email even when given in another case
+ */
+async function upsertHierarchyEntry(pool, entry) {
+    if (!HIERARCHY_ROLES.includes(entry.role)) {
+        throw new Error(`Invalid role "${entry.role}". Expected one of: ${HIERARCHY_ROLES.join(', ')}`);
+    }
+
+    if (entry.reportsToEmail && entry.reportsToEmail.toLowerCase() === entry.personEmail.toLowerCase()) {
+        throw new Error('A person cannot report to themselves');
+    }
+
+    const existing = await getHierarchyEntry(pool, entry.personEmail);
+
+    const query = `
+        INSERT INTO consolidations.leader_hierarchy
+        (person_email, person_id, person_name, role, reports_to_email, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (person_email) DO UPDATE SET
+            person_id = EXCLUDED.person_id,
+            person_name = EXCLUDED.person_name,
+            role = EXCLUDED.role,
+            reports_to_email = EXCLUDED.reports_to_email,
+            is_active = EXCLUDED.is_active,
+            updated_at = NOW()
+        RETURNING *
+    `;
+
+    const values = [
+        existing ? existing.person_email : entry.personEmail,
+        entry.personId || null,
+        entry.personName || null,
+        entry.role,
+        entry.reportsToEmail || null,
+        entry.isActive !== false,
+    ];
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Get the reporting chain above a person (direct leader first, AVP last)
+ */
+async function getLeaderChain(pool, personEmail) {
+    const query = `
+        WITH RECURSIVE chain AS (
+            SELECT h.*, 1 as depth
+            FROM consolidations.leader_hierarchy h
+            JOIN consolidations.leader_hierarchy p ON LOWER(p.reports_to_email) = LOWER(h.person_email)
+            WHERE LOWER(p.person_email) = LOWER($1) AND h.is_active = true
+            UNION ALL
+            SELECT h.*, c.depth + 1
+            FROM consolidations.leader_hierarchy h
+            JOIN chain c ON LOWER(c.reports_to_email) = LOWER(h.person_email)
+            WHERE h.is_active = true AND c.depth < $2
+        )
+        SELECT * FROM chain ORDER BY depth
+    `;
+
+    const result = await pool.query(query, [personEmail, MAX_HIERARCHY_DEPTH]);
+    return result.rows;
+}
+
+/**
+ * Get everyone below a leader (direct and indirect reports)
+ */
+async function getTeamMembers(pool, leaderEmail, options = {}) {
+    let query = `
+        WITH RECURSIVE team AS (
+            SELECT h.*, 1 as depth
+            FROM consolidations.leader_hierarchy h
+            WHERE LOWER(h.reports_to_email) = LOWER($1) AND h.is_active = true
+            UNION ALL
+            SELECT h.*, t.depth + 1
+            FROM consolidations.leader_hierarchy h
+            JOIN team t ON LOWER(h.reports_to_email) = LOWER(t.person_email)
+            WHERE h.is_active = true AND t.depth < $2
+        )
+        SELECT * FROM team
+    `;
+    const params = [leaderEmail, options.directOnly ? 1 : MAX_HIERARCHY_DEPTH];
+
+    if (options.role) {
+        query += ` WHERE role = $3`;
+        params.push(options.role);
+    }
+
+    query += ` ORDER BY depth, person_email`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Get every agent together with their direct leader and that leader's own leader (director)
+ */
+async function getAgentsWithLeaders(pool) {
+    const query = `
+        SELECT
+            a.person_email as agent_email,
+            a.person_name as agent_name,
+            l.person_email as leader_email,
+            l.person_name as leader_name,
+            l.reports_to_email as director_email
+        FROM consolidations.leader_hierarchy a
+        JOIN consolidations.leader_hierarchy l ON LOWER(l.person_email) = LOWER(a.reports_to_email) AND l.is_active = true
+        WHERE a.role = 'Agent' AND a.is_active = true
+        ORDER BY l.person_email, a.person_email
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+}
+
+module.exports = {
+    HIERARCHY_ROLES,
+    getHierarchyEntry,
+    listHierarchy,
+    upsertHierarchyEntry,
+    getLeaderChain,
+    getTeamMembers,
+    getAgentsWithLeaders,
+};
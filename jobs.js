@@ -0,0 +1,113 @@
+// jobs.js
+// Jobs run by the scheduler (see scheduler.js)
+// Each job's run(pool, { actor }) resolves to { rowsAffected, result }; writes are attributed to actor
+
+const audit = require('./audit');
+const warningEngine = require('./warningEngine');
+const warningLifecycle = require('./warningLifecycle');
+const leadershipReports = require('./leadershipReports');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Monday..Sunday of the last complete week before date (weekly data starts on Mondays)
+ */
+function previousWeek(date = new Date()) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7) - 7);
+    const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+    return { weekStartDate: formatDate(monday), weekEndDate: formatDate(sunday) };
+}
+
+/**
+ * Save recommendations for a week range with generate(client, start, end) and announce them to webhooks
+ */
+async function runRecommendationBatch(pool, actor, generate) {
+    const { weekStartDate, weekEndDate } = previousWeek();
+
+    const summary = await audit.withActor(pool, actor, async (client) => {
+        const result = await generate(client, weekStartDate, weekEndDate);
+        await webhooks.emitRecommendationEvents(client, 'recommendation.generated', result.recommendationIds);
+        return result;
+    });
+    webhooks.dispatch(pool);
+
+    return { rowsAffected: summary.created, result: summary };
+}
+
+const JOBS = [
+    {
+        name: 'expire-warnings',
+        description: 'Mark Active warnings past their expiration date as Expired',
+        schedule: '0 1 * * *',
+        run: async (pool, { actor }) => {
+            const warningIds = await audit.withActor(pool, actor, (client) =>
+                warningLifecycle.expireWarnings(client, actor.email));
+            return { rowsAffected: warningIds.length, result: { warningIds } };
+        },
+    },
+    {
+        name: 'expire-leadership-reports',
+        description: 'Deactivate leadership reports past their expiry date',
+        schedule: '5 1 * * *',
+        run: async (pool, { actor }) => {
+            const reportIds = await audit.withActor(pool, actor, (client) =>
+                leadershipReports.expireLeadershipReports(client, actor.email));
+            return { rowsAffected: reportIds.length, result: { reportIds } };
+        },
+    },
+    {
+        name: 'detect-at-risk',
+        description: 'Flag at-risk agents for the current month and resolve recovered ones',
+        schedule: '0 2 * * *',
+        run: async (pool, { actor }) => {
+            const now = new Date();
+            const monthName = now.toLocaleString('en-US', { month: 'long' });
+
+            const summary = await audit.withActor(pool, actor, (client) =>
+                warningEngine.detectAtRiskAgents(client, monthName, now.getFullYear()));
+            return { rowsAffected: summary.flagged + summary.updated + summary.resolved, result: summary };
+        },
+    },
+    {
+        name: 'generate-recommendations',
+        description: 'Generate recommendations for every agent underperforming in the previous week',
+        schedule: '0 3 * * 1',
+        run: (pool, { actor }) => runRecommendationBatch(pool, actor, warningEngine.generateWeeklyRecommendations),
+    },
+    {
+        name: 'evaluate-leadership',
+        description: 'Evaluate Case D / Case E leadership recommendations for the previous week',
+        schedule: '30 3 * * 1',
+        run: (pool, { actor }) => runRecommendationBatch(pool, actor, warningEngine.evaluateLeadershipCases),
+    },
+    {
+        name: 'daily-digest',
+        description: 'Email the daily digest to leaders who chose it',
+        schedule: '0 7 * * *',
+        run: async (pool) => {
+            const results = await notifications.sendDigests(pool, 'Daily');
+            return { rowsAffected: results.sent.length, result: results };
+        },
+    },
+    {
+        name: 'weekly-digest',
+        description: 'Email the weekly digest to leaders who chose it',
+        schedule: '0 7 * * 1',
+        run: async (pool) => {
+            const results = await notifications.sendDigests(pool, 'Weekly');
+            return { rowsAffected: results.sent.length, result: results };
+        },
+    },
+];
+
+module.exports = {
+    JOBS,
+};
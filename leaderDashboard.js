@@ -0,0 +1,285 @@
+// leaderDashboard.js
+// Per-leader team dashboard: team size, underperformers by metric, pending recommendations
+// with their age, warnings issued in the period and a compliance rate
+// Compliance is the share of the team's underperforming agent-weeks (either metric) on which a warning
+// or action_log entry was recorded within the leader-action window (warningEngine.LEADER_ACTION_WINDOW_DAYS
+// either side of the week, coaching per the policy), as warningEngine.checkLeaderAction checks it.
+// A week without an action whose window hasn't closed yet is reported as open and left out of the rate,
+// so the current week doesn't count against the leader
+
+const escalationPolicy = require('./escalationPolicy');
+const hierarchy = require('./hierarchy');
+const warningEngine = require('./warningEngine');
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * YYYY-MM-DD of a pg DATE (local midnight) or a JS date, in local time
+ */
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * The period to report on: from/to as given, defaulting to the current month to date
+ */
+function resolvePeriod(options = {}) {
+    const today = new Date();
+    return {
+        from: options.from || formatDate(new Date(today.getFullYear(), today.getMonth(), 1)),
+        to: options.to || formatDate(today),
+    };
+}
+
+function emptyDashboard(team, period) {
+    const underperformers = {};
+    [...Object.keys(warningEngine.METRIC_COLUMNS), 'any'].forEach(metric => {
+        underperformers[metric] = { agents: 0, agentWeeks: 0 };
+    });
+
+    const byType = {};
+    warningEngine.WARNING_TYPES.forEach(type => { byType[type] = 0; });
+
+    return {
+        leader: team.leader,
+        period,
+        teamSize: team.agentEmails.length,
+        underperformers,
+        pendingRecommendations: { count: 0, oldestDays: null, averageDays: null, items: [] },
+        warningsIssued: { total: 0, byType },
+        compliance: { underperformingWeeks: 0, actioned: 0, missed: 0, open: 0, rate: null, missedWeeks: [] },
+    };
+}
+
+/**
+ * Underperformers and compliance from the team's weekly rows
+ * Each underperforming agent-week is checked under the coaching setting of the policy in effect
+ * for its client/category on that week
+ */
+async function addWeeklyMetrics(pool, dashboardsByAgent, weeks) {
+    const metricTypes = Object.keys(warningEngine.METRIC_COLUMNS);
+    const underperformingAgents = new Map(); // dashboard -> metric -> Set of agents
+
+    const policies = {};
+    const getPolicy = (week) => {
+        const key = `${week.client}|${week.category}|${formatDate(week.start_date)}`;
+        if (!policies[key]) {
+            policies[key] = escalationPolicy.getPolicy(pool, {
+                client: week.client,
+                category: week.category,
+                asOfDate: week.start_date,
+            });
+        }
+        return policies[key];
+    };
+
+    const flagged = [];
+    for (const week of weeks) {
+        const dashboard = dashboardsByAgent.get(week.agent_email);
+        if (!dashboard || !warningEngine.isUnderperforming(week, null)) continue;
+
+        if (!underperformingAgents.has(dashboard)) underperformingAgents.set(dashboard, {});
+        const agentsByMetric = underperformingAgents.get(dashboard);
+
+        const metrics = metricTypes.filter(metricType => warningEngine.isUnderperforming(week, metricType));
+        [...metrics, 'any'].forEach(metric => {
+            dashboard.underperformers[metric].agentWeeks++;
+            if (!agentsByMetric[metric]) agentsByMetric[metric] = new Set();
+            agentsByMetric[metric].add(week.agent_email);
+        });
+
+        flagged.push({ dashboard, week, metrics, policy: await getPolicy(week) });
+    }
+
+    underperformingAgents.forEach((agentsByMetric, dashboard) => {
+        Object.entries(agentsByMetric).forEach(([metric, agents]) => {
+            dashboard.underperformers[metric].agents = agents.size;
+        });
+    });
+
+    const acted = await warningEngine.checkLeaderActions(pool, flagged.map(({ week, policy }) => ({
+        agentEmail: week.agent_email,
+        weekStartDate: week.start_date,
+        coachingCountsAsAction: policy.coachingCountsAsAction,
+    })));
+
+    const today = formatDate(new Date());
+    flagged.forEach(({ dashboard, week, metrics }, i) => {
+        const { compliance } = dashboard;
+        const windowEnd = formatDate(addDays(week.start_date, warningEngine.LEADER_ACTION_WINDOW_DAYS));
+        compliance.underperformingWeeks++;
+
+        if (acted[i]) {
+            compliance.actioned++;
+        } else if (windowEnd >= today) {
+            compliance.open++;
+        } else {
+            compliance.missed++;
+            compliance.missedWeeks.push({
+                agentEmail: week.agent_email,
+                agentName: week.agent_name,
+                weekStartDate: formatDate(week.start_date),
+                metrics,
+                windowEnd,
+            });
+        }
+    });
+}
+
+/**
+ * Unactioned agent recommendations of the team, oldest first (not limited to the period)
+ */
+async function addPendingRecommendations(pool, dashboardsByAgent, agentEmails) {
+    const result = await pool.query(`
+        SELECT recommendation_id, agent_email, agent_name, case_type, metric_type, priority,
+               generated_date, CURRENT_DATE - generated_date as days_pending
+        FROM consolidations.recommendations
+        WHERE leader_email IS NULL AND is_actioned = false AND agent_email = ANY($1)
+        ORDER BY generated_date, recommendation_id
+    `, [agentEmails]);
+
+    result.rows.forEach(row => {
+        const pending = dashboardsByAgent.get(row.agent_email).pendingRecommendations;
+        pending.count++;
+        pending.oldestDays = Math.max(pending.oldestDays || 0, row.days_pending);
+        pending.items.push(row);
+    });
+
+    new Set(dashboardsByAgent.values()).forEach(({ pendingRecommendations: pending }) => {
+        if (pending.count > 0) {
+            pending.averageDays = round2(pending.items.reduce((sum, row) => sum + row.days_pending, 0) / pending.count);
+        }
+    });
+}
+
+/**
+ * Warnings issued to the team in the period, whatever their current status
+ */
+async function addWarningsIssued(pool, dashboardsByAgent, agentEmails, period) {
+    const result = await pool.query(`
+        SELECT agent_email, warning_type, COUNT(*)::int as count
+        FROM consolidations.warnings
+        WHERE agent_email = ANY($1) AND issue_date BETWEEN $2 AND $3
+        GROUP BY agent_email, warning_type
+    `, [agentEmails, period.from, period.to]);
+
+    result.rows.forEach(row => {
+        const issued = dashboardsByAgent.get(row.agent_email).warningsIssued;
+        issued.total += row.count;
+        issued.byType[row.warning_type] = (issued.byType[row.warning_type] || 0) + row.count;
+    });
+}
+
+/**
+ * Dashboards for several teams over one period, sharing the queries between them
+ * teams: [{ leader: { email, name, role }, agentEmails }] - an agent should be in one team only
+ */
+async function buildDashboards(pool, teams, period) {
+    const dashboards = teams.map(team => emptyDashboard(team, period));
+
+    const dashboardsByAgent = new Map();
+    teams.forEach((team, i) => team.agentEmails.forEach(email => dashboardsByAgent.set(email, dashboards[i])));
+    const agentEmails = [...dashboardsByAgent.keys()];
+
+    if (agentEmails.length > 0) {
+        const weeks = await warningEngine.getAgentWeeks(pool, {
+            weekStartDate: period.from,
+            weekEndDate: period.to,
+            agentEmails,
+        });
+        await addWeeklyMetrics(pool, dashboardsByAgent, weeks);
+        await addPendingRecommendations(pool, dashboardsByAgent, agentEmails);
+        await addWarningsIssued(pool, dashboardsByAgent, agentEmails, period);
+    }
+
+    dashboards.forEach(({ compliance }) => {
+        const decided = compliance.actioned + compliance.missed;
+        compliance.rate = decided > 0 ? round2(compliance.actioned / decided * 100) : null;
+    });
+
+    return dashboards;
+}
+
+/**
+ * Dashboard for one leader over everyone below them in the hierarchy
+ * options: from, to (YYYY-MM-DD; default the current month to date)
+ * Returns null when the email is not a leader in the hierarchy
+ */
+async function getLeaderDashboard(pool, leaderEmail, options = {}) {
+    const entry = await hierarchy.getHierarchyEntry(pool, leaderEmail);
+    if (!entry || entry.role === 'Agent') return null;
+
+    const agents = await hierarchy.getTeamMembers(pool, entry.person_email, { role: 'Agent' });
+    const [dashboard] = await buildDashboards(pool, [{
+        leader: { email: entry.person_email, name: entry.person_name, role: entry.role },
+        agentEmails: agents.map(agent => agent.person_email),
+    }], resolvePeriod(options));
+
+    return dashboard;
+}
+
+/**
+ * Roll-up across leaders: one summary per direct leader of agents, plus totals
+ * The lists of pending recommendations and missed weeks are left out (see getLeaderDashboard)
+ * options: from, to as getLeaderDashboard, visibleEmails (lowercase; only these leaders, omit for everyone)
+ */
+async function getDashboardRollup(pool, options = {}) {
+    const period = resolvePeriod(options);
+
+    const teamsByLeader = new Map();
+    (await hierarchy.getAgentsWithLeaders(pool)).forEach(agent => {
+        if (options.visibleEmails && !options.visibleEmails.includes(agent.leader_email.toLowerCase())) return;
+
+        if (!teamsByLeader.has(agent.leader_email)) {
+            teamsByLeader.set(agent.leader_email, {
+                leader: { email: agent.leader_email, name: agent.leader_name, directorEmail: agent.director_email },
+                agentEmails: [],
+            });
+        }
+        teamsByLeader.get(agent.leader_email).agentEmails.push(agent.agent_email);
+    });
+
+    const dashboards = await buildDashboards(pool, [...teamsByLeader.values()], period);
+    const leaders = dashboards.map(({ pendingRecommendations, compliance, ...dashboard }) => {
+        const { items, ...pending } = pendingRecommendations;
+        const { missedWeeks, ...rest } = compliance;
+        return { ...dashboard, pendingRecommendations: pending, compliance: rest };
+    });
+
+    const totals = {
+        leaders: leaders.length,
+        teamSize: 0,
+        pendingRecommendations: 0,
+        warningsIssued: 0,
+        underperformingWeeks: 0,
+        actioned: 0,
+        missed: 0,
+        open: 0,
+    };
+    leaders.forEach(leader => {
+        totals.teamSize += leader.teamSize;
+        totals.pendingRecommendations += leader.pendingRecommendations.count;
+        totals.warningsIssued += leader.warningsIssued.total;
+        ['underperformingWeeks', 'actioned', 'missed', 'open'].forEach(key => { totals[key] += leader.compliance[key]; });
+    });
+    const decided = totals.actioned + totals.missed;
+    totals.complianceRate = decided > 0 ? round2(totals.actioned / decided * 100) : null;
+
+    return { period, leaders, totals };
+}
+
+module.exports = {
+    resolvePeriod,
+    getLeaderDashboard,
+    getDashboardRollup,
+};
@@ -0,0 +1,150 @@
+// leadershipReports.js
+// Leadership behavior reports issued to leaders who leave underperforming agents unactioned
+// Each new report climbs the ladder from the leader's highest active report
+
+const { withTransaction } = require('./db');
+const escalationPolicy = require('./escalationPolicy');
+
+// Escalation ladder, least to most severe (Written Warning repeats once reached)
+const REPORT_LADDER = ['First Report', 'Second Report', 'Verbal Warning', 'Written Warning'];
+
+/**
+ * Report type that follows a leader's active reports
+ */
+function getNextReportType(activeReports) {
+    const highestRung = Math.max(-1, ...activeReports.map(r => REPORT_LADDER.indexOf(r.report_type)));
+    return REPORT_LADDER[Math.min(highestRung + 1, REPORT_LADDER.length - 1)];
+}
+
+/**
+ * Reports that still count for a leader on a date (active, issued by then and not lapsed)
+ */
+async function getActiveReports(pool, leaderEmail, asOfDate) {
+    const query = `
+        SELECT * FROM consolidations.leadership_reports
+        WHERE leader_email = $1
+            AND is_active = true
+            AND issued_date <= $2::date
+            AND (expires_date IS NULL OR expires_date >= $2::date)
+        ORDER BY issued_date DESC, report_id DESC
+    `;
+
+    const result = await pool.query(query, [leaderEmail, asOfDate || new Date()]);
+    return result.rows;
+}
+
+/**
+ * Get a leadership report by id
+ */
+async function getLeadershipReport(pool, reportId) {
+    const result = await pool.query(
+        'SELECT * FROM consolidations.leadership_reports WHERE report_id = $1',
+        [reportId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Issue the next report on the ladder to a leader
+ * The leader's hierarchy row is locked so concurrent issues for the same leader can't pick the same rung.
+ * expires_date comes from the policy in effect on the issue date
+ */
+async function issueLeadershipReport(pool, reportData) {
+    return withTransaction(pool, async (client) => {
+        const issuedDate = reportData.issuedDate || new Date().toISOString().slice(0, 10);
+
+        await client.query(
+            'SELECT 1 FROM consolidations.leader_hierarchy WHERE person_email = $1 FOR UPDATE',
+            [reportData.leaderEmail]
+        );
+
+        const activeReports = await getActiveReports(client, reportData.leaderEmail, issuedDate);
+        const reportType = getNextReportType(activeReports);
+
+        const policy = await escalationPolicy.getPolicy(client, { asOfDate: issuedDate });
+        const expirationDays = escalationPolicy.getReportExpirationDays(policy, reportType);
+
+        const result = await client.query(`
+            INSERT INTO consolidations.leadership_reports
+            (leader_id, leader_email, leader_name, agent_id, agent_email, agent_name, report_type,
+             issued_by, issued_by_email, issued_date, expires_date, is_active, reason, notes)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10::date + $11::int, true, $12, $13)
+            RETURNING *
+        `, [
+            reportData.leaderId,
+            reportData.leaderEmail,
+            reportData.leaderName || null,
+            reportData.agentId,
+            reportData.agentEmail,
+            reportData.agentName || null,
+            reportType,
+            reportData.issuedBy,
+            reportData.issuedByEmail || null,
+            issuedDate,
+            expirationDays,
+            reportData.reason,
+            reportData.notes || null,
+        ]);
+
+        return { report: result.rows[0], previousReports: activeReports.length };
+    });
+}
+
+/**
+ * Update a report's notes and/or deactivate it
+ * Deactivation is final - a deactivated report no longer counts towards the ladder
+ */
+async function updateLeadershipReport(pool, reportId, changes) {
+    const deactivate = changes.isActive === false;
+
+    const query = `
+        UPDATE consolidations.leadership_reports
+        SET notes = COALESCE($2, notes),
+            is_active = CASE WHEN $3 THEN false ELSE is_active END,
+            deactivated_date = CASE WHEN $3 AND is_active THEN CURRENT_DATE ELSE deactivated_date END,
+            deactivated_by = CASE WHEN $3 AND is_active THEN $4 ELSE deactivated_by END,
+            deactivation_reason = CASE WHEN $3 AND is_active THEN $5 ELSE deactivation_reason END,
+            updated_at = NOW()
+        WHERE report_id = $1
+        RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+        reportId,
+        changes.notes === undefined ? null : changes.notes,
+        deactivate,
+        changes.changedBy || null,
+        changes.reason || null,
+    ]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Expiry sweep: deactivate active reports past expires_date
+ */
+async function expireLeadershipReports(pool, changedBy) {
+    const query = `
+        UPDATE consolidations.leadership_reports
+        SET is_active = false,
+            deactivated_date = CURRENT_DATE,
+            deactivated_by = $1,
+            deactivation_reason = 'Passed expiry date ' || TO_CHAR(expires_date, 'YYYY-MM-DD'),
+            updated_at = NOW()
+        WHERE is_active = true
+            AND expires_date < CURRENT_DATE
+        RETURNING report_id
+    `;
+
+    const result = await pool.query(query, [changedBy]);
+    return result.rows.map(r => r.report_id);
+}
+
+module.exports = {
+    REPORT_LADDER,
+    getNextReportType,
+    getActiveReports,
+    getLeadershipReport,
+    issueLeadershipReport,
+    updateLeadershipReport,
+    expireLeadershipReports,
+};
@@ -0,0 +1,70 @@
+// Apply, revert or list schema migrations (see migrations.js)
+// Usage: node migrate.js up [version]    apply pending migrations (up to and including version)
+//        node migrate.js down [steps]    revert the last applied migration(s), default 1
+//        node migrate.js status          list migrations and whether they are applied
+require('dotenv').config();
+const { Pool } = require('pg');
+const migrations = require('./migrations');
+
+const pool = new Pool({
+    user: process.env.DB_USER ? process.env.DB_USER.trim() : undefined,
+    host: process.env.DB_HOST ? process.env.DB_HOST.trim() : undefined,
+    database: process.env.DB_NAME ? process.env.DB_NAME.trim() : undefined,
+    password: process.env.DB_PASSWORD ? process.env.DB_PASSWORD.trim() : undefined,
+    port: parseInt(process.env.DB_PORT || '25060'),
+    ssl: { rejectUnauthorized: false }
+});
+
+const USAGE = 'Usage: node migrate.js <up [version] | down [steps] | status>';
+
+async function up(version) {
+    if (version !== undefined && !/^\d+$/.test(version)) {
+        throw new Error(`version must be a migration number. ${USAGE}`);
+    }
+
+    const applied = await migrations.migrateUp(pool, { to: version, log: console.log });
+    console.log(applied.length === 0 ? 'Nothing to apply' : `Applied ${applied.length} migration(s)`);
+}
+
+async function down(steps = '1') {
+    if (!/^\d+$/.test(steps) || Number(steps) < 1) {
+        throw new Error(`steps must be a positive integer. ${USAGE}`);
+    }
+
+    const reverted = await migrations.migrateDown(pool, { steps: Number(steps), log: console.log });
+    console.log(reverted.length === 0 ? 'Nothing to revert' : `Reverted ${reverted.length} migration(s)`);
+}
+
+async function status() {
+    const rows = await migrations.getMigrationStatus(pool);
+    if (rows.length === 0) {
+        console.log('No migrations found');
+        return;
+    }
+
+    rows.forEach(row => {
+        const applied = row.appliedAt ? ` (applied ${row.appliedAt.toISOString()})` : '';
+        const reversible = row.reversible ? '' : ' [no down]';
+        console.log(`${row.state.padEnd(8)} ${row.version}_${row.name}${reversible}${applied}`);
+    });
+}
+
+async function migrate() {
+    const [command, arg] = process.argv.slice(2);
+    const commands = { up, down, status };
+
+    if (!commands[command]) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await commands[command](arg);
+        process.exit(0);
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,241 @@
+// migrations.js
+// Versioned schema migrations from the migrations/ directory
+// Files are <version>_<name>.up.sql with an optional <version>_<name>.down.sql, applied in version order;
+// consolidations.schema_migrations records each applied version with the SHA-256 of its up file,
+// so an applied migration that was edited afterwards is reported instead of silently diverging
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([A-Za-z0-9_]+)\.(up|down)\.sql$/;
+
+// Advisory lock held while migrating, so two runners never apply migrations at the same time
+const MIGRATION_LOCK_KEY = 7302;
+
+function checksum(sql) {
+    // Line endings are normalised so a checkout with CRLF doesn't count as an edit
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migration files, sorted by version
+ * Returns [{ version, name, upSql, downSql, checksum }]; throws on malformed or duplicate files
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const byVersion = new Map();
+
+    fs.readdirSync(dir).forEach(file => {
+        if (!file.endsWith('.sql')) return;
+
+        const match = MIGRATION_FILE.exec(file);
+        if (!match) {
+            throw new Error(`Migration file "${file}" must be named <version>_<name>.up.sql or <version>_<name>.down.sql`);
+        }
+
+        const [, version, name, direction] = match;
+        const migration = byVersion.get(version) || { version, name, upSql: null, downSql: null };
+        if (migration.name !== name) {
+            throw new Error(`Migration version ${version} is used by both "${migration.name}" and "${name}"`);
+        }
+
+        migration[direction === 'up' ? 'upSql' : 'downSql'] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    });
+
+    return [...byVersion.values()]
+        .map(migration => {
+            if (migration.upSql === null) {
+                throw new Error(`Migration ${migration.version}_${migration.name} has a down file but no up file`);
+            }
+            return { ...migration, checksum: checksum(migration.upSql) };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(pool) {
+    await pool.query(`
+        CREATE SCHEMA IF NOT EXISTS consolidations;
+
+        CREATE TABLE IF NOT EXISTS consolidations.schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL, -- SHA-256 of the up file when it was applied
+            applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+            applied_by VARCHAR(255) NOT NULL DEFAULT CURRENT_USER,
+            execution_ms INT
+        );
+    `);
+}
+
+/**
+ * Applied migrations by version, in numeric version order (empty when the tracking table doesn't exist yet)
+ * version is text, so it is cast to sort 10 after 9
+ */
+async function getAppliedMigrations(pool) {
+    const exists = await pool.query(`SELECT to_regclass('consolidations.schema_migrations') IS NOT NULL as exists`);
+    if (!exists.rows[0].exists) return new Map();
+
+    const result = await pool.query('SELECT * FROM consolidations.schema_migrations ORDER BY version::numeric');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Every migration with its state:
+ * 'Applied', 'Pending', 'Modified' (applied, but the up file changed since) or 'Missing' (applied, file gone)
+ */
+async function getMigrationStatus(pool, dir = MIGRATIONS_DIR) {
+    const migrations = loadMigrations(dir);
+    const applied = await getAppliedMigrations(pool);
+
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        let state = 'Pending';
+        if (row) state = row.checksum === migration.checksum ? 'Applied' : 'Modified';
+
+        return {
+            version: migration.version,
+            name: migration.name,
+            state,
+            reversible: migration.downSql !== null,
+            appliedAt: row ? row.applied_at : null,
+        };
+    });
+
+    applied.forEach(row => {
+        if (!migrations.some(m => m.version === row.version)) {
+            status.push({ version: row.version, name: row.name, state: 'Missing', reversible: false, appliedAt: row.applied_at });
+        }
+    });
+
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Run fn while holding the migration lock on a dedicated client
+ */
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        return await fn(client);
+    } finally {
+        let unlockError;
+        try {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        } catch (err) {
+            unlockError = err;
+            throw err;
+        } finally {
+            // A connection that may still hold the lock is closed rather than returned to the pool
+            client.release(unlockError);
+        }
+    }
+}
+
+/**
+ * Run one migration file and record (or remove) it, in a single transaction
+ */
+async function runMigration(client, migration, direction) {
+    const started = Date.now();
+    await client.query('BEGIN');
+    try {
+        if (direction === 'up') {
+            await client.query(migration.upSql);
+            await client.query(`
+                INSERT INTO consolidations.schema_migrations (version, name, checksum, execution_ms)
+                VALUES ($1, $2, $3, $4)
+            `, [migration.version, migration.name, migration.checksum, Date.now() - started]);
+        } else {
+            await client.query(migration.downSql);
+            await client.query('DELETE FROM consolidations.schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+    }
+}
+
+/**
+ * Apply pending migrations in order, up to and including options.to when given
+ * Refuses to run while an applied migration is Modified or Missing
+ * Returns the migrations applied
+ */
+async function migrateUp(pool, options = {}) {
+    const log = options.log || (() => {});
+    const migrations = loadMigrations(options.dir);
+
+    return withMigrationLock(pool, async (client) => {
+        await ensureMigrationsTable(client);
+        const status = await getMigrationStatus(client, options.dir);
+
+        const drifted = status.filter(m => m.state === 'Modified' || m.state === 'Missing');
+        if (drifted.length > 0) {
+            throw new Error(`Applied migrations differ from the files: ${drifted.map(m => `${m.version}_${m.name} (${m.state})`).join(', ')}`);
+        }
+
+        const pending = migrations.filter(m =>
+            status.find(s => s.version === m.version).state === 'Pending' &&
+            (options.to === undefined || Number(m.version) <= Number(options.to)));
+
+        for (const migration of pending) {
+            log(`Applying ${migration.version}_${migration.name}`);
+            await runMigration(client, migration, 'up');
+        }
+
+        return pending.map(({ version, name }) => ({ version, name }));
+    });
+}
+
+/**
+ * Revert the most recently applied migrations (options.steps, default 1) using their down files
+ * Nothing is reverted when any of them has no down file
+ * Returns the migrations reverted
+ */
+async function migrateDown(pool, options = {}) {
+    const log = options.log || (() => {});
+    const steps = options.steps === undefined ? 1 : options.steps;
+    const migrations = loadMigrations(options.dir);
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = [...(await getAppliedMigrations(client)).values()].reverse().slice(0, steps);
+
+        const toRevert = applied.map(row => {
+            const migration = migrations.find(m => m.version === row.version);
+            if (!migration) {
+                throw new Error(`Cannot revert ${row.version}_${row.name}: its files are missing`);
+            }
+            if (migration.downSql === null) {
+                throw new Error(`Cannot revert ${row.version}_${row.name}: it has no down migration`);
+            }
+            return migration;
+        });
+
+        for (const migration of toRevert) {
+            log(`Reverting ${migration.version}_${migration.name}`);
+            await runMigration(client, migration, 'down');
+        }
+
+        return toRevert.map(({ version, name }) => ({ version, name }));
+    });
+}
+
+/**
+ * Migrations that keep the database from matching the code: Pending, Modified or Missing
+ */
+async function getOutstandingMigrations(pool, dir = MIGRATIONS_DIR) {
+    const status = await getMigrationStatus(pool, dir);
+    return status.filter(m => m.state !== 'Applied');
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getMigrationStatus,
+    getOutstandingMigrations,
+    migrateUp,
+    migrateDown,
+};
@@ -0,0 +1,674 @@
+-- QPerform Warning & Recommendation System Database Schema
+-- This schema implements the Cases A-E warning and recommendation logic
+-- Uses existing warnings and action_log tables
+--
+-- Baseline migration: the schema as it stood in schema_warnings.sql before migrations.
+-- Every statement is idempotent so databases set up from that file can adopt it;
+-- later changes go in their own numbered migrations. There is no down migration.
+
+-- ====================================
+-- EXTEND EXISTING WARNINGS TABLE
+-- Add columns to support the recommendation engine
+-- ====================================
+
+-- Add new columns to existing warnings table if they don't exist
+DO $$
+BEGIN
+    -- Add warning_type column (Verbal, Written, Coaching)
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='warning_type'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN warning_type VARCHAR(50);
+        -- Migrate existing data: warning_level 1=Verbal, 2=Written, 3+=Written
+        UPDATE consolidations.warnings SET warning_type =
+            CASE
+                WHEN warning_level = 1 THEN 'Verbal'
+                WHEN warning_level >= 2 THEN 'Written'
+                ELSE 'Verbal'
+            END;
+    END IF;
+
+    -- Add metric_type column (Production or QA)
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='metric_type'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN metric_type VARCHAR(20) DEFAULT 'QA';
+    END IF;
+
+    -- Add warning_subtype column
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='warning_subtype'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN warning_subtype VARCHAR(100);
+    END IF;
+
+    -- Add issued_by column
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='issued_by'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN issued_by VARCHAR(255);
+    END IF;
+
+    -- Add notes column
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='notes'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN notes TEXT;
+    END IF;
+
+    -- Add week reference columns
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='week_start_date'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN week_start_date DATE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='week_end_date'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN week_end_date DATE;
+    END IF;
+
+    -- Add client and category columns
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='client'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN client VARCHAR(255);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='warnings' AND column_name='category'
+    ) THEN
+        ALTER TABLE consolidations.warnings ADD COLUMN category VARCHAR(255);
+    END IF;
+END $$;
+
+-- Create indexes on new columns
+CREATE INDEX IF NOT EXISTS idx_warnings_warning_type ON consolidations.warnings(warning_type);
+CREATE INDEX IF NOT EXISTS idx_warnings_metric_type ON consolidations.warnings(metric_type);
+CREATE INDEX IF NOT EXISTS idx_warnings_status ON consolidations.warnings(status);
+CREATE INDEX IF NOT EXISTS idx_warnings_issue_date ON consolidations.warnings(issue_date);
+
+-- ====================================
+-- WARNING STATUS HISTORY TABLE
+-- One row per status transition (Issued, Rescinded, Appeal Opened/Upheld/Overturned, Expired)
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.warning_status_history (
+    history_id SERIAL PRIMARY KEY,
+    warning_id INT NOT NULL REFERENCES consolidations.warnings(id),
+    from_status VARCHAR(20), -- NULL when the warning is issued
+    to_status VARCHAR(20) NOT NULL, -- 'Active', 'Under Appeal', 'Rescinded', 'Expired'
+    action VARCHAR(30) NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(255),
+    changed_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for warning_status_history table
+CREATE INDEX IF NOT EXISTS idx_warning_history_warning ON consolidations.warning_status_history(warning_id);
+
+-- ====================================
+-- RECOMMENDATIONS TABLE
+-- Tracks generated recommendations for agents and leaders
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.recommendations (
+    recommendation_id SERIAL PRIMARY KEY,
+    agent_id VARCHAR(50) NOT NULL,
+    agent_email VARCHAR(255) NOT NULL,
+    agent_name VARCHAR(255),
+    recommendation_type VARCHAR(100) NOT NULL, -- 'Second Verbal Warning', 'Written Warning', etc.
+    case_type VARCHAR(10) NOT NULL, -- 'First', 'A', 'B', 'C', 'D', 'E'
+    metric_type VARCHAR(20) NOT NULL, -- 'Production' or 'QA' ('Both' for leadership cases)
+    recommendation_text TEXT NOT NULL, -- Detailed recommendation
+    priority VARCHAR(20) DEFAULT 'Medium', -- 'Low', 'Medium', 'High', 'Critical'
+    generated_date DATE NOT NULL,
+    generated_for_week_start DATE, -- Week that triggered this recommendation
+    generated_for_week_end DATE,
+    is_actioned BOOLEAN DEFAULT false, -- Has the recommendation been acted upon?
+    actioned_date DATE,
+    actioned_by VARCHAR(100),
+    actioned_by_email VARCHAR(255),
+    action_notes TEXT,
+    client VARCHAR(255),
+    category VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for recommendations table
+CREATE INDEX IF NOT EXISTS idx_rec_agent_email ON consolidations.recommendations(agent_email);
+CREATE INDEX IF NOT EXISTS idx_rec_generated_date ON consolidations.recommendations(generated_date);
+CREATE INDEX IF NOT EXISTS idx_rec_is_actioned ON consolidations.recommendations(is_actioned);
+CREATE INDEX IF NOT EXISTS idx_rec_case_type ON consolidations.recommendations(case_type);
+CREATE INDEX IF NOT EXISTS idx_rec_priority ON consolidations.recommendations(priority);
+
+-- One agent recommendation per agent/metric/week so batch runs can be re-run safely
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rec_agent_metric_week
+    ON consolidations.recommendations(agent_email, metric_type, generated_for_week_start, generated_for_week_end)
+    WHERE case_type IN ('First', 'A', 'B', 'C');
+
+-- Add leadership columns to recommendations (Cases D/E target a leader, not an agent)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='recommendations' AND column_name='leader_email'
+    ) THEN
+        ALTER TABLE consolidations.recommendations ADD COLUMN leader_email VARCHAR(255);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='recommendations' AND column_name='leader_name'
+    ) THEN
+        ALTER TABLE consolidations.recommendations ADD COLUMN leader_name VARCHAR(255);
+    END IF;
+
+    -- Director who receives the leadership recommendation
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='recommendations' AND column_name='director_email'
+    ) THEN
+        ALTER TABLE consolidations.recommendations ADD COLUMN director_email VARCHAR(255);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_rec_leader_email ON consolidations.recommendations(leader_email);
+
+-- One leadership recommendation per leader/agent/week
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rec_leader_agent_week
+    ON consolidations.recommendations(leader_email, agent_email, generated_for_week_start, generated_for_week_end)
+    WHERE case_type IN ('D', 'E');
+
+-- ====================================
+-- LEADER HIERARCHY TABLE
+-- Who each person reports to: Agent -> Team Leader -> Director -> AVP
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.leader_hierarchy (
+    hierarchy_id SERIAL PRIMARY KEY,
+    person_id VARCHAR(50),
+    person_email VARCHAR(255) NOT NULL UNIQUE,
+    person_name VARCHAR(255),
+    role VARCHAR(30) NOT NULL, -- 'Agent', 'Team Leader', 'Director', 'AVP'
+    reports_to_email VARCHAR(255), -- Direct leader (NULL at the top of the hierarchy)
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for leader_hierarchy table
+CREATE INDEX IF NOT EXISTS idx_hierarchy_reports_to ON consolidations.leader_hierarchy(reports_to_email);
+CREATE INDEX IF NOT EXISTS idx_hierarchy_role ON consolidations.leader_hierarchy(role);
+
+-- ====================================
+-- LEADERSHIP BEHAVIOR REPORTS TABLE
+-- Tracks reports issued to leaders for not following procedures
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.leadership_reports (
+    report_id SERIAL PRIMARY KEY,
+    leader_id VARCHAR(50) NOT NULL,
+    leader_email VARCHAR(255) NOT NULL,
+    leader_name VARCHAR(255),
+    agent_id VARCHAR(50) NOT NULL, -- Agent who was left unactioned
+    agent_email VARCHAR(255) NOT NULL,
+    agent_name VARCHAR(255),
+    report_type VARCHAR(50) NOT NULL, -- 'First Report', 'Second Report', 'Verbal Warning', 'Written Warning'
+    issued_by VARCHAR(100) NOT NULL, -- AVP or higher who issued
+    issued_by_email VARCHAR(255),
+    issued_date DATE NOT NULL,
+    expires_date DATE,
+    is_active BOOLEAN DEFAULT true,
+    reason TEXT NOT NULL, -- Why the report was issued
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for leadership_reports table
+CREATE INDEX IF NOT EXISTS idx_leader_email ON consolidations.leadership_reports(leader_email);
+CREATE INDEX IF NOT EXISTS idx_leader_issued_date ON consolidations.leadership_reports(issued_date);
+CREATE INDEX IF NOT EXISTS idx_leader_is_active ON consolidations.leadership_reports(is_active);
+
+-- Record when and why a report stopped counting (lapsed or deactivated by hand)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='leadership_reports' AND column_name='deactivated_date'
+    ) THEN
+        ALTER TABLE consolidations.leadership_reports ADD COLUMN deactivated_date DATE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='leadership_reports' AND column_name='deactivated_by'
+    ) THEN
+        ALTER TABLE consolidations.leadership_reports ADD COLUMN deactivated_by VARCHAR(255);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema='consolidations' AND table_name='leadership_reports' AND column_name='deactivation_reason'
+    ) THEN
+        ALTER TABLE consolidations.leadership_reports ADD COLUMN deactivation_reason TEXT;
+    END IF;
+END $$;
+
+-- ====================================
+-- AT RISK TRACKING TABLE
+-- Tracks agents who are "at risk" based on underperformance patterns
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.at_risk_agents (
+    at_risk_id SERIAL PRIMARY KEY,
+    agent_id VARCHAR(50) NOT NULL,
+    agent_email VARCHAR(255) NOT NULL,
+    agent_name VARCHAR(255),
+    metric_type VARCHAR(20) NOT NULL, -- 'Production' or 'QA'
+    risk_level VARCHAR(20) NOT NULL, -- 'Low', 'Medium', 'High', 'Critical'
+    weeks_underperforming INT NOT NULL, -- Total weeks underperforming
+    consecutive_weeks INT NOT NULL, -- Consecutive weeks underperforming
+    month_name VARCHAR(20),
+    year_num INT,
+    last_underperforming_date DATE,
+    flagged_date DATE NOT NULL,
+    is_resolved BOOLEAN DEFAULT false,
+    resolved_date DATE,
+    resolved_by VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for at_risk_agents table
+CREATE INDEX IF NOT EXISTS idx_atrisk_agent_email ON consolidations.at_risk_agents(agent_email);
+CREATE INDEX IF NOT EXISTS idx_atrisk_is_resolved ON consolidations.at_risk_agents(is_resolved);
+CREATE INDEX IF NOT EXISTS idx_atrisk_risk_level ON consolidations.at_risk_agents(risk_level);
+
+-- At most one open entry per agent/metric/month so detection can upsert
+CREATE UNIQUE INDEX IF NOT EXISTS idx_atrisk_open_agent_month
+    ON consolidations.at_risk_agents(agent_email, metric_type, month_name, year_num)
+    WHERE is_resolved = false;
+
+-- ====================================
+-- WARNING EFFECTIVENESS TRACKING
+-- Tracks whether warnings lead to improvement
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.warning_effectiveness (
+    effectiveness_id SERIAL PRIMARY KEY,
+    warning_id INT REFERENCES consolidations.warnings(id),
+    agent_id VARCHAR(50) NOT NULL,
+    agent_email VARCHAR(255) NOT NULL,
+    weeks_after_warning INT NOT NULL, -- How many weeks after warning
+    performance_improved BOOLEAN, -- Did performance improve?
+    new_score NUMERIC(5,4), -- Score in the week being measured
+    previous_score NUMERIC(5,4), -- Score before warning
+    improvement_percentage NUMERIC(5,2), -- Percentage improvement
+    measured_date DATE NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for warning_effectiveness table
+CREATE INDEX IF NOT EXISTS idx_effectiveness_warning ON consolidations.warning_effectiveness(warning_id);
+CREATE INDEX IF NOT EXISTS idx_effectiveness_agent ON consolidations.warning_effectiveness(agent_email);
+
+-- One measurement per warning per interval (1, 2 and 4 weeks after)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_effectiveness_warning_weeks
+    ON consolidations.warning_effectiveness(warning_id, weeks_after_warning);
+
+-- ====================================
+-- ESCALATION POLICY TABLE
+-- Versioned policy values with optional per-client/category overrides
+-- Rows with NULL client/category apply to everyone; the most specific row wins
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.escalation_policy (
+    policy_id SERIAL PRIMARY KEY,
+    policy_key VARCHAR(50) NOT NULL, -- 'warning_expiration', 'leadership_report_expiration', 'at_risk_threshold', 'at_risk_mode', 'coaching_counts_as_action'
+    policy_value JSONB NOT NULL,
+    client VARCHAR(255), -- NULL = all clients
+    category VARCHAR(255), -- NULL = all categories
+    effective_from DATE NOT NULL,
+    effective_to DATE, -- Exclusive; NULL = still in effect
+    changed_by VARCHAR(255),
+    change_reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for escalation_policy table
+CREATE INDEX IF NOT EXISTS idx_policy_key_effective ON consolidations.escalation_policy(policy_key, effective_from);
+CREATE INDEX IF NOT EXISTS idx_policy_client ON consolidations.escalation_policy(client);
+
+-- ====================================
+-- AUTHENTICATION TABLES
+-- Local user store and bearer tokens (only the SHA-256 of a token is stored)
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.app_users (
+    user_id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE, -- Stored lowercase
+    display_name VARCHAR(255),
+    role VARCHAR(30) NOT NULL, -- 'Agent', 'Team Leader', 'Director', 'AVP', 'Admin'
+    password_hash TEXT NOT NULL, -- scrypt$<salt>$<hash>
+    is_active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS consolidations.auth_tokens (
+    token_hash CHAR(64) PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES consolidations.app_users(user_id),
+    issued_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+-- Create indexes for auth_tokens table
+CREATE INDEX IF NOT EXISTS idx_tokens_user ON consolidations.auth_tokens(user_id);
+
+-- ====================================
+-- AUDIT LOG TABLE
+-- Append-only record of every write to the disciplinary tables, filled by triggers.
+-- The API sets app.actor_email / app.actor_role for each transaction (see audit.js)
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    actor_email VARCHAR(255) NOT NULL, -- Database user when written outside the API
+    actor_role VARCHAR(30),
+    entity VARCHAR(50) NOT NULL, -- Table name, e.g. 'warnings'
+    entity_id VARCHAR(100),
+    operation VARCHAR(10) NOT NULL, -- 'INSERT', 'UPDATE', 'DELETE'
+    agent_email VARCHAR(255), -- Agent (or person) the record is about
+    before_data JSONB,
+    after_data JSONB
+);
+
+-- Create indexes for audit_log table
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON consolidations.audit_log(entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON consolidations.audit_log(actor_email);
+CREATE INDEX IF NOT EXISTS idx_audit_agent ON consolidations.audit_log(agent_email);
+CREATE INDEX IF NOT EXISTS idx_audit_occurred_at ON consolidations.audit_log(occurred_at);
+
+-- Audit rows can never be changed or removed
+CREATE OR REPLACE FUNCTION consolidations.audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'consolidations.audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_log_append_only ON consolidations.audit_log;
+CREATE TRIGGER trg_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON consolidations.audit_log
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_log_append_only();
+
+DROP TRIGGER IF EXISTS trg_audit_log_no_truncate ON consolidations.audit_log;
+CREATE TRIGGER trg_audit_log_no_truncate
+    BEFORE TRUNCATE ON consolidations.audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION consolidations.audit_log_append_only();
+
+-- Generic row audit trigger
+-- TG_ARGV[0]: primary key column; TG_ARGV[1] (optional): comma-separated columns to redact
+CREATE OR REPLACE FUNCTION consolidations.audit_row_change() RETURNS trigger AS $$
+DECLARE
+    before_row JSONB;
+    after_row JSONB;
+    redacted TEXT;
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN before_row := to_jsonb(OLD); END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN after_row := to_jsonb(NEW); END IF;
+
+    -- Skip updates that only touch bookkeeping columns
+    IF TG_OP = 'UPDATE'
+        AND before_row - 'updated_at' - 'last_login_at' = after_row - 'updated_at' - 'last_login_at' THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_NARGS > 1 THEN
+        FOREACH redacted IN ARRAY string_to_array(TG_ARGV[1], ',') LOOP
+            IF before_row ? redacted THEN before_row := jsonb_set(before_row, ARRAY[redacted], '"[redacted]"'); END IF;
+            IF after_row ? redacted THEN after_row := jsonb_set(after_row, ARRAY[redacted], '"[redacted]"'); END IF;
+        END LOOP;
+    END IF;
+
+    INSERT INTO consolidations.audit_log
+    (actor_email, actor_role, entity, entity_id, operation, agent_email, before_data, after_data)
+    VALUES (
+        COALESCE(NULLIF(current_setting('app.actor_email', true), ''), session_user),
+        NULLIF(current_setting('app.actor_role', true), ''),
+        TG_TABLE_NAME,
+        COALESCE(after_row, before_row) ->> TG_ARGV[0],
+        TG_OP,
+        COALESCE(after_row ->> 'agent_email', before_row ->> 'agent_email',
+                 after_row ->> 'person_email', before_row ->> 'person_email'),
+        before_row,
+        after_row
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_warnings ON consolidations.warnings;
+CREATE TRIGGER trg_audit_warnings
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.warnings
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('id');
+
+DROP TRIGGER IF EXISTS trg_audit_recommendations ON consolidations.recommendations;
+CREATE TRIGGER trg_audit_recommendations
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.recommendations
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('recommendation_id');
+
+DROP TRIGGER IF EXISTS trg_audit_action_log ON consolidations.action_log;
+CREATE TRIGGER trg_audit_action_log
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.action_log
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('id');
+
+DROP TRIGGER IF EXISTS trg_audit_leadership_reports ON consolidations.leadership_reports;
+CREATE TRIGGER trg_audit_leadership_reports
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.leadership_reports
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('report_id');
+
+DROP TRIGGER IF EXISTS trg_audit_at_risk_agents ON consolidations.at_risk_agents;
+CREATE TRIGGER trg_audit_at_risk_agents
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.at_risk_agents
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('at_risk_id');
+
+DROP TRIGGER IF EXISTS trg_audit_escalation_policy ON consolidations.escalation_policy;
+CREATE TRIGGER trg_audit_escalation_policy
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.escalation_policy
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('policy_id');
+
+DROP TRIGGER IF EXISTS trg_audit_leader_hierarchy ON consolidations.leader_hierarchy;
+CREATE TRIGGER trg_audit_leader_hierarchy
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.leader_hierarchy
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('hierarchy_id');
+
+DROP TRIGGER IF EXISTS trg_audit_app_users ON consolidations.app_users;
+CREATE TRIGGER trg_audit_app_users
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.app_users
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('user_id', 'password_hash');
+
+-- ====================================
+-- NOTIFICATIONS
+-- Leader digest preferences and a record of every digest sent (see notifications.js)
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.notification_preferences (
+    email VARCHAR(255) PRIMARY KEY, -- Stored lowercase
+    digest_frequency VARCHAR(10) NOT NULL DEFAULT 'Weekly', -- 'Daily', 'Weekly' or 'Off' (opted out)
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS consolidations.notification_log (
+    notification_id SERIAL PRIMARY KEY,
+    recipient_email VARCHAR(255) NOT NULL, -- Stored lowercase
+    notification_type VARCHAR(30) NOT NULL, -- 'Digest'
+    frequency VARCHAR(10), -- 'Daily' or 'Weekly'
+    subject TEXT NOT NULL,
+    recommendation_ids INT[], -- Unactioned recommendations listed in the message
+    at_risk_ids INT[], -- New at-risk entries listed in the message
+    status VARCHAR(10) NOT NULL, -- 'Sent' or 'Failed'
+    error_message TEXT,
+    message_id TEXT, -- SMTP Message-ID
+    sent_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for notification_log table
+CREATE INDEX IF NOT EXISTS idx_notification_recipient ON consolidations.notification_log(recipient_email, sent_at);
+
+-- ====================================
+-- WEBHOOKS
+-- Outbound event subscriptions and the delivery log / retry queue (see webhooks.js)
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.webhook_subscriptions (
+    subscription_id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL, -- e.g. {warning.created,recommendation.generated}
+    secret TEXT NOT NULL, -- HMAC-SHA256 signing key
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS consolidations.webhook_deliveries (
+    delivery_id BIGSERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL REFERENCES consolidations.webhook_subscriptions(subscription_id) ON DELETE CASCADE,
+    event_id UUID NOT NULL, -- Same for every subscription that receives the event
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'Pending', -- 'Pending', 'Delivered', 'Failed'
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT NOW(), -- NULL once Delivered or Failed
+    last_attempt_at TIMESTAMP,
+    last_status_code INT,
+    last_response TEXT,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for webhook_deliveries table
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON consolidations.webhook_deliveries(next_attempt_at)
+    WHERE status = 'Pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON consolidations.webhook_deliveries(subscription_id, created_at);
+
+DROP TRIGGER IF EXISTS trg_audit_webhook_subscriptions ON consolidations.webhook_subscriptions;
+CREATE TRIGGER trg_audit_webhook_subscriptions
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.webhook_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('subscription_id', 'secret');
+
+-- ====================================
+-- SCHEDULED JOBS
+-- One row per run of a scheduler job, scheduled or manual (see scheduler.js)
+-- ====================================
+CREATE TABLE IF NOT EXISTS consolidations.job_runs (
+    run_id BIGSERIAL PRIMARY KEY,
+    job_name VARCHAR(50) NOT NULL,
+    trigger_type VARCHAR(10) NOT NULL, -- 'Schedule' or 'Manual'
+    triggered_by VARCHAR(255), -- 'scheduler' or the user who started it
+    scheduled_for TIMESTAMP, -- Schedule slot; NULL for manual runs
+    instance_id VARCHAR(100), -- host:pid of the server that ran it
+    status VARCHAR(10) NOT NULL, -- 'Running', 'Succeeded', 'Failed', 'Abandoned'
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    rows_affected INT,
+    result JSONB,
+    error_message TEXT
+);
+
+-- Create indexes for job_runs table
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON consolidations.job_runs(job_name, started_at);
+
+-- A schedule slot is run once, however many server instances run the scheduler
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_slot ON consolidations.job_runs(job_name, scheduled_for)
+    WHERE scheduled_for IS NOT NULL;
+
+-- ====================================
+-- COMMENTS/AUDIT LOG
+-- ====================================
+COMMENT ON TABLE consolidations.warnings IS 'Tracks all warnings issued to agents for underperformance';
+COMMENT ON TABLE consolidations.warning_status_history IS 'Status transitions of each warning (issue, rescind, appeal, expiry)';
+COMMENT ON TABLE consolidations.recommendations IS 'Auto-generated recommendations based on warning history and underperformance';
+COMMENT ON TABLE consolidations.leadership_reports IS 'Behavior reports issued to leaders who fail to follow procedures';
+COMMENT ON TABLE consolidations.at_risk_agents IS 'Agents flagged as at-risk based on underperformance patterns';
+COMMENT ON TABLE consolidations.warning_effectiveness IS 'Tracks effectiveness of warnings in improving performance';
+COMMENT ON TABLE consolidations.escalation_policy IS 'Versioned escalation policy (warning expiration, at-risk rules) with per-client/category overrides';
+COMMENT ON TABLE consolidations.audit_log IS 'Append-only audit trail (actor, entity, operation, before/after) of every write';
+COMMENT ON TABLE consolidations.app_users IS 'Local user store for API authentication and role-based access';
+COMMENT ON TABLE consolidations.auth_tokens IS 'Bearer tokens issued at login (hashed)';
+COMMENT ON TABLE consolidations.leader_hierarchy IS 'Reporting line for agents and leaders (Agent -> Team Leader -> Director -> AVP)';
+COMMENT ON TABLE consolidations.notification_preferences IS 'Per-person digest frequency, or Off to opt out';
+COMMENT ON TABLE consolidations.notification_log IS 'Every digest email sent or attempted, with the records it listed';
+COMMENT ON TABLE consolidations.webhook_subscriptions IS 'Outbound webhook endpoints and the event types they receive';
+COMMENT ON TABLE consolidations.webhook_deliveries IS 'Each event queued for a webhook subscription, with its delivery attempts';
+COMMENT ON TABLE consolidations.job_runs IS 'Run history of scheduled and manually triggered jobs';
+
+-- ====================================
+-- VIEWS FOR COMMON QUERIES
+-- Dropped first: the views select t.* so CREATE OR REPLACE fails once columns are added
+-- ====================================
+
+-- View: Active warnings by agent
+DROP VIEW IF EXISTS consolidations.v_active_warnings;
+CREATE VIEW consolidations.v_active_warnings AS
+SELECT
+    w.*,
+    COUNT(*) OVER (PARTITION BY agent_email, metric_type) as total_active_warnings,
+    COUNT(CASE WHEN warning_type = 'Verbal' THEN 1 END) OVER (PARTITION BY agent_email, metric_type) as verbal_warnings,
+    COUNT(CASE WHEN warning_type = 'Written' THEN 1 END) OVER (PARTITION BY agent_email, metric_type) as written_warnings
+FROM consolidations.warnings w
+WHERE status IN ('Active', 'Under Appeal')
+    AND (expiration_date IS NULL OR expiration_date >= CURRENT_DATE);
+
+-- View: Unactioned recommendations
+DROP VIEW IF EXISTS consolidations.v_unactioned_recommendations;
+CREATE VIEW consolidations.v_unactioned_recommendations AS
+SELECT
+    r.*,
+    CURRENT_DATE - r.generated_date as days_pending
+FROM consolidations.recommendations r
+WHERE is_actioned = false
+ORDER BY priority DESC, generated_date ASC;
+
+-- View: At-risk agents summary
+DROP VIEW IF EXISTS consolidations.v_at_risk_summary;
+CREATE VIEW consolidations.v_at_risk_summary AS
+SELECT
+    a.*,
+    w.total_active_warnings,
+    w.verbal_warnings,
+    w.written_warnings
+FROM consolidations.at_risk_agents a
+LEFT JOIN (
+    SELECT
+        agent_email,
+        metric_type,
+        COUNT(*) as total_active_warnings,
+        COUNT(CASE WHEN warning_type = 'Verbal' THEN 1 END) as verbal_warnings,
+        COUNT(CASE WHEN warning_type = 'Written' THEN 1 END) as written_warnings
+    FROM consolidations.warnings
+    WHERE status IN ('Active', 'Under Appeal')
+        AND (expiration_date IS NULL OR expiration_date >= CURRENT_DATE)
+    GROUP BY agent_email, metric_type
+) w ON a.agent_email = w.agent_email AND a.metric_type = w.metric_type
+WHERE a.is_resolved = false;
+
+-- ====================================
+-- SAMPLE DATA (for testing)
+-- ====================================
+-- Uncomment below to insert sample data
+
+-- INSERT INTO consolidations.warning_history
+-- (agent_id, agent_email, agent_name, warning_type, metric_type, issued_by, issued_date, is_active)
+-- VALUES
+-- ('1431', 'test.agent@onq.global', 'Test Agent', 'Verbal', 'QA', 'Director Name', CURRENT_DATE - INTERVAL '2 weeks', true);
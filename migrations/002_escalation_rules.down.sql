@@ -0,0 +1,13 @@
+-- Recommendations with case types other than First/A/B/C/D/E are no longer deduplicated after this
+
+DROP INDEX consolidations.idx_rec_leader_agent_week;
+CREATE UNIQUE INDEX idx_rec_leader_agent_week
+    ON consolidations.recommendations(leader_email, agent_email, generated_for_week_start, generated_for_week_end)
+    WHERE case_type IN ('D', 'E');
+
+DROP INDEX consolidations.idx_rec_agent_metric_week;
+CREATE UNIQUE INDEX idx_rec_agent_metric_week
+    ON consolidations.recommendations(agent_email, metric_type, generated_for_week_start, generated_for_week_end)
+    WHERE case_type IN ('First', 'A', 'B', 'C');
+
+DROP TABLE consolidations.escalation_rules;
@@ -0,0 +1,41 @@
+-- Declarative escalation rules (see escalationRules.js)
+-- Each row is one rule of a ladder ('Agent' for Cases First/A/B/C, 'Leader' for Cases D/E);
+-- the rules of a ladder for one client/category scope are evaluated in rule_order, first match wins.
+-- Scopes without rows inherit the next less specific scope, then the built-in defaults
+
+CREATE TABLE consolidations.escalation_rules (
+    rule_id SERIAL PRIMARY KEY,
+    ladder VARCHAR(10) NOT NULL, -- 'Agent' or 'Leader'
+    client VARCHAR(255), -- NULL = all clients
+    category VARCHAR(255), -- NULL = all categories
+    rule_order INT NOT NULL, -- Evaluation order within the ladder/scope
+    case_type VARCHAR(10) NOT NULL, -- Stored as recommendations.case_type
+    description TEXT,
+    conditions JSONB NOT NULL, -- [{ fact, operator, value } | { any: [...] }], all must hold
+    recommendation VARCHAR(100) NOT NULL, -- recommendation_type
+    priority VARCHAR(20) NOT NULL, -- 'Low', 'Medium', 'High', 'Critical'
+    details TEXT NOT NULL, -- recommendation_text; {fact} placeholders are filled in
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_escalation_rules_scope_case
+    ON consolidations.escalation_rules(ladder, COALESCE(client, ''), COALESCE(category, ''), case_type);
+CREATE INDEX idx_escalation_rules_scope_order
+    ON consolidations.escalation_rules(ladder, client, category, rule_order);
+
+CREATE TRIGGER trg_audit_escalation_rules
+    AFTER INSERT OR UPDATE OR DELETE ON consolidations.escalation_rules
+    FOR EACH ROW EXECUTE FUNCTION consolidations.audit_row_change('rule_id');
+
+-- Rules can add case types, so agent and leadership recommendations are told apart
+-- by whether they target a leader instead of by a fixed list of cases
+DROP INDEX consolidations.idx_rec_agent_metric_week;
+CREATE UNIQUE INDEX idx_rec_agent_metric_week
+    ON consolidations.recommendations(agent_email, metric_type, generated_for_week_start, generated_for_week_end)
+    WHERE leader_email IS NULL;
+
+DROP INDEX consolidations.idx_rec_leader_agent_week;
+CREATE UNIQUE INDEX idx_rec_leader_agent_week
+    ON consolidations.recommendations(leader_email, agent_email, generated_for_week_start, generated_for_week_end)
+    WHERE leader_email IS NOT NULL;
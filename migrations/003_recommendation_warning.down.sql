@@ -0,0 +1,11 @@
+DROP VIEW consolidations.v_unactioned_recommendations;
+
+ALTER TABLE consolidations.recommendations DROP COLUMN warning_id;
+
+CREATE VIEW consolidations.v_unactioned_recommendations AS
+SELECT
+    r.*,
+    CURRENT_DATE - r.generated_date as days_pending
+FROM consolidations.recommendations r
+WHERE is_actioned = false
+ORDER BY priority DESC, generated_date ASC;
@@ -0,0 +1,17 @@
+-- Link a recommendation to the warning issued when it was actioned
+-- (the warning links to its action_log entry through action_log_id)
+
+ALTER TABLE consolidations.recommendations
+    ADD COLUMN warning_id INT REFERENCES consolidations.warnings(id);
+
+CREATE INDEX idx_rec_warning_id ON consolidations.recommendations(warning_id);
+
+-- Recreated so r.* picks up warning_id
+DROP VIEW consolidations.v_unactioned_recommendations;
+CREATE VIEW consolidations.v_unactioned_recommendations AS
+SELECT
+    r.*,
+    CURRENT_DATE - r.generated_date as days_pending
+FROM consolidations.recommendations r
+WHERE is_actioned = false
+ORDER BY priority DESC, generated_date ASC;
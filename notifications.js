@@ -0,0 +1,262 @@
+// notifications.js
+// Email digests to leaders: their team's unactioned recommendations and newly at-risk agents
+// Sent over SMTP (SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASSWORD, from NOTIFY_FROM);
+// the defaults point at a local fake SMTP server on port 1025 (MailHog, smtp4dev, ...)
+// Every attempt is recorded in consolidations.notification_log
+
+const nodemailer = require('nodemailer');
+const hierarchy = require('./hierarchy');
+const { renderDigest } = require('./digestTemplates');
+
+const DIGEST_FREQUENCIES = ['Daily', 'Weekly'];
+
+// 'Off' opts out of digests
+const DIGEST_PREFERENCES = [...DIGEST_FREQUENCIES, 'Off'];
+
+// Outcome of each send recorded in notification_log
+const NOTIFICATION_STATUSES = ['Sent', 'Failed'];
+
+// Leaders without a saved preference
+const DEFAULT_DIGEST_FREQUENCY = 'Weekly';
+
+// Look-back for new at-risk agents when a leader has never been sent a digest
+const PERIOD_DAYS = { Daily: 1, Weekly: 7 };
+
+// Hierarchy roles that receive a digest for the people below them
+const DIGEST_ROLES = ['Team Leader', 'Director', 'AVP'];
+
+let transport = null;
+
+/**
+ * SMTP transport, created on first use from the environment
+ */
+function getTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT || '1025'),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined,
+        });
+    }
+    return transport;
+}
+
+/**
+ * A person's digest frequency ('Daily', 'Weekly' or 'Off')
+ */
+async function getDigestPreference(pool, email) {
+    const result = await pool.query(`
+        SELECT digest_frequency FROM consolidations.notification_preferences
+        WHERE email = $1
+    `, [String(email).toLowerCase()]);
+
+    return result.rows[0] ? result.rows[0].digest_frequency : DEFAULT_DIGEST_FREQUENCY;
+}
+
+/**
+ * Save a person's digest frequency
+ */
+async function setDigestPreference(pool, email, frequency) {
+    if (!DIGEST_PREFERENCES.includes(frequency)) {
+        throw new Error(`Invalid digest frequency "${frequency}". Expected one of: ${DIGEST_PREFERENCES.join(', ')}`);
+    }
+
+    await pool.query(`
+        INSERT INTO consolidations.notification_preferences (email, digest_frequency)
+        VALUES ($1, $2)
+        ON CONFLICT (email) DO UPDATE SET
+            digest_frequency = EXCLUDED.digest_frequency,
+            updated_at = NOW()
+    `, [String(email).toLowerCase(), frequency]);
+
+    return frequency;
+}
+
+/**
+ * Active leaders whose digest frequency is frequency
+ */
+async function getDigestRecipients(pool, frequency) {
+    const result = await pool.query(`
+        SELECT h.*
+        FROM consolidations.leader_hierarchy h
+        LEFT JOIN consolidations.notification_preferences p ON p.email = LOWER(h.person_email)
+        WHERE h.is_active = true
+            AND h.role = ANY($1)
+            AND COALESCE(p.digest_frequency, $2) = $3
+        ORDER BY h.person_email
+    `, [DIGEST_ROLES, DEFAULT_DIGEST_FREQUENCY, frequency]);
+
+    return result.rows;
+}
+
+/**
+ * When the leader was last sent a digest, or null
+ */
+async function getLastDigestSentAt(pool, recipientEmail) {
+    const result = await pool.query(`
+        SELECT MAX(sent_at) as sent_at FROM consolidations.notification_log
+        WHERE recipient_email = $1 AND notification_type = 'Digest' AND status = 'Sent'
+    `, [recipientEmail]);
+
+    return result.rows[0].sent_at;
+}
+
+/**
+ * Content of one leader's digest
+ * newAtRisk holds open at-risk entries created since the leader's last digest
+ * (or within the frequency's period for a first digest)
+ */
+async function buildDigest(pool, leader, frequency) {
+    const team = await hierarchy.getTeamMembers(pool, leader.person_email);
+    const teamEmails = team.map(member => member.person_email.toLowerCase());
+    const lastSentAt = await getLastDigestSentAt(pool, leader.person_email.toLowerCase());
+
+    const [recommendations, newAtRisk] = await Promise.all([
+        pool.query(`
+            SELECT * FROM consolidations.v_unactioned_recommendations
+            WHERE LOWER(agent_email) = ANY($1)
+            ORDER BY days_pending DESC, recommendation_id
+        `, [teamEmails]),
+        pool.query(`
+            SELECT * FROM consolidations.at_risk_agents
+            WHERE LOWER(agent_email) = ANY($1)
+                AND is_resolved = false
+                AND created_at > COALESCE($2::timestamp, NOW() - $3::int * INTERVAL '1 day')
+            ORDER BY flagged_date, agent_email, metric_type
+        `, [teamEmails, lastSentAt, PERIOD_DAYS[frequency]]),
+    ]);
+
+    return {
+        leader,
+        frequency,
+        since: lastSentAt,
+        recommendations: recommendations.rows,
+        newAtRisk: newAtRisk.rows,
+    };
+}
+
+/**
+ * Record a send attempt
+ */
+async function logNotification(pool, entry) {
+    const result = await pool.query(`
+        INSERT INTO consolidations.notification_log
+        (recipient_email, notification_type, frequency, subject, recommendation_ids, at_risk_ids,
+         status, error_message, message_id)
+        VALUES ($1, 'Digest', $2, $3, $4, $5, $6, $7, $8)
+        RETURNING notification_id
+    `, [
+        entry.recipientEmail,
+        entry.frequency,
+        entry.subject,
+        entry.recommendationIds,
+        entry.atRiskIds,
+        entry.status,
+        entry.errorMessage || null,
+        entry.messageId || null,
+    ]);
+
+    return result.rows[0].notification_id;
+}
+
+/**
+ * Whether a digest was already sent to the leader today (so a rerun doesn't send twice)
+ */
+async function wasSentToday(pool, recipientEmail, frequency) {
+    const result = await pool.query(`
+        SELECT 1 FROM consolidations.notification_log
+        WHERE recipient_email = $1 AND notification_type = 'Digest' AND frequency = $2
+            AND status = 'Sent' AND sent_at >= CURRENT_DATE
+        LIMIT 1
+    `, [recipientEmail, frequency]);
+
+    return result.rows.length > 0;
+}
+
+/**
+ * Send the digest to every leader on this frequency
+ * Leaders with nothing to report, or already sent one today, are skipped;
+ * with dryRun the digests are rendered and returned but not sent or logged
+ * Returns { frequency, sent, skipped, failed } (sent holds the rendered digests on a dry run)
+ */
+async function sendDigests(pool, frequency, options = {}) {
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        throw new Error(`Invalid digest frequency "${frequency}". Expected one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+
+    const from = process.env.NOTIFY_FROM || 'qperform@localhost';
+    const results = { frequency, sent: [], skipped: [], failed: [] };
+    const leaders = await getDigestRecipients(pool, frequency);
+
+    for (const leader of leaders) {
+        const recipientEmail = leader.person_email.toLowerCase();
+
+        if (!options.dryRun && await wasSentToday(pool, recipientEmail, frequency)) {
+            results.skipped.push({ recipientEmail, reason: 'Already sent today' });
+            continue;
+        }
+
+        const digest = await buildDigest(pool, leader, frequency);
+        if (digest.recommendations.length === 0 && digest.newAtRisk.length === 0) {
+            results.skipped.push({ recipientEmail, reason: 'Nothing to report' });
+            continue;
+        }
+
+        const message = renderDigest(digest);
+        const entry = {
+            recipientEmail,
+            frequency,
+            subject: message.subject,
+            recommendationIds: digest.recommendations.map(r => r.recommendation_id),
+            atRiskIds: digest.newAtRisk.map(r => r.at_risk_id),
+        };
+
+        if (options.dryRun) {
+            results.sent.push({ ...entry, text: message.text, html: message.html });
+            continue;
+        }
+
+        let info;
+        let sendError = null;
+        try {
+            info = await getTransport().sendMail({ from, to: recipientEmail, ...message });
+        } catch (err) {
+            sendError = err;
+            console.error(`❌ Digest to ${recipientEmail} failed:`, err.message);
+        }
+
+        // Logged apart from the send, so a failed log write neither marks a delivered digest as failed
+        // nor stops the remaining leaders; it is reported on the entry instead
+        try {
+            entry.notificationId = await logNotification(pool, sendError
+                ? { ...entry, status: 'Failed', errorMessage: sendError.message }
+                : { ...entry, status: 'Sent', messageId: info.messageId });
+        } catch (err) {
+            console.error(`❌ Error logging digest to ${recipientEmail}:`, err.message);
+            entry.notificationId = null;
+            entry.logError = err.message;
+        }
+
+        if (sendError) {
+            results.failed.push({ ...entry, error: sendError.message });
+        } else {
+            results.sent.push(entry);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    DIGEST_FREQUENCIES,
+    DIGEST_PREFERENCES,
+    DEFAULT_DIGEST_FREQUENCY,
+    NOTIFICATION_STATUSES,
+    getDigestPreference,
+    setDigestPreference,
+    buildDigest,
+    sendDigests,
+};
@@ -0,0 +1,281 @@
+// pagination.js
+// Keyset (cursor) pagination, sorting and column selection for list endpoints
+// ?limit=100&sort=-kpi_qa,agent_email&fields=agent_email,kpi_qa&cursor=<X-Next-Cursor of the previous page>
+// The total row count goes in X-Total-Count; X-Next-Cursor is absent on the last page
+// Paging is opt-in: without limit or cursor every row is returned, as before paging existed
+
+// Page size when a cursor is given without a limit
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 5000;
+
+const RECOMMENDATION_COLUMNS = [
+    'recommendation_id', 'agent_id', 'agent_email', 'agent_name', 'recommendation_type', 'case_type',
+    'metric_type', 'recommendation_text', 'priority', 'generated_date', 'generated_for_week_start',
+    'generated_for_week_end', 'is_actioned', 'actioned_date', 'actioned_by', 'actioned_by_email',
+    'action_notes', 'client', 'category', 'leader_email', 'leader_name', 'director_email', 'created_at',
+];
+
+// Per endpoint: columns that may be sorted on / selected, the default sort,
+// and tiebreakers that make the order unique so a cursor never skips or repeats a row
+const PAGE_SPECS = {
+    performanceData: {
+        columns: [
+            'agent_id', 'agent_email', 'agent_name', 'client', 'category', 'task', 'month_name', 'year_num',
+            'week_range', 'start_date', 'kpi_qa', 'kpi_prod', 'flag_qa', 'flag_prod',
+        ],
+        defaultSort: ['agent_email', 'start_date'],
+        tiebreakers: ['agent_email', 'start_date', 'client', 'category', 'task'],
+    },
+    actionLog: {
+        columns: ['id', 'agent_email', 'action_type', 'description', 'taken_by', 'action_date', 'client', 'category'],
+        defaultSort: ['-action_date'],
+        tiebreakers: ['id'],
+    },
+    warnings: {
+        columns: [
+            'id', 'agent_email', 'action_log_id', 'warning_level', 'issue_date', 'expiration_date', 'status',
+            'warning_type', 'warning_subtype', 'metric_type', 'issued_by', 'notes', 'week_start_date',
+            'week_end_date', 'client', 'category',
+        ],
+        defaultSort: ['-issue_date'],
+        tiebreakers: ['id'],
+    },
+    recommendations: {
+        columns: RECOMMENDATION_COLUMNS,
+        defaultSort: ['-generated_date'],
+        tiebreakers: ['recommendation_id'],
+    },
+    unactionedRecommendations: {
+        columns: [...RECOMMENDATION_COLUMNS, 'days_pending'],
+        defaultSort: ['-priority', '-days_pending'],
+        tiebreakers: ['recommendation_id'],
+    },
+    leadershipRecommendations: {
+        columns: [...RECOMMENDATION_COLUMNS, 'days_pending'],
+        defaultSort: ['-generated_date', 'leader_email'],
+        tiebreakers: ['recommendation_id'],
+    },
+    notificationLog: {
+        columns: [
+            'notification_id', 'recipient_email', 'notification_type', 'frequency', 'subject',
+            'recommendation_ids', 'at_risk_ids', 'status', 'error_message', 'message_id', 'sent_at',
+        ],
+        defaultSort: ['-sent_at'],
+        tiebreakers: ['notification_id'],
+    },
+    webhookDeliveries: {
+        columns: [
+            'delivery_id', 'subscription_id', 'event_id', 'event_type', 'payload', 'status', 'attempts',
+            'next_attempt_at', 'last_attempt_at', 'last_status_code', 'last_response', 'last_error',
+            'delivered_at', 'created_at',
+        ],
+        defaultSort: ['-created_at'],
+        tiebreakers: ['delivery_id'],
+    },
+    jobRuns: {
+        columns: [
+            'run_id', 'job_name', 'trigger_type', 'triggered_by', 'scheduled_for', 'instance_id', 'status',
+            'started_at', 'finished_at', 'rows_affected', 'result', 'error_message',
+        ],
+        defaultSort: ['-started_at'],
+        tiebreakers: ['run_id'],
+    },
+};
+
+/**
+ * Parse "col,-col2" into [{ column, descending }]
+ * Returns an error message when a column is not sortable
+ */
+function parseSort(sortParam, spec) {
+    const terms = sortParam ? String(sortParam).split(',') : spec.defaultSort;
+    const sort = [];
+
+    for (const term of terms) {
+        const descending = term.startsWith('-');
+        const column = descending ? term.slice(1) : term;
+        if (!spec.columns.includes(column)) {
+            return `Cannot sort on "${column}". Sortable columns: ${spec.columns.join(', ')}`;
+        }
+        if (!sort.some(s => s.column === column)) sort.push({ column, descending });
+    }
+
+    spec.tiebreakers.forEach(column => {
+        if (!sort.some(s => s.column === column)) sort.push({ column, descending: false });
+    });
+
+    return sort;
+}
+
+function sortSignature(sort) {
+    return sort.map(s => (s.descending ? '-' : '') + s.column).join(',');
+}
+
+function encodeCursor(sort, values) {
+    return Buffer.from(JSON.stringify({ sort: sortSignature(sort), values })).toString('base64url');
+}
+
+/**
+ * Values of the last row of the previous page, or null when the cursor is invalid
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (decoded.sort !== sortSignature(sort) || !Array.isArray(decoded.values) || decoded.values.length !== sort.length) {
+            return null;
+        }
+        return decoded.values;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Read limit / sort / fields / cursor from the query string
+ * Returns { limit, sort, fields, after } or { error } for a 400 response
+ * limit is null (every row) unless limit or cursor was given
+ */
+function parsePageParams(query, spec) {
+    let limit = query.cursor ? DEFAULT_PAGE_SIZE : null;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+        }
+    }
+
+    const sort = parseSort(query.sort, spec);
+    if (typeof sort === 'string') return { error: sort };
+
+    let fields = null;
+    if (query.fields) {
+        fields = [...new Set(String(query.fields).split(','))];
+        const unknown = fields.filter(f => !spec.columns.includes(f));
+        if (unknown.length > 0) {
+            return { error: `Unknown fields: ${unknown.join(', ')}. Available: ${spec.columns.join(', ')}` };
+        }
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(query.cursor, sort);
+        if (!after) {
+            return { error: 'cursor is invalid or was issued for a different sort' };
+        }
+    }
+
+    return { limit, sort, fields, after };
+}
+
+/**
+ * ORDER BY for a sort; NULLs sort last ascending and first descending, so
+ * descending is the exact reverse of ascending and the keyset condition stays simple
+ */
+function orderByClause(sort) {
+    return ' ORDER BY ' + sort
+        .map(s => `${s.column} ${s.descending ? 'DESC NULLS FIRST' : 'ASC NULLS LAST'}`)
+        .join(', ');
+}
+
+/**
+ * A filtered query in sort order, unpaged (used by exports)
+ */
+function sortedQuery(query, sort) {
+    return `SELECT * FROM (${query}) page${orderByClause(sort)}`;
+}
+
+/**
+ * Condition for rows that come after the cursor values in the sort order
+ * Cursor values are the columns' text form, so Postgres parses them back as the column type
+ */
+function keysetCondition(sort, values, params) {
+    const placeholders = values.map(value => {
+        if (value === null) return null;
+        params.push(value);
+        return `$${params.length}`;
+    });
+
+    const equal = (i) => placeholders[i] === null
+        ? `${sort[i].column} IS NULL`
+        : `${sort[i].column} = ${placeholders[i]}`;
+
+    const after = (i) => {
+        const { column, descending } = sort[i];
+        if (placeholders[i] === null) return descending ? `${column} IS NOT NULL` : null;
+        return descending
+            ? `${column} < ${placeholders[i]}`
+            : `(${column} > ${placeholders[i]} OR ${column} IS NULL)`;
+    };
+
+    const terms = [];
+    sort.forEach((s, i) => {
+        const afterTerm = after(i);
+        if (!afterTerm) return;
+        terms.push([...sort.slice(0, i).map((_, j) => equal(j)), afterTerm].join(' AND '));
+    });
+
+    return terms.length > 0 ? `(${terms.map(t => `(${t})`).join(' OR ')})` : 'false';
+}
+
+/**
+ * Run one page of a filtered query (which must not have its own ORDER BY / LIMIT)
+ * With no limit the page is every remaining row
+ * Returns { rows, total, nextCursor }
+ */
+async function fetchPage(pool, query, params, page) {
+    const pageParams = [...params];
+    const select = page.fields ? page.fields.join(', ') : '*';
+    const cursorColumns = page.sort.map((s, i) => `${s.column}::text as "__cursor_${i}"`).join(', ');
+
+    let pageQuery = `
+        SELECT ${select}, ${cursorColumns}
+        FROM (${query}) page
+        WHERE 1=1
+    `;
+    if (page.after) {
+        pageQuery += ` AND ${keysetCondition(page.sort, page.after, pageParams)}`;
+    }
+    pageQuery += orderByClause(page.sort);
+    if (page.limit !== null) {
+        pageParams.push(page.limit + 1);
+        pageQuery += ` LIMIT $${pageParams.length}`;
+    }
+
+    const [pageResult, countResult] = await Promise.all([
+        pool.query(pageQuery, pageParams),
+        pool.query(`SELECT COUNT(*)::int as total FROM (${query}) page`, params),
+    ]);
+
+    const hasMore = page.limit !== null && pageResult.rows.length > page.limit;
+    const rows = hasMore ? pageResult.rows.slice(0, page.limit) : pageResult.rows;
+    const cursorValues = rows.map(row => {
+        const values = page.sort.map((s, i) => row[`__cursor_${i}`]);
+        page.sort.forEach((s, i) => delete row[`__cursor_${i}`]);
+        return values;
+    });
+
+    return {
+        rows,
+        total: countResult.rows[0].total,
+        nextCursor: hasMore ? encodeCursor(page.sort, cursorValues[cursorValues.length - 1]) : null,
+    };
+}
+
+/**
+ * Set X-Total-Count and (when there is another page) X-Next-Cursor
+ */
+function setPageHeaders(res, result) {
+    res.setHeader('X-Total-Count', result.total);
+    if (result.nextCursor) {
+        res.setHeader('X-Next-Cursor', result.nextCursor);
+    }
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    PAGE_SPECS,
+    parsePageParams,
+    sortedQuery,
+    fetchPage,
+    setPageHeaders,
+};
@@ -0,0 +1,209 @@
+// scheduler.js
+// In-process job scheduler: cron schedules, run history in consolidations.job_runs
+// and single-run locking across server instances
+// A job runs only while its instance holds a Postgres advisory lock for it, and a scheduled
+// slot is recorded at most once (unique job_name + scheduled_for), so several instances
+// can run the scheduler side by side
+// Set SCHEDULER_ENABLED=false to run no schedules (manual runs still work),
+// SCHEDULER_TIMEZONE to evaluate schedules in another zone than the server's,
+// and JOB_SCHEDULE_<NAME> (e.g. JOB_SCHEDULE_DAILY_DIGEST) to override a job's schedule, or 'off' to disable it
+
+const os = require('os');
+const { CronExpressionParser } = require('cron-parser');
+const { JOBS } = require('./jobs');
+
+// First key of the two-key advisory locks, so job locks don't collide with other advisory locks
+const JOB_LOCK_NAMESPACE = 7301;
+
+// Actor recorded in the audit trail for scheduled runs
+const SCHEDULER_ACTOR = { email: 'scheduler', role: 'System' };
+
+// setTimeout cannot wait longer than this; longer waits are re-armed
+const MAX_TIMER_MS = 2147483647;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// 'Abandoned' marks a run whose server died before it finished
+const RUN_STATUSES = ['Running', 'Succeeded', 'Failed', 'Abandoned'];
+
+// name -> { schedule, nextRunAt, timer }
+const scheduled = new Map();
+
+function getJob(name) {
+    return JOBS.find(job => job.name === name) || null;
+}
+
+/**
+ * Schedule in effect for a job: the JOB_SCHEDULE_<NAME> override or the job's default
+ * Returns null when the job is switched off
+ */
+function getSchedule(job) {
+    const override = process.env[`JOB_SCHEDULE_${job.name.toUpperCase().replace(/-/g, '_')}`];
+    const schedule = override ? override.trim() : job.schedule;
+    return schedule.toLowerCase() === 'off' ? null : schedule;
+}
+
+function nextRunAfter(schedule, date) {
+    return CronExpressionParser.parse(schedule, {
+        currentDate: date,
+        tz: process.env.SCHEDULER_TIMEZONE || undefined,
+    }).next().toDate();
+}
+
+/**
+ * Run a job once, holding its advisory lock for the duration
+ * options: trigger ('Schedule' or 'Manual'), actor (user the writes are attributed to), scheduledFor (schedule slot)
+ * Returns the job_runs row, or null when the job is already running (or the slot was already run elsewhere)
+ */
+async function runJob(pool, name, options = {}) {
+    const job = getJob(name);
+    if (!job) {
+        throw new Error(`Unknown job "${name}"`);
+    }
+
+    const actor = options.actor || SCHEDULER_ACTOR;
+    const lockClient = await pool.connect();
+    let locked = false;
+
+    try {
+        const lock = await lockClient.query(
+            'SELECT pg_try_advisory_lock($1, hashtext($2)) as locked',
+            [JOB_LOCK_NAMESPACE, name]
+        );
+        locked = lock.rows[0].locked;
+        if (!locked) return null;
+
+        // Holding the lock means no other run of this job is alive; earlier 'Running' rows died with their server
+        await pool.query(`
+            UPDATE consolidations.job_runs
+            SET status = 'Abandoned', finished_at = NOW()
+            WHERE job_name = $1 AND status = 'Running'
+        `, [name]);
+
+        const started = await pool.query(`
+            INSERT INTO consolidations.job_runs
+            (job_name, trigger_type, triggered_by, scheduled_for, instance_id, status)
+            VALUES ($1, $2, $3, $4, $5, 'Running')
+            ON CONFLICT (job_name, scheduled_for) WHERE scheduled_for IS NOT NULL DO NOTHING
+            RETURNING run_id
+        `, [name, options.trigger || 'Manual', actor.email, options.scheduledFor || null, INSTANCE_ID]);
+
+        if (started.rows.length === 0) return null;
+        const runId = started.rows[0].run_id;
+
+        let finished;
+        try {
+            const outcome = await job.run(pool, { actor });
+            finished = await pool.query(`
+                UPDATE consolidations.job_runs
+                SET status = 'Succeeded', finished_at = NOW(), rows_affected = $2, result = $3
+                WHERE run_id = $1
+                RETURNING *
+            `, [runId, outcome.rowsAffected, outcome.result || null]);
+        } catch (err) {
+            console.error(`❌ Job ${name} failed:`, err);
+            finished = await pool.query(`
+                UPDATE consolidations.job_runs
+                SET status = 'Failed', finished_at = NOW(), error_message = $2
+                WHERE run_id = $1
+                RETURNING *
+            `, [runId, err.message]);
+        }
+
+        return finished.rows[0];
+    } finally {
+        if (locked) {
+            await lockClient.query('SELECT pg_advisory_unlock($1, hashtext($2))', [JOB_LOCK_NAMESPACE, name]);
+        }
+        lockClient.release();
+    }
+}
+
+/**
+ * Arm the timer for a job's next slot; when it fires the job runs and the following slot is armed
+ */
+function scheduleNext(pool, job, schedule) {
+    const nextRunAt = nextRunAfter(schedule, new Date());
+    const entry = { schedule, nextRunAt, timer: null };
+    scheduled.set(job.name, entry);
+
+    const arm = () => {
+        const delay = nextRunAt.getTime() - Date.now();
+        if (delay > MAX_TIMER_MS) {
+            entry.timer = setTimeout(arm, MAX_TIMER_MS);
+            return;
+        }
+
+        entry.timer = setTimeout(async () => {
+            try {
+                const run = await runJob(pool, job.name, { trigger: 'Schedule', scheduledFor: nextRunAt });
+                if (run) {
+                    console.log(`✅ Job ${job.name} ${run.status.toLowerCase()} (${run.rows_affected ?? 0} rows)`);
+                } else {
+                    console.log(`⏭️  Job ${job.name} skipped - already running or run by another instance`);
+                }
+            } catch (err) {
+                console.error(`❌ Error running job ${job.name}:`, err);
+            }
+            scheduleNext(pool, job, schedule);
+        }, Math.max(delay, 0));
+    };
+
+    arm();
+}
+
+/**
+ * Start every job's schedule (no-op when SCHEDULER_ENABLED=false)
+ * A job whose schedule is invalid is logged and left unscheduled
+ */
+function startScheduler(pool) {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+        return;
+    }
+
+    JOBS.forEach(job => {
+        const schedule = getSchedule(job);
+        if (!schedule) return;
+
+        try {
+            scheduleNext(pool, job, schedule);
+        } catch (err) {
+            console.error(`❌ Invalid schedule "${schedule}" for job ${job.name}:`, err.message);
+        }
+    });
+
+    console.log(`⏰ Scheduler started: ${scheduled.size} of ${JOBS.length} jobs scheduled`);
+}
+
+/**
+ * Every job with its schedule, next run on this instance and most recent run
+ */
+async function listJobs(pool) {
+    const lastRuns = await pool.query(`
+        SELECT DISTINCT ON (job_name) *
+        FROM consolidations.job_runs
+        ORDER BY job_name, started_at DESC, run_id DESC
+    `);
+    const lastRunByJob = new Map(lastRuns.rows.map(run => [run.job_name, run]));
+
+    return JOBS.map(job => {
+        const entry = scheduled.get(job.name);
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: getSchedule(job),
+            scheduled: Boolean(entry),
+            nextRunAt: entry ? entry.nextRunAt : null,
+            lastRun: lastRunByJob.get(job.name) || null,
+        };
+    });
+}
+
+module.exports = {
+    RUN_STATUSES,
+    getJob,
+    runJob,
+    startScheduler,
+    listJobs,
+};
@@ -16,7 +16,8 @@ const port = 3001;
 // Middleware
 app.use(cors({
     origin: ['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:5174', 'http://127.0.0.1:5174', 'http://localhost:8080', 'http://localhost:3000'],
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Total-Count', 'X-Next-Cursor']
 }));
 app.use(express.json());
 
@@ -46,143 +47,242 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// ====================================
+// AUTHENTICATION
+// ====================================
+
+const auth = require('./auth');
+const audit = require('./audit');
+const dataExport = require('./dataExport');
+const pagination = require('./pagination');
+const dataFilters = require('./dataFilters');
+const { validateRequest, sendValidationErrors } = require('./validation');
+const { requireRole } = auth;
+
+// Log in with email + password and receive a bearer token
+app.post('/api/auth/login', validateRequest({
+    body: {
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true },
+    },
+}), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const session = await auth.login(pool, email, password);
+
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        console.log(`✅ ${session.user.email} logged in`);
+        res.json(session);
+    } catch (err) {
+        console.error('❌ Error logging in:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Every /api route registered below requires a bearer token
+app.use('/api', auth.authenticate(pool));
+
+/**
+ * SQL condition limiting rows to the agents the user may see ('' for AVP/Admin)
+ * Pushes the email list onto params, so call it after the other filters
+ */
+async function visibilityClause(req, params, column = 'agent_email') {
+    const visibleEmails = await auth.getVisibleEmails(pool, req.user);
+    if (visibleEmails === null) return '';
+
+    params.push(visibleEmails);
+    return ` AND LOWER(${column}) = ANY($${params.length})`;
+}
+
+/**
+ * Respond 403 unless the user may see this agent's records
+ */
+async function ensureAgentAccess(req, res, agentEmail) {
+    if (await auth.canAccessAgent(pool, req.user, agentEmail)) return true;
+
+    res.status(403).json({ error: 'You do not have access to this agent' });
+    return false;
+}
+
+// Current user
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// Revoke the current token
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await auth.logout(pool, req.token);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error logging out:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// List users
+app.get('/api/users', requireRole('Admin'), async (req, res) => {
+    try {
+        const users = await auth.listUsers(pool);
+        res.json(users);
+    } catch (err) {
+        console.error('❌ Error fetching users:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Create a user
+app.post('/api/users', requireRole('Admin'), validateRequest({
+    body: {
+        email: { type: 'email', required: true },
+        name: { type: 'string', maxLength: 255 },
+        role: { type: 'enum', values: auth.ROLES, required: true },
+        password: { type: 'string', required: true },
+    },
+}), async (req, res) => {
+    try {
+        const { email, name, role, password } = req.body;
+
+        const user = await audit.withActor(pool, req.user, (client) =>
+            auth.createUser(client, { email, name, role, password }));
+
+        console.log(`✅ User ${user.email} created with role ${user.role}`);
+        res.json({ success: true, user });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A user with this email already exists' });
+        }
+        console.error('❌ Error creating user:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Update a user's name, role, active flag or password
+app.patch('/api/users/:userId', requireRole('Admin'), validateRequest({
+    params: { userId: { type: 'id' } },
+    body: {
+        name: { type: 'string', maxLength: 255 },
+        role: { type: 'enum', values: auth.ROLES },
+        isActive: { type: 'boolean' },
+        password: { type: 'string' },
+    },
+}), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { name, role, isActive, password } = req.body;
+
+        const user = await audit.withActor(pool, req.user, (client) =>
+            auth.updateUser(client, userId, { name, role, isActive, password }));
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        console.log(`✅ User ${user.email} updated`);
+        res.json({ success: true, user });
+    } catch (err) {
+        console.error('❌ Error updating user:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 // --- API Routes ---
 
 // UPDATED: Get filter options with cascading support
 app.get('/api/filters', async (req, res) => {
     try {
-        const { client, category, month, year } = req.query;
+        const { filters, error } = dataFilters.parseDataFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // Build time filter
-        let timeFilter = '';
+        // Filters every list is narrowed by: time (month/year, from/to or ISO week) and agents,
+        // always within the agents the user may see
         const params = [];
-        let paramCount = 1;
-        
-        if (month && year) {
-            timeFilter = `WHERE month_name = $${paramCount} AND year_num = $${paramCount + 1}`;
-            params.push(month, parseInt(year));
-            paramCount += 2;
-        } else if (year) {
-            timeFilter = `WHERE year_num = $${paramCount}`;
-            params.push(parseInt(year));
-            paramCount += 1;
-        }
+        const scopeFilter = dataFilters.dataFilterClause(
+            dataFilters.pickFilters(filters, ['month', 'year', 'from', 'to', 'agentEmail']),
+            params
+        ) + await visibilityClause(req, params);
+
+        // Months, years and the date range only depend on what the user may see
+        const visibleParams = [];
+        const visibleFilter = await visibilityClause(req, visibleParams);
 
-        // 1. Get all distinct clients
+        // 1. Get all distinct clients (not narrowed by the client selection, so more can be picked)
         const clientsQuery = `
             SELECT DISTINCT client 
             FROM consolidations.data_qperform_weekly 
-            ${timeFilter}
+            WHERE 1=1 ${scopeFilter}
             ORDER BY client
         `;
         const clientsResult = await pool.query(clientsQuery, params);
         const clients = clientsResult.rows.map(r => r.client);
 
-        // 2. Get categories (filtered by client if provided)
-        let categoriesQuery;
-        let categoriesParams = [...params];
-        
-        if (client) {
-            const clientFilter = timeFilter 
-                ? `AND client = $${paramCount}` 
-                : `WHERE client = $${paramCount}`;
-            categoriesParams.push(client);
-            
-            categoriesQuery = `
-                SELECT DISTINCT category 
-                FROM consolidations.data_qperform_weekly 
-                ${timeFilter} ${clientFilter}
-                ORDER BY category
-            `;
-        } else {
-            categoriesQuery = `
-                SELECT DISTINCT category 
-                FROM consolidations.data_qperform_weekly 
-                ${timeFilter}
-                ORDER BY category
-            `;
-        }
-        
+        // 2. Get categories (filtered by the selected/excluded clients)
+        const categoriesParams = [...params];
+        const categoriesFilter = dataFilters.dataFilterClause(
+            dataFilters.pickFilters(filters, ['client']),
+            categoriesParams
+        );
+
+        const categoriesQuery = `
+            SELECT DISTINCT category 
+            FROM consolidations.data_qperform_weekly 
+            WHERE 1=1 ${scopeFilter} ${categoriesFilter}
+            ORDER BY category
+        `;
         const categoriesResult = await pool.query(categoriesQuery, categoriesParams);
         const categories = categoriesResult.rows.map(r => r.category);
 
-        // 3. Get tasks (filtered by client and/or category if provided)
-        let tasksQuery;
-        let tasksParams = [...params];
-        let taskParamCount = paramCount;
-        
-        if (client && category) {
-            const filters = [];
-            if (timeFilter) {
-                filters.push(timeFilter.replace('WHERE', ''));
-            }
-            filters.push(`client = $${taskParamCount}`);
-            tasksParams.push(client);
-            taskParamCount++;
-            filters.push(`category = $${taskParamCount}`);
-            tasksParams.push(category);
-            
-            tasksQuery = `
-                SELECT DISTINCT task 
-                FROM consolidations.data_qperform_weekly 
-                WHERE ${filters.join(' AND ')}
-                ORDER BY task
-            `;
-        } else if (client) {
-            const clientFilter = timeFilter 
-                ? `AND client = $${taskParamCount}` 
-                : `WHERE client = $${taskParamCount}`;
-            tasksParams.push(client);
-            
-            tasksQuery = `
-                SELECT DISTINCT task 
-                FROM consolidations.data_qperform_weekly 
-                ${timeFilter} ${clientFilter}
-                ORDER BY task
-            `;
-        } else {
-            tasksQuery = `
-                SELECT DISTINCT task 
-                FROM consolidations.data_qperform_weekly 
-                ${timeFilter}
-                ORDER BY task
-            `;
-        }
-        
+        // 3. Get tasks (filtered by the selected/excluded clients and categories)
+        const tasksParams = [...params];
+        const tasksFilter = dataFilters.dataFilterClause(
+            dataFilters.pickFilters(filters, ['client', 'category']),
+            tasksParams
+        );
+
+        const tasksQuery = `
+            SELECT DISTINCT task 
+            FROM consolidations.data_qperform_weekly 
+            WHERE 1=1 ${scopeFilter} ${tasksFilter}
+            ORDER BY task
+        `;
         const tasksResult = await pool.query(tasksQuery, tasksParams);
         const tasks = tasksResult.rows.map(r => r.task);
 
-        // 4. Get months and years
+        // 4. Get months (in calendar order) and years
         const monthsQuery = `
-            SELECT DISTINCT month_name,
-                CASE month_name
-                    WHEN 'January' THEN 1
-                    WHEN 'February' THEN 2
-                    WHEN 'March' THEN 3
-                    WHEN 'April' THEN 4
-                    WHEN 'May' THEN 5
-                    WHEN 'June' THEN 6
-                    WHEN 'July' THEN 7
-                    WHEN 'August' THEN 8
-                    WHEN 'September' THEN 9
-                    WHEN 'October' THEN 10
-                    WHEN 'November' THEN 11
-                    WHEN 'December' THEN 12
-                END as month_order
+            SELECT month_name
             FROM consolidations.data_qperform_weekly 
-            ORDER BY month_order
+            WHERE month_name IS NOT NULL ${visibleFilter}
+            GROUP BY month_name
+            ORDER BY EXTRACT(MONTH FROM TO_DATE(month_name, 'Month'))
         `;
-        const monthsResult = await pool.query(monthsQuery);
+        const monthsResult = await pool.query(monthsQuery, visibleParams);
         const months = monthsResult.rows.map(r => r.month_name);
 
         const yearsQuery = `
             SELECT DISTINCT year_num 
             FROM consolidations.data_qperform_weekly 
+            WHERE 1=1 ${visibleFilter}
             ORDER BY year_num DESC
         `;
-        const yearsResult = await pool.query(yearsQuery);
+        const yearsResult = await pool.query(yearsQuery, visibleParams);
         const years = yearsResult.rows.map(r => r.year_num);
 
+        // 5. Range of dates covered by the data, for from/to pickers
+        const dateRangeResult = await pool.query(`
+            SELECT TO_CHAR(MIN(start_date), 'YYYY-MM-DD') as "from",
+                   TO_CHAR(MAX(start_date) + ${dataFilters.WEEK_SPAN_DAYS}, 'YYYY-MM-DD') as "to"
+            FROM consolidations.data_qperform_weekly
+            WHERE 1=1 ${visibleFilter}
+        `, visibleParams);
+        const dateRange = dateRangeResult.rows[0];
+
         console.log(`✅ Filters returned: ${clients.length} clients, ${categories.length} categories, ${tasks.length} tasks`);
         
         res.json({
@@ -190,121 +290,112 @@ app.get('/api/filters', async (req, res) => {
             categories,
             tasks,
             months,
-            years
+            years,
+            dateRange
         });
 
     } catch (err) {
         console.error('❌ Error fetching filters:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
-// Get monthly summary data (aggregated by client and category)
-app.get('/api/monthly-summary', async (req, res) => {
-    try {
-        const { month, year, category, client, task } = req.query;
-
-        // First get overall totals
-        let overallQuery = `
-            SELECT
-                COUNT(DISTINCT agent_id) as total_aftes,
-                COUNT(DISTINCT CASE
-                    WHEN flag_qa = 'Critical' OR flag_qa = 'Low'
-                    OR flag_prod = 'Critical' OR flag_prod = 'Low'
-                    THEN agent_id
-                END) as underperformers,
-                ROUND(AVG(kpi_qa) * 100, 2) as avg_score
+// metricType values accepted by the summary endpoints
+const SUMMARY_METRIC_TYPES = ['QA', 'Production', 'Both'];
+
+/**
+ * Weekly rows plus whether the agent is flagged on each metric anywhere in its summary group
+ * (partitionBy = the summary's GROUP BY columns); filters are appended to the WHERE
+ */
+function summaryScopeQuery(partitionBy) {
+    const partition = [...partitionBy, 'agent_id'].join(', ');
+    return `
+            SELECT *,
+                BOOL_OR(flag_qa IN ('Low', 'Critical')) OVER (PARTITION BY ${partition}) as agent_flagged_qa,
+                BOOL_OR(flag_prod IN ('Low', 'Critical')) OVER (PARTITION BY ${partition}) as agent_flagged_prod
             FROM consolidations.data_qperform_weekly
             WHERE 1=1
         `;
-
-        const params = [];
-        let paramCount = 1;
-
-        if (month) {
-            overallQuery += ` AND month_name = $${paramCount}`;
-            params.push(month);
-            paramCount++;
-        }
-
-        if (year) {
-            overallQuery += ` AND year_num = $${paramCount}`;
-            params.push(parseInt(year));
-            paramCount++;
-        }
-
-        if (category) {
-            overallQuery += ` AND category = $${paramCount}`;
-            params.push(category);
-            paramCount++;
-        }
-
-        if (client) {
-            overallQuery += ` AND client = $${paramCount}`;
-            params.push(client);
-            paramCount++;
-        }
-
-        if (task) {
-            overallQuery += ` AND task = $${paramCount}`;
-            params.push(task);
-            paramCount++;
-        }
-
-        // Get breakdown by client and category
-        let detailQuery = `
-            SELECT
-                client,
-                category,
+}
+
+/**
+ * Score and underperformer columns over a summaryScopeQuery
+ * avg_score / underperformers follow metricType; with Both, avg_score stays the QA average it has always been
+ * and underperformers counts agents flagged on either metric
+ */
+function summaryMetricColumns(metricType) {
+    const avgScore = metricType === 'Production' ? 'kpi_prod' : 'kpi_qa';
+    const flagged = {
+        QA: "flag_qa IN ('Low', 'Critical')",
+        Production: "flag_prod IN ('Low', 'Critical')",
+        Both: "flag_qa IN ('Low', 'Critical') OR flag_prod IN ('Low', 'Critical')",
+    }[metricType];
+
+    return `
                 COUNT(DISTINCT agent_id) as total_aftes,
-                ROUND(AVG(kpi_qa) * 100, 2) as avg_score
-            FROM consolidations.data_qperform_weekly
-            WHERE 1=1
+                COUNT(DISTINCT CASE WHEN ${flagged} THEN agent_id END) as underperformers,
+                ROUND(AVG(${avgScore}) * 100, 2) as avg_score,
+                ROUND(AVG(kpi_qa) * 100, 2) as avg_score_qa,
+                ROUND(AVG(kpi_prod) * 100, 2) as avg_score_prod,
+                COUNT(DISTINCT CASE WHEN flag_qa IN ('Low', 'Critical') THEN agent_id END) as underperformers_qa,
+                COUNT(DISTINCT CASE WHEN flag_prod IN ('Low', 'Critical') THEN agent_id END) as underperformers_prod,
+                COUNT(DISTINCT CASE WHEN agent_flagged_qa AND NOT agent_flagged_prod THEN agent_id END) as flagged_qa_only,
+                COUNT(DISTINCT CASE WHEN agent_flagged_prod AND NOT agent_flagged_qa THEN agent_id END) as flagged_prod_only,
+                COUNT(DISTINCT CASE WHEN agent_flagged_qa AND agent_flagged_prod THEN agent_id END) as flagged_both
         `;
+}
 
-        const detailParams = [];
-        let detailParamCount = 1;
+// Get monthly summary data (aggregated by client and category)
+app.get('/api/monthly-summary', requireRole('Team Leader'), validateRequest({
+    query: { metricType: { type: 'enum', values: SUMMARY_METRIC_TYPES } },
+}), dataExport.validateFormat, async (req, res) => {
+    try {
+        const metricType = req.query.metricType || 'Both';
 
-        if (month) {
-            detailQuery += ` AND month_name = $${detailParamCount}`;
-            detailParams.push(month);
-            detailParamCount++;
+        const { filters, error } = dataFilters.parseDataFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        if (year) {
-            detailQuery += ` AND year_num = $${detailParamCount}`;
-            detailParams.push(parseInt(year));
-            detailParamCount++;
-        }
+        // Both queries share the same filters and parameters
+        const params = [];
+        let where = dataFilters.dataFilterClause(filters, params);
+        where += await visibilityClause(req, params);
 
-        if (category) {
-            detailQuery += ` AND category = $${detailParamCount}`;
-            detailParams.push(category);
-            detailParamCount++;
-        }
+        // First get overall totals
+        const overallQuery = `
+            SELECT ${summaryMetricColumns(metricType)}
+            FROM (${summaryScopeQuery([])} ${where}) scoped
+        `;
 
-        if (client) {
-            detailQuery += ` AND client = $${detailParamCount}`;
-            detailParams.push(client);
-            detailParamCount++;
-        }
+        // Get breakdown by client and category
+        const detailQuery = `
+            SELECT client, category, ${summaryMetricColumns(metricType)}
+            FROM (${summaryScopeQuery(['client', 'category'])} ${where}) scoped
+            GROUP BY client, category ORDER BY client, category
+        `;
 
-        if (task) {
-            detailQuery += ` AND task = $${detailParamCount}`;
-            detailParams.push(task);
-            detailParamCount++;
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'monthly-summary',
+                columns: dataExport.EXPORT_COLUMNS.monthlySummary,
+                query: detailQuery,
+                params,
+            });
+            console.log(`✅ Exported monthly summary as ${exportFormat}`);
+            return;
         }
 
-        detailQuery += ` GROUP BY client, category ORDER BY client, category`;
-
         const [overallResult, detailResult] = await Promise.all([
             pool.query(overallQuery, params),
-            pool.query(detailQuery, detailParams)
+            pool.query(detailQuery, params)
         ]);
 
         console.log(`✅ Retrieved monthly summary - Overall:`, overallResult.rows[0]);
         console.log(`✅ Retrieved ${detailResult.rows.length} detail records`);
-        console.log(`🔍 Filters applied: month=${month}, year=${year}, client=${client}, category=${category}, task=${task}`);
+        console.log(`🔍 Filters applied:`, { ...filters, metricType });
 
         res.json({
             overall: overallResult.rows[0] || { total_aftes: 0, underperformers: 0, avg_score: 0 },
@@ -312,110 +403,111 @@ app.get('/api/monthly-summary', async (req, res) => {
         });
     } catch (err) {
         console.error('❌ Error fetching monthly summary:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get client summary data (aggregated by client only)
-app.get('/api/client-summary', async (req, res) => {
+app.get('/api/client-summary', requireRole('Team Leader'), validateRequest({
+    query: { metricType: { type: 'enum', values: SUMMARY_METRIC_TYPES } },
+}), dataExport.validateFormat, async (req, res) => {
     try {
-        const { month, year } = req.query;
-        
-        let query = `
-            SELECT 
-                client,
-                COUNT(DISTINCT agent_id) as total_aftes,
-                COUNT(DISTINCT CASE 
-                    WHEN flag_qa = 'Critical' OR flag_qa = 'Low' 
-                    OR flag_prod = 'Critical' OR flag_prod = 'Low' 
-                    THEN agent_id 
-                END) as underperformers,
-                COUNT(DISTINCT week_range) as weeks_with_issues,
-                ROUND(AVG(kpi_qa * 100), 2) as avg_score
-            FROM consolidations.data_qperform_weekly
-            WHERE 1=1
-        `;
-        
-        const params = [];
-        let paramCount = 1;
-        
-        if (month) {
-            query += ` AND month_name = $${paramCount}`;
-            params.push(month);
-            paramCount++;
+        const metricType = req.query.metricType || 'Both';
+
+        const { filters, error } = dataFilters.parseDataFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
         }
-        
-        if (year) {
-            query += ` AND year_num = $${paramCount}`;
-            params.push(parseInt(year));
-            paramCount++;
+
+        let query = summaryScopeQuery(['client']);
+        const params = [];
+        query += dataFilters.dataFilterClause(filters, params);
+        query += await visibilityClause(req, params);
+        query = `
+            SELECT client, COUNT(DISTINCT week_range) as weeks_with_issues, ${summaryMetricColumns(metricType)}
+            FROM (${query}) scoped
+            GROUP BY client ORDER BY client
+        `;
+
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'client-summary',
+                columns: dataExport.EXPORT_COLUMNS.clientSummary,
+                query,
+                params,
+            });
+            console.log(`✅ Exported client summary as ${exportFormat}`);
+            return;
         }
-        
-        query += ` GROUP BY client ORDER BY client`;
-        
+
         const { rows } = await pool.query(query, params);
         console.log(`✅ Retrieved ${rows.length} client summary records`);
         
         res.json(rows);
     } catch (err) {
         console.error('❌ Error fetching client summary:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get detailed weekly performance data (used for underperforming view grid)
-app.get('/api/performance-data', async (req, res) => {
+app.get('/api/performance-data', dataExport.validateFormat, async (req, res) => {
     try {
-        const { month, year, category, client, task } = req.query;
+        const { filters, error } = dataFilters.parseDataFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.performanceData);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
 
         let query = `
             SELECT * FROM consolidations.data_qperform_weekly
             WHERE 1=1
         `;
         const params = [];
-        let paramCount = 1;
-
-        if (month) {
-            query += ` AND month_name = $${paramCount}`;
-            params.push(month);
-            paramCount++;
-        }
-        if (year) {
-            query += ` AND year_num = $${paramCount}`;
-            params.push(parseInt(year));
-            paramCount++;
-        }
-        if (category) {
-            query += ` AND category = $${paramCount}`;
-            params.push(category);
-            paramCount++;
-        }
-        if (client) {
-            query += ` AND client = $${paramCount}`;
-            params.push(client);
-            paramCount++;
-        }
-        if (task) {
-            query += ` AND task = $${paramCount}`;
-            params.push(task);
-            paramCount++;
+        query += dataFilters.dataFilterClause(filters, params);
+        query += await visibilityClause(req, params);
+
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'performance-data',
+                columns: dataExport.EXPORT_COLUMNS.performanceData,
+                query: pagination.sortedQuery(query, page.sort),
+                params,
+            });
+            console.log(`✅ Exported performance data as ${exportFormat}`);
+            return;
         }
 
-        query += ` ORDER BY agent_email, start_date`;
-
-        const { rows } = await pool.query(query, params);
-        console.log(`✅ Retrieved ${rows.length} detailed performance records`);
-        res.json(rows);
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} detailed performance records`);
+        res.json(result.rows);
     } catch (err) {
         console.error('❌ Error fetching performance data:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // ACTION LOG
-app.get('/api/action-log', async (req, res) => {
+app.get('/api/action-log', validateRequest({
+    query: { agentEmail: { type: 'email' } },
+}), dataExport.validateFormat, async (req, res) => {
     try {
-        const query = `
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.actionLog);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const params = [];
+        let query = `
             SELECT 
                 id,
                 agent_email,
@@ -426,29 +518,61 @@ app.get('/api/action-log', async (req, res) => {
                 client,
                 category
             FROM consolidations.action_log
-            ORDER BY action_date DESC
+            WHERE 1=1
         `;
-        
-        const { rows } = await pool.query(query);
-        console.log(`✅ Retrieved ${rows.length} action log records`);
-        res.json(rows);
+
+        if (req.query.agentEmail) {
+            params.push(req.query.agentEmail);
+            query += ` AND agent_email = $${params.length}`;
+        }
+
+        query += await visibilityClause(req, params);
+
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'action-log',
+                columns: dataExport.EXPORT_COLUMNS.actionLog,
+                query: pagination.sortedQuery(query, page.sort),
+                params,
+            });
+            console.log(`✅ Exported action log as ${exportFormat}`);
+            return;
+        }
+
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} action log records`);
+        res.json(result.rows);
     } catch (err) {
         console.error('❌ Error fetching action log:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
-app.post('/api/action-log', async (req, res) => {
+app.post('/api/action-log', requireRole('Team Leader'), validateRequest({
+    body: {
+        agent_email: { type: 'email', required: true },
+        agent_id: { type: 'string', maxLength: 50 },
+        action_type: { type: 'string', required: true, maxLength: 100 },
+        description: { type: 'string' },
+        client: { type: 'string', maxLength: 255 },
+        category: { type: 'string', maxLength: 255 },
+    },
+}), async (req, res) => {
     try {
         const { 
             agent_email, 
             action_type, 
             description, 
-            taken_by, 
             client, 
             category,
             agent_id 
         } = req.body;
+        const taken_by = req.user.email;
+
+        if (!(await ensureAgentAccess(req, res, agent_email))) return;
         
         const query = `
             INSERT INTO consolidations.action_log 
@@ -467,7 +591,7 @@ app.post('/api/action-log', async (req, res) => {
             taken_by
         ];
         
-        const { rows } = await pool.query(query, params);
+        const { rows } = await audit.withActor(pool, req.user, (client) => client.query(query, params));
         
         res.json({ 
             success: true, 
@@ -477,12 +601,12 @@ app.post('/api/action-log', async (req, res) => {
         });
     } catch (err) {
         console.error('❌ Error creating action:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get table structure (debugging)
-app.get('/api/table-info', async (req, res) => {
+app.get('/api/table-info', requireRole('Admin'), async (req, res) => {
     try {
         const query = `
             SELECT column_name, data_type
@@ -496,7 +620,7 @@ app.get('/api/table-info', async (req, res) => {
         res.json(rows);
     } catch (err) {
         console.error('❌ Error fetching table info:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
@@ -505,13 +629,49 @@ app.get('/api/table-info', async (req, res) => {
 // ====================================
 
 const warningEngine = require('./warningEngine');
+const hierarchy = require('./hierarchy');
+const warningEffectiveness = require('./warningEffectiveness');
+const escalationPolicy = require('./escalationPolicy');
+const escalationRules = require('./escalationRules');
+const simulation = require('./simulation');
+const warningLifecycle = require('./warningLifecycle');
+const leadershipReports = require('./leadershipReports');
+const agentTimeline = require('./agentTimeline');
+const trends = require('./trends');
+const leaderDashboard = require('./leaderDashboard');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+const scheduler = require('./scheduler');
+const migrations = require('./migrations');
+
+// Request schema rules shared by the routes below
+const METRIC_TYPE_RULE = { type: 'enum', values: Object.keys(warningEngine.METRIC_COLUMNS) };
+const AGENT_EMAIL_PARAMS = { agentEmail: { type: 'email' } };
+const SCOPE_RULES = {
+    client: { type: 'string', maxLength: 255 },
+    category: { type: 'string', maxLength: 255 },
+};
+const WEEK_RANGE_BODY = {
+    weekStartDate: { type: 'date', required: true },
+    weekEndDate: { type: 'date', required: true },
+};
 
 // Get warnings for an agent
-app.get('/api/warnings/:agentEmail', async (req, res) => {
+app.get('/api/warnings/:agentEmail', validateRequest({
+    params: AGENT_EMAIL_PARAMS,
+    query: { metricType: METRIC_TYPE_RULE },
+}), async (req, res) => {
     try {
         const { agentEmail } = req.params;
         const { metricType } = req.query;
 
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.warnings);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+
         let query = `
             SELECT * FROM consolidations.warnings
             WHERE agent_email = $1
@@ -523,37 +683,64 @@ app.get('/api/warnings/:agentEmail', async (req, res) => {
             params.push(metricType);
         }
 
-        query += ` ORDER BY issue_date DESC`;
-
-        const { rows } = await pool.query(query, params);
-        console.log(`✅ Retrieved ${rows.length} warnings for ${agentEmail}`);
-        res.json(rows);
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} warnings for ${agentEmail}`);
+        res.json(result.rows);
     } catch (err) {
         console.error('❌ Error fetching warnings:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get active warnings for an agent
-app.get('/api/warnings/:agentEmail/active', async (req, res) => {
+app.get('/api/warnings/:agentEmail/active', validateRequest({
+    params: AGENT_EMAIL_PARAMS,
+    query: { metricType: METRIC_TYPE_RULE },
+}), async (req, res) => {
     try {
         const { agentEmail } = req.params;
         const { metricType } = req.query;
 
+        if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+
         const warnings = await warningEngine.getActiveWarnings(pool, agentEmail, metricType);
         console.log(`✅ Retrieved ${warnings.length} active warnings for ${agentEmail}`);
         res.json(warnings);
     } catch (err) {
         console.error('❌ Error fetching active warnings:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Create a warning
-app.post('/api/warnings', async (req, res) => {
+app.post('/api/warnings', requireRole('Team Leader'), validateRequest({
+    body: {
+        agentEmail: { type: 'email', required: true },
+        warningType: { type: 'enum', values: warningEngine.WARNING_TYPES, required: true },
+        warningSubtype: { type: 'string', maxLength: 100 },
+        metricType: METRIC_TYPE_RULE,
+        actionLogId: { type: 'id' },
+        issuedDate: { type: 'date' },
+        weekStartDate: { type: 'date' },
+        weekEndDate: { type: 'date' },
+        client: { type: 'string', maxLength: 255 },
+        category: { type: 'string', maxLength: 255 },
+        notes: { type: 'string' },
+    },
+}), async (req, res) => {
     try {
-        const warningData = req.body;
-        const warningId = await warningEngine.recordWarning(pool, warningData);
+        const warningData = { ...req.body, issuedBy: req.user.email };
+
+        if (!(await ensureAgentAccess(req, res, warningData.agentEmail))) return;
+
+        const warningId = await audit.withActor(pool, req.user, async (client) => {
+            const id = await warningEngine.recordWarning(client, warningData);
+            const warning = await client.query('SELECT * FROM consolidations.warnings WHERE id = $1', [id]);
+            await webhooks.emitEvent(client, 'warning.created', { warning: warning.rows[0] });
+            return id;
+        });
+        webhooks.dispatch(pool);
 
         console.log(`✅ Warning ${warningId} created for ${warningData.agentEmail}`);
         res.json({
@@ -563,15 +750,141 @@ app.post('/api/warnings', async (req, res) => {
         });
     } catch (err) {
         console.error('❌ Error creating warning:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Status history (issue, rescind, appeal, expiry) of an agent's warnings
+app.get('/api/warnings/:agentEmail/history', validateRequest({
+    params: AGENT_EMAIL_PARAMS,
+    query: { metricType: METRIC_TYPE_RULE },
+}), async (req, res) => {
+    try {
+        const { agentEmail } = req.params;
+        const { metricType } = req.query;
+
+        if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+
+        const history = await warningLifecycle.getAgentWarningHistory(pool, agentEmail, metricType);
+        console.log(`✅ Retrieved ${history.length} warning status changes for ${agentEmail}`);
+        res.json(history);
+    } catch (err) {
+        console.error('❌ Error fetching warning history:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+/**
+ * Shared handler for warning status transitions
+ * Loads the warning, checks access and that the transition is allowed, then runs it
+ */
+async function handleWarningTransition(req, res, toStatuses, transition) {
+    const { warningId } = req.params;
+
+    const warning = await warningLifecycle.getWarning(pool, warningId);
+    if (!warning) {
+        return res.status(404).json({ error: 'Warning not found' });
+    }
+
+    if (!(await ensureAgentAccess(req, res, warning.agent_email))) return;
+
+    if (!toStatuses.some(status => warningLifecycle.canTransition(warning.status, status))) {
+        return res.status(409).json({ error: `Warning is ${warning.status} and cannot be changed this way` });
+    }
+
+    const result = await transition(warningId);
+
+    console.log(`✅ Warning ${warningId}: ${result.transition.from_status} → ${result.transition.to_status}`);
+    res.json({ success: true, ...result });
+}
+
+// Rescind a warning
+app.post('/api/warnings/:warningId/rescind', requireRole('Team Leader'), validateRequest({
+    params: { warningId: { type: 'id' } },
+    body: { reason: { type: 'string', required: true } },
+}), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        await handleWarningTransition(req, res, ['Rescinded'], (warningId) =>
+            audit.withActor(pool, req.user, (client) =>
+                warningLifecycle.rescindWarning(client, warningId, reason, req.user.email)));
+    } catch (err) {
+        console.error('❌ Error rescinding warning:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Open an appeal against a warning (the agent or their leaders)
+app.post('/api/warnings/:warningId/appeal', validateRequest({
+    params: { warningId: { type: 'id' } },
+    body: { reason: { type: 'string', required: true } },
+}), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        await handleWarningTransition(req, res, ['Under Appeal'], (warningId) =>
+            audit.withActor(pool, req.user, (client) =>
+                warningLifecycle.openAppeal(client, warningId, reason, req.user.email)));
+    } catch (err) {
+        console.error('❌ Error opening appeal:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Resolve an appeal: Upheld (warning stands) or Overturned (warning rescinded)
+app.post('/api/warnings/:warningId/appeal/resolve', requireRole('Director'), validateRequest({
+    params: { warningId: { type: 'id' } },
+    body: {
+        outcome: { type: 'enum', values: warningLifecycle.APPEAL_OUTCOMES, required: true },
+        notes: { type: 'string' },
+    },
+}), async (req, res) => {
+    try {
+        const { outcome, notes } = req.body;
+
+        // Only warnings under appeal can be resolved
+        const warning = await warningLifecycle.getWarning(pool, req.params.warningId);
+        if (warning && warning.status !== 'Under Appeal') {
+            return res.status(409).json({ error: `Warning is ${warning.status}, not Under Appeal` });
+        }
+
+        await handleWarningTransition(req, res, ['Active', 'Rescinded', 'Expired'], (warningId) =>
+            audit.withActor(pool, req.user, (client) =>
+                warningLifecycle.resolveAppeal(client, warningId, outcome, notes, req.user.email)));
+    } catch (err) {
+        console.error('❌ Error resolving appeal:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Expiry sweep: mark Active warnings past expiration_date as Expired
+app.post('/api/warnings/expire', requireRole('Director'), async (req, res) => {
+    try {
+        const warningIds = await audit.withActor(pool, req.user, (client) =>
+            warningLifecycle.expireWarnings(client, req.user.email));
+
+        console.log(`✅ Expired ${warningIds.length} warnings`);
+        res.json({ success: true, expired: warningIds.length, warningIds });
+    } catch (err) {
+        console.error('❌ Error expiring warnings:', err);
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Generate recommendation for an agent
-app.post('/api/recommendations/generate', async (req, res) => {
+app.post('/api/recommendations/generate', requireRole('Team Leader'), validateRequest({
+    body: {
+        agentEmail: { type: 'email', required: true },
+        metricType: { ...METRIC_TYPE_RULE, required: true },
+        ...WEEK_RANGE_BODY,
+    },
+}), async (req, res) => {
     try {
         const { agentEmail, metricType, weekStartDate, weekEndDate } = req.body;
 
+        if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+
         const recommendation = await warningEngine.generateRecommendation(
             pool,
             agentEmail,
@@ -580,20 +893,121 @@ app.post('/api/recommendations/generate', async (req, res) => {
             weekEndDate
         );
 
-        console.log(`✅ Generated recommendation for ${agentEmail}: Case ${recommendation.case}`);
+        console.log(`✅ Generated recommendation for ${agentEmail}: ${recommendation.applies ? `Case ${recommendation.case}` : 'no rule fired'}`);
         res.json(recommendation);
     } catch (err) {
         console.error('❌ Error generating recommendation:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Batch run: generate and save recommendations for every underperforming agent in a week range
+app.post('/api/recommendations/generate-batch', requireRole('Director'), validateRequest({
+    body: WEEK_RANGE_BODY,
+}), async (req, res) => {
+    try {
+        const { weekStartDate, weekEndDate } = req.body;
+
+        const summary = await audit.withActor(pool, req.user, async (client) => {
+            const result = await warningEngine.generateWeeklyRecommendations(client, weekStartDate, weekEndDate);
+            await webhooks.emitRecommendationEvents(client, 'recommendation.generated', result.recommendationIds);
+            return result;
+        });
+        webhooks.dispatch(pool);
+
+        console.log(`✅ Batch recommendations for ${weekStartDate} - ${weekEndDate}: ${summary.created} created, ${summary.skipped} skipped`);
+        res.json(summary);
+    } catch (err) {
+        console.error('❌ Error generating batch recommendations:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Get Leader ladder (Case D/E) recommendations (registered before /:agentEmail)
+app.get('/api/recommendations/leadership/all', requireRole('Director'), validateRequest({
+    query: {
+        leaderEmail: { type: 'email' },
+        directorEmail: { type: 'email' },
+        actionedOnly: { type: 'boolean' },
+    },
+}), dataExport.validateFormat, async (req, res) => {
+    try {
+        const { leaderEmail, directorEmail, actionedOnly } = req.query;
+
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.leadershipRecommendations);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        let query = `
+            SELECT *, CURRENT_DATE - generated_date as days_pending
+            FROM consolidations.recommendations
+            WHERE leader_email IS NOT NULL
+        `;
+        const params = [];
+        let paramCount = 1;
+
+        if (leaderEmail) {
+            query += ` AND leader_email = $${paramCount}`;
+            params.push(leaderEmail);
+            paramCount++;
+        }
+
+        if (directorEmail) {
+            query += ` AND director_email = $${paramCount}`;
+            params.push(directorEmail);
+            paramCount++;
+        }
+
+        if (actionedOnly === 'true') {
+            query += ` AND is_actioned = true`;
+        } else if (actionedOnly === 'false') {
+            query += ` AND is_actioned = false`;
+        }
+
+        query += await visibilityClause(req, params);
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'leadership-recommendations',
+                columns: dataExport.EXPORT_COLUMNS.pendingRecommendations,
+                query: pagination.sortedQuery(query, page.sort),
+                params,
+            });
+            console.log(`✅ Exported leadership recommendations as ${exportFormat}`);
+            return;
+        }
+
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} leadership recommendations`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('❌ Error fetching leadership recommendations:', err);
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get recommendations for an agent
-app.get('/api/recommendations/:agentEmail', async (req, res) => {
+app.get('/api/recommendations/:agentEmail', validateRequest({
+    params: AGENT_EMAIL_PARAMS,
+    query: {
+        metricType: METRIC_TYPE_RULE,
+        actionedOnly: { type: 'boolean' },
+    },
+}), dataExport.validateFormat, async (req, res) => {
     try {
         const { agentEmail } = req.params;
         const { metricType, actionedOnly } = req.query;
 
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.recommendations);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+
         let query = `
             SELECT * FROM consolidations.recommendations
             WHERE agent_email = $1
@@ -613,84 +1027,213 @@ app.get('/api/recommendations/:agentEmail', async (req, res) => {
             query += ` AND is_actioned = false`;
         }
 
-        query += ` ORDER BY generated_date DESC`;
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'recommendations',
+                columns: dataExport.EXPORT_COLUMNS.recommendations,
+                query: pagination.sortedQuery(query, page.sort),
+                params,
+            });
+            console.log(`✅ Exported recommendations for ${agentEmail} as ${exportFormat}`);
+            return;
+        }
 
-        const { rows } = await pool.query(query, params);
-        console.log(`✅ Retrieved ${rows.length} recommendations for ${agentEmail}`);
-        res.json(rows);
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} recommendations for ${agentEmail}`);
+        res.json(result.rows);
     } catch (err) {
         console.error('❌ Error fetching recommendations:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get all unactioned recommendations
-app.get('/api/recommendations/unactioned/all', async (req, res) => {
+app.get('/api/recommendations/unactioned/all', requireRole('Team Leader'), dataExport.validateFormat, async (req, res) => {
     try {
-        const query = `
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.unactionedRecommendations);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const params = [];
+        let query = `
             SELECT * FROM consolidations.v_unactioned_recommendations
-            ORDER BY priority DESC, days_pending DESC
+            WHERE 1=1
         `;
+        query += await visibilityClause(req, params);
+        const exportFormat = dataExport.getExportFormat(req);
+        if (exportFormat) {
+            await dataExport.streamExport(pool, res, {
+                format: exportFormat,
+                name: 'unactioned-recommendations',
+                columns: dataExport.EXPORT_COLUMNS.pendingRecommendations,
+                query: pagination.sortedQuery(query, page.sort),
+                params,
+            });
+            console.log(`✅ Exported unactioned recommendations as ${exportFormat}`);
+            return;
+        }
 
-        const { rows } = await pool.query(query);
-        console.log(`✅ Retrieved ${rows.length} unactioned recommendations`);
-        res.json(rows);
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} unactioned recommendations`);
+        res.json(result.rows);
     } catch (err) {
         console.error('❌ Error fetching unactioned recommendations:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
-// Mark recommendation as actioned
-app.patch('/api/recommendations/:recommendationId/action', async (req, res) => {
+// Action a recommendation: logs the action, issues the warning for its case and links them, in one transaction
+app.patch('/api/recommendations/:recommendationId/action', requireRole('Team Leader'), validateRequest({
+    params: { recommendationId: { type: 'id' } },
+    body: {
+        actionNotes: { type: 'string' },
+        warningType: { type: 'enum', values: warningEngine.WARNING_TYPES },
+        warningSubtype: { type: 'string', maxLength: 100 },
+    },
+}), async (req, res) => {
     try {
         const { recommendationId } = req.params;
-        const { actionedBy, actionedByEmail, actionNotes } = req.body;
-
-        const query = `
-            UPDATE consolidations.recommendations
-            SET is_actioned = true,
-                actioned_date = CURRENT_DATE,
-                actioned_by = $1,
-                actioned_by_email = $2,
-                action_notes = $3
-            WHERE recommendation_id = $4
-            RETURNING *
-        `;
+        const { actionNotes, warningType, warningSubtype } = req.body;
+        const actionedBy = req.user.name || req.user.email;
+        const actionedByEmail = req.user.email;
 
-        const { rows } = await pool.query(query, [actionedBy, actionedByEmail, actionNotes, recommendationId]);
+        const existing = await pool.query(
+            'SELECT agent_email, leader_email, is_actioned FROM consolidations.recommendations WHERE recommendation_id = $1',
+            [recommendationId]
+        );
 
-        if (rows.length === 0) {
+        if (existing.rows.length === 0) {
             return res.status(404).json({ error: 'Recommendation not found' });
         }
 
-        console.log(`✅ Recommendation ${recommendationId} marked as actioned`);
-        res.json({ success: true, recommendation: rows[0] });
+        if (!(await ensureAgentAccess(req, res, existing.rows[0].agent_email))) return;
+
+        if (warningType && existing.rows[0].leader_email) {
+            return res.status(400).json({ error: 'Leadership recommendations are actioned with a leadership report, not an agent warning' });
+        }
+
+        const actioned = existing.rows[0].is_actioned ? null : await audit.withActor(pool, req.user, async (client) => {
+            const result = await warningEngine.actionRecommendation(client, recommendationId, {
+                actionedBy,
+                actionedByEmail,
+                notes: actionNotes,
+                warningType,
+                warningSubtype,
+            });
+            if (!result) return null;
+
+            if (result.warningId) {
+                const warning = await client.query('SELECT * FROM consolidations.warnings WHERE id = $1', [result.warningId]);
+                await webhooks.emitEvent(client, 'warning.created', { warning: warning.rows[0] });
+            }
+            await webhooks.emitEvent(client, 'recommendation.actioned', { recommendation: result.recommendation });
+            return result;
+        });
+
+        if (!actioned) {
+            return res.status(409).json({ error: 'Recommendation is already actioned' });
+        }
+        webhooks.dispatch(pool);
+
+        console.log(`✅ Recommendation ${recommendationId} actioned (warning ${actioned.warningId}, action ${actioned.actionLogId})`);
+        res.json({ success: true, ...actioned });
     } catch (err) {
         console.error('❌ Error updating recommendation:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get at-risk agents
-app.get('/api/at-risk-agents', async (req, res) => {
+app.get('/api/at-risk-agents', requireRole('Team Leader'), async (req, res) => {
     try {
-        const query = `
+        const params = [];
+        let query = `
             SELECT * FROM consolidations.v_at_risk_summary
-            ORDER BY risk_level DESC, weeks_underperforming DESC
+            WHERE 1=1
         `;
+        query += await visibilityClause(req, params);
+        query += ` ORDER BY risk_level DESC, weeks_underperforming DESC`;
 
-        const { rows } = await pool.query(query);
+        const { rows } = await pool.query(query, params);
         console.log(`✅ Retrieved ${rows.length} at-risk agents`);
         res.json(rows);
     } catch (err) {
         console.error('❌ Error fetching at-risk agents:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Months as they appear in the data's month_name
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Detect at-risk agents for a month (upserts at_risk_agents, auto-resolves recovered agents)
+app.post('/api/at-risk-agents/detect', requireRole('Director'), validateRequest({
+    body: {
+        month: { type: 'enum', values: MONTH_NAMES, required: true },
+        year: { type: 'integer', min: 1900, max: 9999, required: true },
+    },
+}), async (req, res) => {
+    try {
+        const { month, year } = req.body;
+
+        const summary = await audit.withActor(pool, req.user, (client) =>
+            warningEngine.detectAtRiskAgents(client, month, year));
+
+        console.log(`✅ At-risk detection for ${month} ${year}: ${summary.flagged} flagged, ${summary.updated} updated, ${summary.resolved} resolved`);
+        res.json(summary);
+    } catch (err) {
+        console.error('❌ Error detecting at-risk agents:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Manually resolve an at-risk entry
+app.patch('/api/at-risk-agents/:atRiskId/resolve', requireRole('Team Leader'), validateRequest({
+    params: { atRiskId: { type: 'id' } },
+    body: { notes: { type: 'string' } },
+}), async (req, res) => {
+    try {
+        const { atRiskId } = req.params;
+        const { notes } = req.body;
+        const resolvedBy = req.user.email;
+
+        const existing = await pool.query(
+            'SELECT agent_email FROM consolidations.at_risk_agents WHERE at_risk_id = $1',
+            [atRiskId]
+        );
+
+        if (existing.rows.length > 0 && !(await ensureAgentAccess(req, res, existing.rows[0].agent_email))) return;
+
+        const entry = await audit.withActor(pool, req.user, (client) =>
+            warningEngine.resolveAtRiskAgent(client, atRiskId, resolvedBy, notes));
+
+        if (!entry) {
+            return res.status(404).json({ error: 'At-risk entry not found or already resolved' });
+        }
+
+        console.log(`✅ At-risk entry ${atRiskId} resolved by ${resolvedBy}`);
+        res.json({ success: true, atRiskAgent: entry });
+    } catch (err) {
+        console.error('❌ Error resolving at-risk entry:', err);
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Get leadership reports
-app.get('/api/leadership-reports', async (req, res) => {
+app.get('/api/leadership-reports', requireRole('AVP'), validateRequest({
+    query: {
+        leaderEmail: { type: 'email' },
+        activeOnly: { type: 'boolean' },
+    },
+}), async (req, res) => {
     try {
         const { leaderEmail, activeOnly } = req.query;
 
@@ -708,7 +1251,7 @@ app.get('/api/leadership-reports', async (req, res) => {
         }
 
         if (activeOnly === 'true') {
-            query += ` AND is_active = true`;
+            query += ` AND is_active = true AND (expires_date IS NULL OR expires_date >= CURRENT_DATE)`;
         }
 
         query += ` ORDER BY issued_date DESC`;
@@ -718,21 +1261,1089 @@ app.get('/api/leadership-reports', async (req, res) => {
         res.json(rows);
     } catch (err) {
         console.error('❌ Error fetching leadership reports:', err);
-        res.status(500).json({ error: 'Server Error', details: err.message });
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Issue a leadership report - the report type is the next rung on the ladder
+app.post('/api/leadership-reports', requireRole('AVP'), validateRequest({
+    body: {
+        leaderEmail: { type: 'email', required: true },
+        agentEmail: { type: 'email', required: true },
+        reason: { type: 'string', required: true },
+        notes: { type: 'string' },
+        issuedDate: { type: 'date' },
+    },
+}), async (req, res) => {
+    try {
+        const { leaderEmail, agentEmail, reason, notes, issuedDate } = req.body;
+
+        const leader = await hierarchy.getHierarchyEntry(pool, leaderEmail);
+        if (!leader || leader.role === 'Agent') {
+            return res.status(404).json({ error: 'Leader not found in hierarchy' });
+        }
+
+        const agent = await hierarchy.getHierarchyEntry(pool, agentEmail);
+        if (!agent) {
+            return res.status(404).json({ error: 'Agent not found in hierarchy' });
+        }
+
+        if (!leader.person_id || !agent.person_id) {
+            return res.status(400).json({ error: 'Leader and agent need a person_id in the hierarchy' });
+        }
+
+        const result = await audit.withActor(pool, req.user, async (client) => {
+            const issued = await leadershipReports.issueLeadershipReport(client, {
+                leaderId: leader.person_id,
+                leaderEmail: leader.person_email,
+                leaderName: leader.person_name,
+                agentId: agent.person_id,
+                agentEmail: agent.person_email,
+                agentName: agent.person_name,
+                issuedBy: req.user.name || req.user.email,
+                issuedByEmail: req.user.email,
+                issuedDate,
+                reason,
+                notes,
+            });
+            await webhooks.emitEvent(client, 'leadership_report.issued', issued);
+            return issued;
+        });
+        webhooks.dispatch(pool);
+
+        console.log(`✅ ${result.report.report_type} issued to ${leader.person_email}`);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('❌ Error issuing leadership report:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Update a leadership report's notes or deactivate it
+app.patch('/api/leadership-reports/:reportId', requireRole('AVP'), validateRequest({
+    params: { reportId: { type: 'id' } },
+    body: {
+        notes: { type: 'string' },
+        isActive: { type: 'boolean' },
+        reason: { type: 'string' },
+    },
+}), async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { notes, isActive, reason } = req.body;
+
+        if (isActive === true) {
+            return sendValidationErrors(res, [{
+                location: 'body',
+                field: 'isActive',
+                message: 'A deactivated report cannot be reactivated; issue a new report instead',
+            }]);
+        }
+
+        if (isActive === false && !reason) {
+            return sendValidationErrors(res, [
+                { location: 'body', field: 'reason', message: 'reason is required to deactivate a report' },
+            ]);
+        }
+
+        const report = await audit.withActor(pool, req.user, (client) =>
+            leadershipReports.updateLeadershipReport(client, reportId, {
+                notes,
+                isActive,
+                reason,
+                changedBy: req.user.email,
+            }));
+
+        if (!report) {
+            return res.status(404).json({ error: 'Leadership report not found' });
+        }
+
+        console.log(`✅ Leadership report ${reportId} updated`);
+        res.json({ success: true, report });
+    } catch (err) {
+        console.error('❌ Error updating leadership report:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Expiry sweep: deactivate leadership reports past their expiry date
+app.post('/api/leadership-reports/expire', requireRole('AVP'), async (req, res) => {
+    try {
+        const reportIds = await audit.withActor(pool, req.user, (client) =>
+            leadershipReports.expireLeadershipReports(client, req.user.email));
+
+        console.log(`✅ Deactivated ${reportIds.length} lapsed leadership reports`);
+        res.json({ success: true, expired: reportIds.length, reportIds });
+    } catch (err) {
+        console.error('❌ Error expiring leadership reports:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// TRENDS
+// ====================================
+
+// Weekly/monthly score and underperformer trends with deltas and a rolling average
+app.get('/api/trends', validateRequest({
+    query: { rollingWeeks: { type: 'integer', min: 1, max: trends.MAX_ROLLING_WEEKS } },
+}), async (req, res) => {
+    try {
+        const rollingWeeks = req.query.rollingWeeks === undefined
+            ? trends.DEFAULT_ROLLING_WEEKS
+            : Number(req.query.rollingWeeks);
+
+        const { filters, error } = dataFilters.parseDataFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        for (const agentEmail of filters.agentEmail || []) {
+            if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+        }
+
+        const visibleEmails = await auth.getVisibleEmails(pool, req.user);
+        const result = await trends.getTrends(pool, { ...filters, visibleEmails }, rollingWeeks);
+
+        console.log(`✅ Retrieved trends: ${result.weeks.length} weeks, ${result.months.length} months`);
+        res.json(result);
+    } catch (err) {
+        console.error('❌ Error fetching trends:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// AGENT TIMELINE
+// ====================================
+
+// Everything on record for an agent in date order, with summary counters
+app.get('/api/agents/:email/timeline', validateRequest({
+    params: { email: { type: 'email' } },
+    query: { metricType: METRIC_TYPE_RULE },
+}), async (req, res) => {
+    try {
+        const { email } = req.params;
+        const { metricType } = req.query;
+
+        // from/to or an ISO week; weekly rows match when they overlap the range
+        const { filters, error } = dataFilters.parseDataFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { from, to } = filters;
+
+        if (!(await ensureAgentAccess(req, res, email))) return;
+
+        const timeline = await agentTimeline.getAgentTimeline(pool, email, { from, to, metricType });
+        console.log(`✅ Retrieved timeline for ${email}: ${timeline.events.length} events`);
+        res.json(timeline);
+    } catch (err) {
+        console.error('❌ Error fetching agent timeline:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// LEADER DASHBOARD
+// ====================================
+
+const DASHBOARD_PERIOD_QUERY = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+};
+
+/**
+ * Respond 400 unless from is on or before to (after defaulting)
+ */
+function ensureDashboardPeriod(res, period) {
+    if (period.from <= period.to) return true;
+
+    sendValidationErrors(res, [{ location: 'query', field: 'from', message: 'from must be on or before to' }]);
+    return false;
+}
+
+// Team performance and procedure compliance for every leader the user can see
+app.get('/api/leaders/dashboard', requireRole('Director'), validateRequest({
+    query: DASHBOARD_PERIOD_QUERY,
+}), async (req, res) => {
+    try {
+        const period = leaderDashboard.resolvePeriod(req.query);
+        if (!ensureDashboardPeriod(res, period)) return;
+
+        const visibleEmails = await auth.getVisibleEmails(pool, req.user);
+        const rollup = await leaderDashboard.getDashboardRollup(pool, { ...period, visibleEmails });
+
+        console.log(`✅ Retrieved dashboard roll-up for ${rollup.leaders.length} leaders (${period.from} - ${period.to})`);
+        res.json(rollup);
+    } catch (err) {
+        console.error('❌ Error fetching leader dashboard roll-up:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Team performance and procedure compliance for one leader (everyone below them)
+app.get('/api/leaders/:email/dashboard', requireRole('Team Leader'), validateRequest({
+    params: { email: { type: 'email' } },
+    query: DASHBOARD_PERIOD_QUERY,
+}), async (req, res) => {
+    try {
+        const { email } = req.params;
+
+        const period = leaderDashboard.resolvePeriod(req.query);
+        if (!ensureDashboardPeriod(res, period)) return;
+
+        if (!(await ensureAgentAccess(req, res, email))) return;
+
+        const dashboard = await leaderDashboard.getLeaderDashboard(pool, email, period);
+        if (!dashboard) {
+            return res.status(404).json({ error: 'Leader not found in hierarchy' });
+        }
+
+        console.log(`✅ Retrieved dashboard for ${email}: ${dashboard.teamSize} agents, compliance ${dashboard.compliance.rate}%`);
+        res.json(dashboard);
+    } catch (err) {
+        console.error('❌ Error fetching leader dashboard:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// LEADER HIERARCHY & LEADERSHIP CASES (D/E)
+// ====================================
+
+// List hierarchy entries (leaders see themselves and their team only)
+app.get('/api/hierarchy', requireRole('Team Leader'), validateRequest({
+    query: {
+        role: { type: 'enum', values: hierarchy.HIERARCHY_ROLES },
+        reportsToEmail: { type: 'email' },
+    },
+}), async (req, res) => {
+    try {
+        const { role, reportsToEmail } = req.query;
+
+        const visibleEmails = await auth.getVisibleEmails(pool, req.user);
+
+        const rows = await hierarchy.listHierarchy(pool, { role, reportsToEmail, visibleEmails });
+        console.log(`✅ Retrieved ${rows.length} hierarchy entries`);
+        res.json(rows);
+    } catch (err) {
+        console.error('❌ Error fetching hierarchy:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Create or update a person's place in the hierarchy
+app.put('/api/hierarchy/:email', requireRole('Admin'), validateRequest({
+    params: { email: { type: 'email' } },
+    body: {
+        personId: { type: 'string', maxLength: 50 },
+        personName: { type: 'string', maxLength: 255 },
+        role: { type: 'enum', values: hierarchy.HIERARCHY_ROLES, required: true },
+        reportsToEmail: { type: 'email' },
+        isActive: { type: 'boolean' },
+    },
+}), async (req, res) => {
+    try {
+        const { email } = req.params;
+        const { personId, personName, role, reportsToEmail, isActive } = req.body;
+
+        if (reportsToEmail && reportsToEmail.toLowerCase() === email.toLowerCase()) {
+            return sendValidationErrors(res, [
+                { location: 'body', field: 'reportsToEmail', message: 'A person cannot report to themselves' },
+            ]);
+        }
+
+        const entry = await audit.withActor(pool, req.user, (client) => hierarchy.upsertHierarchyEntry(client, {
+            personEmail: email,
+            personId,
+            personName,
+            role,
+            reportsToEmail,
+            isActive,
+        }));
+
+        console.log(`✅ Hierarchy entry saved for ${email}`);
+        res.json({ success: true, entry });
+    } catch (err) {
+        console.error('❌ Error saving hierarchy entry:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Get the reporting chain above a person
+app.get('/api/hierarchy/:email/chain', validateRequest({
+    params: { email: { type: 'email' } },
+}), async (req, res) => {
+    try {
+        const { email } = req.params;
+
+        if (!(await ensureAgentAccess(req, res, email))) return;
+
+        const chain = await hierarchy.getLeaderChain(pool, email);
+        console.log(`✅ Retrieved ${chain.length} leaders above ${email}`);
+        res.json(chain);
+    } catch (err) {
+        console.error('❌ Error fetching leader chain:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Get everyone below a leader
+app.get('/api/hierarchy/:email/team', validateRequest({
+    params: { email: { type: 'email' } },
+    query: {
+        directOnly: { type: 'boolean' },
+        role: { type: 'enum', values: hierarchy.HIERARCHY_ROLES },
+    },
+}), async (req, res) => {
+    try {
+        const { email } = req.params;
+        const { directOnly, role } = req.query;
+
+        if (!(await ensureAgentAccess(req, res, email))) return;
+
+        const team = await hierarchy.getTeamMembers(pool, email, { directOnly: directOnly === 'true', role });
+        console.log(`✅ Retrieved ${team.length} team members for ${email}`);
+        res.json(team);
+    } catch (err) {
+        console.error('❌ Error fetching team members:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Evaluate every leader's team for Case D / Case E and save leadership recommendations
+app.post('/api/leadership/evaluate', requireRole('Director'), validateRequest({
+    body: WEEK_RANGE_BODY,
+}), async (req, res) => {
+    try {
+        const { weekStartDate, weekEndDate } = req.body;
+
+        const summary = await audit.withActor(pool, req.user, async (client) => {
+            const result = await warningEngine.evaluateLeadershipCases(client, weekStartDate, weekEndDate);
+            await webhooks.emitRecommendationEvents(client, 'recommendation.generated', result.recommendationIds);
+            return result;
+        });
+        webhooks.dispatch(pool);
+
+        console.log(`✅ Leadership evaluation for ${weekStartDate} - ${weekEndDate}: ${summary.created} created, ${summary.skipped} skipped`);
+        res.json(summary);
+    } catch (err) {
+        console.error('❌ Error evaluating leadership cases:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// WARNING EFFECTIVENESS
+// ====================================
+
+// Measure warning effectiveness 1, 2 and 4 weeks after each warning
+app.post('/api/warning-effectiveness/measure', requireRole('Director'), async (req, res) => {
+    try {
+        const summary = await warningEffectiveness.measureWarningEffectiveness(pool);
+
+        console.log(`✅ Measured ${summary.measured} warning effectiveness records`);
+        res.json(summary);
+    } catch (err) {
+        console.error('❌ Error measuring warning effectiveness:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Effectiveness report by warning type, subtype, client, category and issuing leader
+app.get('/api/warning-effectiveness/report', requireRole('Director'), validateRequest({
+    query: {
+        weeksAfter: { type: 'enum', values: warningEffectiveness.MEASUREMENT_WEEKS.map(String) },
+        metricType: METRIC_TYPE_RULE,
+        ...SCOPE_RULES,
+        from: { type: 'date' },
+        to: { type: 'date' },
+    },
+}), async (req, res) => {
+    try {
+        const { weeksAfter, metricType, client, category, from, to } = req.query;
+
+        const report = await warningEffectiveness.getEffectivenessReport(pool, {
+            weeksAfter,
+            metricType,
+            client,
+            category,
+            from,
+            to,
+        });
+
+        console.log(`✅ Retrieved warning effectiveness report`);
+        res.json(report);
+    } catch (err) {
+        console.error('❌ Error fetching warning effectiveness report:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// ESCALATION POLICY (ADMIN)
+// ====================================
+
+// Get the policy in effect for a client/category on a date
+app.get('/api/policy', requireRole('Team Leader'), validateRequest({
+    query: { ...SCOPE_RULES, asOf: { type: 'date' } },
+}), async (req, res) => {
+    try {
+        const { client, category, asOf } = req.query;
+
+        const policy = await escalationPolicy.getPolicy(pool, { client, category, asOfDate: asOf });
+        res.json(policy);
+    } catch (err) {
+        console.error('❌ Error fetching policy:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Get every policy version
+app.get('/api/policy/history', requireRole('Admin'), validateRequest({
+    query: { key: { type: 'enum', values: Object.keys(escalationPolicy.POLICY_KEYS) }, ...SCOPE_RULES },
+}), async (req, res) => {
+    try {
+        const { key, client, category } = req.query;
+
+        const rows = await escalationPolicy.getPolicyHistory(pool, { key, client, category });
+        console.log(`✅ Retrieved ${rows.length} policy versions`);
+        res.json(rows);
+    } catch (err) {
+        console.error('❌ Error fetching policy history:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Add a new policy version (effective today or later, optionally for one client/category)
+app.put('/api/policy/:key', requireRole('Admin'), validateRequest({
+    params: { key: { type: 'enum', values: Object.keys(escalationPolicy.POLICY_KEYS) } },
+    body: {
+        ...SCOPE_RULES,
+        effectiveFrom: { type: 'date' },
+        reason: { type: 'string' },
+    },
+}), async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { value, client, category, effectiveFrom, reason } = req.body;
+        const changedBy = req.user.email;
+
+        const validationError = escalationPolicy.validatePolicyValue(key, value);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        if (effectiveFrom && effectiveFrom < today) {
+            return sendValidationErrors(res, [
+                { location: 'body', field: 'effectiveFrom', message: 'effectiveFrom cannot be in the past' },
+            ]);
+        }
+
+        const policy = await audit.withActor(pool, req.user, (dbClient) => escalationPolicy.setPolicy(dbClient, {
+            key,
+            value,
+            client,
+            category,
+            effectiveFrom,
+            changedBy,
+            reason,
+        }));
+
+        console.log(`✅ Policy ${key} updated (client=${client}, category=${category}) effective ${effectiveFrom || today}`);
+        res.json({ success: true, policy });
+    } catch (err) {
+        console.error('❌ Error updating policy:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// ESCALATION RULES
+// ====================================
+
+const LADDER_RULE = { type: 'enum', values: escalationRules.LADDERS };
+
+// Get the rule set in effect for a ladder and client/category
+app.get('/api/rules', requireRole('Team Leader'), validateRequest({
+    query: { ladder: LADDER_RULE, ...SCOPE_RULES },
+}), async (req, res) => {
+    try {
+        const { ladder = 'Agent', client, category } = req.query;
+
+        const ruleSet = await escalationRules.getRules(pool, { ladder, client, category });
+        res.json({ ...ruleSet, facts: escalationRules.FACTS[ladder] });
+    } catch (err) {
+        console.error('❌ Error fetching escalation rules:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Get every stored rule
+app.get('/api/rules/all', requireRole('Admin'), validateRequest({
+    query: { ladder: LADDER_RULE, ...SCOPE_RULES },
+}), async (req, res) => {
+    try {
+        const { ladder, client, category } = req.query;
+
+        const rows = await escalationRules.listRules(pool, { ladder, client, category });
+        console.log(`✅ Retrieved ${rows.length} escalation rules`);
+        res.json(rows);
+    } catch (err) {
+        console.error('❌ Error fetching escalation rules:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Replace a ladder's rule set (optionally for one client/category); an empty list reverts to the inherited set
+app.put('/api/rules/:ladder', requireRole('Admin'), validateRequest({
+    params: { ladder: LADDER_RULE },
+    body: { rules: { type: 'array', items: { type: 'object' } }, ...SCOPE_RULES },
+}), async (req, res) => {
+    try {
+        const { ladder } = req.params;
+        const { rules, client, category } = req.body;
+
+        const validationError = escalationRules.validateRules(ladder, rules);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const rows = await audit.withActor(pool, req.user, (dbClient) => escalationRules.setRules(dbClient, {
+            ladder,
+            client,
+            category,
+            rules,
+            createdBy: req.user.email,
+        }));
+
+        console.log(`✅ ${ladder} rules updated (client=${client}, category=${category}): ${rows.length} rules`);
+        res.json({ success: true, rules: rows });
+    } catch (err) {
+        console.error('❌ Error updating escalation rules:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Explain which rule fires for an agent (Agent ladder) or their leader (Leader ladder) and why, without saving
+app.post('/api/rules/explain', requireRole('Team Leader'), validateRequest({
+    body: {
+        ladder: LADDER_RULE,
+        agentEmail: { type: 'email', required: true },
+        metricType: METRIC_TYPE_RULE,
+        ...WEEK_RANGE_BODY,
+    },
+}), async (req, res) => {
+    try {
+        const { ladder = 'Agent', agentEmail, metricType, weekStartDate, weekEndDate } = req.body;
+
+        if (ladder === 'Agent' && !metricType) {
+            return sendValidationErrors(res, [
+                { location: 'body', field: 'metricType', message: 'metricType is required for the Agent ladder' },
+            ]);
+        }
+
+        if (!(await ensureAgentAccess(req, res, agentEmail))) return;
+
+        let evaluation;
+        if (ladder === 'Agent') {
+            evaluation = await warningEngine.explainRecommendation(pool, agentEmail, metricType, weekStartDate, weekEndDate);
+        } else {
+            const [leader] = await hierarchy.getLeaderChain(pool, agentEmail);
+            if (!leader) {
+                return res.status(404).json({ error: 'Agent has no active leader in the hierarchy' });
+            }
+            evaluation = await warningEngine.explainLeadershipCase(pool, agentEmail, weekStartDate, weekEndDate, {
+                leaderEmail: leader.person_email,
+            });
+            evaluation.explanation.leaderEmail = leader.person_email;
+        }
+
+        console.log(`✅ Explained ${ladder} rules for ${agentEmail}: ${evaluation.explanation.firedCase || 'no rule fired'}`);
+        res.json(evaluation);
+    } catch (err) {
+        console.error('❌ Error explaining escalation rules:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// SIMULATION
+// ====================================
+
+// Replay a date range through the engine under a proposed policy (and optionally proposed rules); writes nothing
+app.post('/api/simulation', requireRole('Director'), validateRequest({
+    body: {
+        from: { type: 'date', required: true },
+        to: { type: 'date', required: true },
+        policy: { type: 'object' },
+        rules: { type: 'object' },
+    },
+}), async (req, res) => {
+    try {
+        const { from, to, policy, rules } = req.body;
+
+        const validationError = simulation.validateSimulation({ from, to, policy, rules });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const agentEmails = await auth.getVisibleEmails(pool, req.user);
+        const result = await simulation.simulate(pool, { from, to, policy, rules, agentEmails });
+
+        console.log(`✅ Simulated ${from} - ${to}: ${result.weeks.length} weeks, ${result.caseC.length} agents reaching Case C`);
+        res.json(result);
+    } catch (err) {
+        console.error('❌ Error running simulation:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// NOTIFICATIONS
+// ====================================
+
+// Current user's digest frequency
+app.get('/api/notifications/preferences', async (req, res) => {
+    try {
+        const digestFrequency = await notifications.getDigestPreference(pool, req.user.email);
+        res.json({ email: req.user.email, digestFrequency });
+    } catch (err) {
+        console.error('❌ Error fetching notification preferences:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Change the current user's digest frequency ('Off' opts out)
+app.put('/api/notifications/preferences', validateRequest({
+    body: { digestFrequency: { type: 'enum', values: notifications.DIGEST_PREFERENCES, required: true } },
+}), async (req, res) => {
+    try {
+        const { digestFrequency } = req.body;
+
+        await notifications.setDigestPreference(pool, req.user.email, digestFrequency);
+
+        console.log(`✅ Digest frequency for ${req.user.email} set to ${digestFrequency}`);
+        res.json({ success: true, email: req.user.email, digestFrequency });
+    } catch (err) {
+        console.error('❌ Error updating notification preferences:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Send the daily or weekly digest to every leader on that frequency (dryRun renders without sending)
+app.post('/api/notifications/digests', requireRole('Admin'), validateRequest({
+    body: {
+        frequency: { type: 'enum', values: notifications.DIGEST_FREQUENCIES, required: true },
+        dryRun: { type: 'boolean' },
+    },
+}), async (req, res) => {
+    try {
+        const { frequency, dryRun } = req.body;
+
+        const results = await notifications.sendDigests(pool, frequency, { dryRun: dryRun === true });
+
+        console.log(`✅ ${frequency} digests${dryRun === true ? ' (dry run)' : ''}: ${results.sent.length} sent, ${results.skipped.length} skipped, ${results.failed.length} failed`);
+        res.json({ success: true, dryRun: dryRun === true, ...results });
+    } catch (err) {
+        console.error('❌ Error sending digests:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Record of digests sent (or failed), newest first
+app.get('/api/notifications/log', requireRole('Admin'), validateRequest({
+    query: {
+        recipientEmail: { type: 'email' },
+        status: { type: 'enum', values: notifications.NOTIFICATION_STATUSES },
+    },
+}), async (req, res) => {
+    try {
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.notificationLog);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const params = [];
+        let query = `
+            SELECT * FROM consolidations.notification_log
+            WHERE 1=1
+        `;
+
+        if (req.query.recipientEmail) {
+            params.push(req.query.recipientEmail.toLowerCase());
+            query += ` AND recipient_email = $${params.length}`;
+        }
+
+        if (req.query.status) {
+            params.push(req.query.status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} notification log entries`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('❌ Error fetching notification log:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// WEBHOOKS (ADMIN)
+// ====================================
+
+// List webhook subscriptions (secrets are not returned)
+app.get('/api/webhooks', requireRole('Admin'), async (req, res) => {
+    try {
+        const subscriptions = await webhooks.listSubscriptions(pool);
+        res.json({ events: webhooks.WEBHOOK_EVENTS, subscriptions });
+    } catch (err) {
+        console.error('❌ Error fetching webhooks:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Subscribe a URL to event types; the signing secret is returned only here
+app.post('/api/webhooks', requireRole('Admin'), validateRequest({
+    body: {
+        url: { type: 'string', required: true },
+        eventTypes: { type: 'array', items: { type: 'string' }, required: true },
+        secret: { type: 'string' },
+        description: { type: 'string' },
+    },
+}), async (req, res) => {
+    try {
+        const { url, eventTypes, secret, description } = req.body;
+
+        const validationError = webhooks.validateSubscription({ url, eventTypes, secret });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const subscription = await audit.withActor(pool, req.user, (client) =>
+            webhooks.createSubscription(client, { url, eventTypes, secret, description, createdBy: req.user.email }));
+
+        console.log(`✅ Webhook ${subscription.subscription_id} created for ${url}`);
+        res.status(201).json({ success: true, subscription });
+    } catch (err) {
+        console.error('❌ Error creating webhook:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Change a subscription's URL, event types, description, secret or active flag
+app.patch('/api/webhooks/:subscriptionId', requireRole('Admin'), validateRequest({
+    params: { subscriptionId: { type: 'id' } },
+    body: {
+        url: { type: 'string' },
+        eventTypes: { type: 'array', items: { type: 'string' } },
+        secret: { type: 'string' },
+        description: { type: 'string' },
+        isActive: { type: 'boolean' },
+    },
+}), async (req, res) => {
+    try {
+        const { subscriptionId } = req.params;
+        const { url, eventTypes, secret, description, isActive } = req.body;
+
+        const validationError = webhooks.validateSubscription({ url, eventTypes, secret });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const subscription = await audit.withActor(pool, req.user, (client) =>
+            webhooks.updateSubscription(client, subscriptionId, { url, eventTypes, secret, description, isActive }));
+
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        console.log(`✅ Webhook ${subscriptionId} updated`);
+        res.json({ success: true, subscription });
+    } catch (err) {
+        console.error('❌ Error updating webhook:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Delete a subscription and its delivery log
+app.delete('/api/webhooks/:subscriptionId', requireRole('Admin'), validateRequest({
+    params: { subscriptionId: { type: 'id' } },
+}), async (req, res) => {
+    try {
+        const { subscriptionId } = req.params;
+
+        const deleted = await audit.withActor(pool, req.user, (client) =>
+            webhooks.deleteSubscription(client, subscriptionId));
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        console.log(`✅ Webhook ${subscriptionId} deleted`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error deleting webhook:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Send a ping event to one subscription and attempt that delivery right away
+app.post('/api/webhooks/:subscriptionId/test', requireRole('Admin'), validateRequest({
+    params: { subscriptionId: { type: 'id' } },
+}), async (req, res) => {
+    try {
+        const { subscriptionId } = req.params;
+
+        const subscription = await webhooks.getSubscription(pool, subscriptionId);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        if (!subscription.is_active) {
+            return res.status(409).json({ error: 'Webhook is inactive' });
+        }
+
+        const ping = await webhooks.pingSubscription(pool, subscription.subscription_id);
+        if (!ping) {
+            return res.status(409).json({ error: 'Webhook is inactive' });
+        }
+
+        console.log(`✅ Pinged webhook ${subscriptionId}`);
+        res.json({ success: true, ...ping });
+    } catch (err) {
+        console.error('❌ Error testing webhook:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Delivery log, newest first (filter by subscriptionId, status, eventType)
+app.get('/api/webhooks/deliveries', requireRole('Admin'), validateRequest({
+    query: {
+        subscriptionId: { type: 'id' },
+        status: { type: 'enum', values: webhooks.DELIVERY_STATUSES },
+        eventType: { type: 'enum', values: [...webhooks.WEBHOOK_EVENTS, webhooks.PING_EVENT] },
+    },
+}), async (req, res) => {
+    try {
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.webhookDeliveries);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const params = [];
+        let query = `
+            SELECT * FROM consolidations.webhook_deliveries
+            WHERE 1=1
+        `;
+
+        if (req.query.subscriptionId) {
+            params.push(req.query.subscriptionId);
+            query += ` AND subscription_id = $${params.length}`;
+        }
+
+        if (req.query.status) {
+            params.push(req.query.status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        if (req.query.eventType) {
+            params.push(req.query.eventType);
+            query += ` AND event_type = $${params.length}`;
+        }
+
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} webhook deliveries`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('❌ Error fetching webhook deliveries:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Queue a delivery again for an immediate attempt (resets its retries)
+app.post('/api/webhooks/deliveries/:deliveryId/retry', requireRole('Admin'), validateRequest({
+    params: { deliveryId: { type: 'id' } },
+}), async (req, res) => {
+    try {
+        const { deliveryId } = req.params;
+
+        const delivery = await webhooks.retryDelivery(pool, deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        webhooks.dispatch(pool);
+
+        console.log(`✅ Webhook delivery ${deliveryId} queued for retry`);
+        res.json({ success: true, delivery });
+    } catch (err) {
+        console.error('❌ Error retrying webhook delivery:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// SCHEDULED JOBS (ADMIN)
+// ====================================
+
+// Every job with its schedule, next run and last run
+app.get('/api/jobs', requireRole('Admin'), async (req, res) => {
+    try {
+        const jobs = await scheduler.listJobs(pool);
+        res.json(jobs);
+    } catch (err) {
+        console.error('❌ Error fetching jobs:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Run history of a job, newest first
+app.get('/api/jobs/:name/runs', requireRole('Admin'), validateRequest({
+    query: { status: { type: 'enum', values: scheduler.RUN_STATUSES } },
+}), async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!scheduler.getJob(name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const page = pagination.parsePageParams(req.query, pagination.PAGE_SPECS.jobRuns);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const params = [name];
+        let query = `
+            SELECT * FROM consolidations.job_runs
+            WHERE job_name = $1
+        `;
+
+        if (req.query.status) {
+            params.push(req.query.status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        const result = await pagination.fetchPage(pool, query, params, page);
+        pagination.setPageHeaders(res, result);
+        console.log(`✅ Retrieved ${result.rows.length} of ${result.total} runs of ${name}`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('❌ Error fetching job runs:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Run a job now; waits for it to finish and returns the run
+app.post('/api/jobs/:name/run', requireRole('Admin'), async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!scheduler.getJob(name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const run = await scheduler.runJob(pool, name, { trigger: 'Manual', actor: req.user });
+        if (!run) {
+            return res.status(409).json({ error: 'Job is already running' });
+        }
+
+        console.log(`✅ Job ${name} run manually: ${run.status}`);
+        res.json({ success: run.status === 'Succeeded', run });
+    } catch (err) {
+        console.error('❌ Error running job:', err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// ====================================
+// AUDIT TRAIL
+// ====================================
+
+// Query the audit trail by entity, actor, agent and date range
+app.get('/api/audit', requireRole('AVP'), validateRequest({
+    query: {
+        entity: { type: 'enum', values: audit.AUDITED_ENTITIES },
+        entityId: { type: 'string', maxLength: 255 },
+        operation: { type: 'enum', values: audit.AUDIT_OPERATIONS },
+        // Scheduled jobs are recorded under a non-email actor ('scheduler')
+        actorEmail: { type: 'string', maxLength: 255 },
+        agentEmail: { type: 'email' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'integer', min: 1, max: audit.MAX_AUDIT_LIMIT },
+    },
+}), async (req, res) => {
+    try {
+        const { entity, entityId, operation, actorEmail, agentEmail, from, to, limit } = req.query;
+
+        const rows = await audit.getAuditLog(pool, {
+            entity,
+            entityId,
+            operation,
+            actorEmail,
+            agentEmail,
+            from,
+            to,
+            limit,
+        });
+
+        console.log(`✅ Retrieved ${rows.length} audit records`);
+        res.json(rows);
+    } catch (err) {
+        console.error('❌ Error fetching audit log:', err);
+        res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // Error handling
 app.use((err, req, res, next) => {
+    // express.json() rejects a malformed body before any route runs
+    if (err.type === 'entity.parse.failed') {
+        return sendValidationErrors(res, [{ location: 'body', field: null, message: 'Request body is not valid JSON' }]);
+    }
+
     console.error('Unhandled error:', err);
     res.status(500).json({ error: 'Internal Server Error' });
 });
 
+// Retry webhook deliveries whose backoff has elapsed
+const WEBHOOK_RETRY_INTERVAL_MS = 60 * 1000;
+setInterval(() => webhooks.dispatch(pool), WEBHOOK_RETRY_INTERVAL_MS);
+
 // Start server
-app.listen(port, () => {
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`🚀 QPerform API Server running`);
-    console.log(`📍 URL: http://localhost:${port}`);
-    console.log('🔗 Health: http://localhost:3001/api/health');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-});
\ No newline at end of file
+// With CHECK_MIGRATIONS=true the server refuses to start while migrations are pending (run `npm run migrate up`)
+async function startServer() {
+    if (process.env.CHECK_MIGRATIONS === 'true') {
+        let outstanding;
+        try {
+            outstanding = await migrations.getOutstandingMigrations(pool);
+        } catch (err) {
+            console.error('❌ Error checking migrations:', err.message);
+            process.exit(1);
+        }
+
+        if (outstanding.length > 0) {
+            console.error('❌ Database schema is not up to date; refusing to start:');
+            outstanding.forEach(m => console.error(`   ${m.state} ${m.version}_${m.name}`));
+            process.exit(1);
+        }
+        console.log('✅ Database migrations up to date');
+    }
+
+    app.listen(port, () => {
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`🚀 QPerform API Server running`);
+        console.log(`📍 URL: http://localhost:${port}`);
+        console.log('🔗 Health: http://localhost:3001/api/health');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        scheduler.startScheduler(pool);
+    });
+}
+
+startServer();
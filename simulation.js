@@ -0,0 +1,441 @@
+// simulation.js
+// What-if replay of the recommendation engine over historical weekly data under a proposed policy
+// Reads only: the replay keeps its warnings and leadership reports in memory and writes nothing
+//
+// Each week in the range is replayed in order, as the weekly batch runs would have seen it:
+// - Agent ladder: every agent flagged on a metric that week is evaluated against the warnings
+//   the replay has issued so far, assuming leaders issue what is recommended (CASE_WARNING_TYPES).
+//   Warnings recorded before the range seed the replay, with expiry recomputed under the proposed policy.
+//   An agent who reaches Case C is taken out of the rest of the replay (offboarded)
+// - Leader ladder: each agent's last LEADER_WINDOW_WEEKS weeks are evaluated against the actions
+//   leaders actually recorded (so coaching_counts_as_action shows its effect); a leader/agent pair
+//   fires at most once per window, and each report it fires is added to the leader's active reports
+// - At-risk: agents past the proposed threshold for the month so far, as the daily detection would flag them
+
+const escalationPolicy = require('./escalationPolicy');
+const escalationRules = require('./escalationRules');
+const leadershipReports = require('./leadershipReports');
+const hierarchy = require('./hierarchy');
+const warningEngine = require('./warningEngine');
+const { COUNTED_STATUSES } = require('./warningLifecycle');
+
+// Longest range that can be replayed in one request
+const MAX_SIMULATION_WEEKS = 53;
+
+// Trailing weeks the Leader ladder is evaluated over
+const LEADER_WINDOW_WEEKS = 4;
+
+const OFFBOARDING_CASE = 'C';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDate(value) {
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function toDate(value) {
+    return value instanceof Date ? new Date(value.getFullYear(), value.getMonth(), value.getDate()) : parseDate(value);
+}
+
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Validate a simulation request: { from, to, policy, rules }
+ * policy: proposed values by policy key (as PUT /api/policy/:key), rules: { Agent: [...], Leader: [...] } rule sets
+ * Returns an error message, or null when the request is valid
+ */
+function validateSimulation(options) {
+    const { from, to, policy, rules } = options;
+
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+        return 'from and to are required dates (YYYY-MM-DD)';
+    }
+    if (from > to) {
+        return 'from must not be after to';
+    }
+    if ((parseDate(to) - parseDate(from)) / (7 * 24 * 60 * 60 * 1000) > MAX_SIMULATION_WEEKS) {
+        return `A simulation can cover at most ${MAX_SIMULATION_WEEKS} weeks`;
+    }
+
+    if (policy !== undefined) {
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            return 'policy must be an object of policy key -> value';
+        }
+        for (const [key, value] of Object.entries(policy)) {
+            const error = escalationPolicy.validatePolicyValue(key, value);
+            if (error) return error;
+        }
+    }
+
+    if (rules !== undefined) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return 'rules must be an object of ladder -> rules';
+        }
+        for (const [ladder, ladderRules] of Object.entries(rules)) {
+            const error = escalationRules.validateRules(ladder, ladderRules);
+            if (error) return `${ladder} rules: ${error}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * The global policy in effect today with the proposed values applied over it
+ * (client/category overrides are not simulated)
+ */
+async function buildPolicy(pool, proposed = {}) {
+    const current = await escalationPolicy.getPolicy(pool);
+    const policy = { ...current };
+    delete policy.sources;
+
+    Object.entries(proposed).forEach(([key, value]) => {
+        const property = escalationPolicy.POLICY_KEYS[key];
+        policy[property] = typeof value === 'object' && value !== null
+            ? { ...current[property], ...value }
+            : value;
+    });
+
+    return policy;
+}
+
+function expiresOn(issued, days) {
+    return days ? addDays(issued, days) : null;
+}
+
+function isActiveOn(item, date) {
+    return item.issued <= date && (item.expires === null || item.expires >= date);
+}
+
+/**
+ * Fact lookup for escalation rules from replay state (mirrors warningEngine's lookup)
+ * state: warnings (active replay warnings), stats (summarizeUnderperformance), leaderActed (function),
+ * activeReports (Leader ladder)
+ */
+function createReplayFacts(state) {
+    return async (fact) => {
+        if (fact === 'activeWarnings.total') return state.warnings.length;
+        if (fact.startsWith('activeWarnings.')) {
+            const warningType = fact.slice('activeWarnings.'.length);
+            return state.warnings.filter(w => w.warningType === warningType).length;
+        }
+
+        switch (fact) {
+            case 'weeksUnderperforming':
+                return state.stats.underperformingWeeks;
+            case 'consecutiveWeeks':
+                return state.stats.consecutiveWeeks;
+            case 'leaderActionTaken':
+                return state.leaderActed();
+            case 'activeLeadershipReports':
+                return state.activeReports.length;
+            default:
+                throw new Error(`Unknown rule fact "${fact}"`);
+        }
+    };
+}
+
+/**
+ * Load everything the replay reads, so the week loop makes no queries
+ */
+async function loadHistory(pool, from, to, agentEmails) {
+    // Earlier weeks are needed for the at-risk month and the Leader ladder window
+    const fromDate = parseDate(from);
+    const monthStart = new Date(fromDate.getFullYear(), fromDate.getMonth(), 1);
+    const windowStart = addDays(fromDate, -7 * (LEADER_WINDOW_WEEKS - 1));
+    const loadFrom = formatDate(monthStart < windowStart ? monthStart : windowStart);
+
+    const weeks = (await warningEngine.getAgentWeeks(pool, { weekStartDate: loadFrom, weekEndDate: to }))
+        .filter(week => !agentEmails || agentEmails.includes(week.agent_email.toLowerCase()));
+    const emails = [...new Set(weeks.map(week => week.agent_email))];
+
+    const warnings = await pool.query(`
+        SELECT id, agent_email, warning_type, metric_type, issue_date, status
+        FROM consolidations.warnings
+        WHERE agent_email = ANY($1) AND issue_date <= $2::date + $3::int
+        ORDER BY issue_date
+    `, [emails, to, warningEngine.LEADER_ACTION_WINDOW_DAYS]);
+
+    const actions = await pool.query(`
+        SELECT agent_email, action_date, action_type
+        FROM consolidations.action_log
+        WHERE agent_email = ANY($1)
+            AND action_date BETWEEN $2::date - $4::int AND $3::date + $4::int
+    `, [emails, loadFrom, to, warningEngine.LEADER_ACTION_WINDOW_DAYS]);
+
+    const agentsWithLeaders = (await hierarchy.getAgentsWithLeaders(pool))
+        .filter(agent => emails.includes(agent.agent_email));
+    const leaderEmails = [...new Set(agentsWithLeaders.map(agent => agent.leader_email))];
+
+    const reports = await pool.query(`
+        SELECT leader_email, report_type, issued_date
+        FROM consolidations.leadership_reports
+        WHERE leader_email = ANY($1) AND is_active = true AND issued_date < $2
+    `, [leaderEmails, from]);
+
+    return {
+        weeks,
+        warnings: warnings.rows,
+        actions: actions.rows,
+        agentsWithLeaders,
+        reports: reports.rows,
+    };
+}
+
+/**
+ * Whether the leader recorded a warning or action around a date (in-memory warningEngine.checkLeaderAction)
+ */
+function leaderActed(history, agentEmail, date, coachingCountsAsAction) {
+    const start = addDays(date, -warningEngine.LEADER_ACTION_WINDOW_DAYS);
+    const end = addDays(date, warningEngine.LEADER_ACTION_WINDOW_DAYS);
+    const inWindow = (value) => {
+        const day = toDate(value);
+        return day >= start && day <= end;
+    };
+
+    return history.warnings.some(w => w.agent_email === agentEmail && inWindow(w.issue_date)
+            && (coachingCountsAsAction || w.warning_type !== 'Coaching'))
+        || history.actions.some(a => a.agent_email === agentEmail && inWindow(a.action_date)
+            && (coachingCountsAsAction || !/coaching/i.test(a.action_type || '')));
+}
+
+/**
+ * Replay a date range week by week under a proposed policy (and optionally proposed rules)
+ * options: from, to (YYYY-MM-DD, validated with validateSimulation), policy, rules,
+ * agentEmails (lowercase; limit the replay to these agents, omit for everyone)
+ * Returns { policy, proposedRules, weeks, caseC, agents, totals } - see the module comment for the assumptions
+ */
+async function simulate(pool, options) {
+    const { from, to } = options;
+    const policy = await buildPolicy(pool, options.policy);
+    const history = await loadHistory(pool, from, to, options.agentEmails);
+
+    // Rule sets: the proposed ones, else those in effect per client/category (cached)
+    const ruleSets = {};
+    const getRuleSet = async (ladder, client, category) => {
+        if (options.rules && options.rules[ladder]) {
+            return { ladder, client: null, category: null, source: 'proposed', rules: options.rules[ladder] };
+        }
+        const key = `${ladder}|${client}|${category}`;
+        if (!ruleSets[key]) {
+            ruleSets[key] = await escalationRules.getRules(pool, { ladder, client, category });
+        }
+        return ruleSets[key];
+    };
+
+    const weeksByAgent = {};
+    history.weeks.forEach(week => {
+        if (!weeksByAgent[week.agent_email]) weeksByAgent[week.agent_email] = [];
+        weeksByAgent[week.agent_email].push(week);
+    });
+
+    // Replay state: warnings per agent (seeded from those recorded before the range) and reports per leader
+    const fromDate = parseDate(from);
+    const warningsByAgent = {};
+    history.warnings.forEach(w => {
+        const issued = toDate(w.issue_date);
+        if (issued >= fromDate || ![...COUNTED_STATUSES, 'Expired'].includes(w.status)) return;
+        if (!warningsByAgent[w.agent_email]) warningsByAgent[w.agent_email] = [];
+        warningsByAgent[w.agent_email].push({
+            warningType: w.warning_type,
+            metricType: w.metric_type,
+            issued,
+            expires: expiresOn(issued, escalationPolicy.getExpirationDays(policy, w.warning_type)),
+        });
+    });
+
+    const reportsByLeader = {};
+    const addReport = (leaderEmail, reportType, issued) => {
+        if (!reportsByLeader[leaderEmail]) reportsByLeader[leaderEmail] = [];
+        reportsByLeader[leaderEmail].push({
+            report_type: reportType,
+            issued,
+            expires: expiresOn(issued, escalationPolicy.getReportExpirationDays(policy, reportType)),
+        });
+    };
+    history.reports.forEach(r => addReport(r.leader_email, r.report_type, toDate(r.issued_date)));
+
+    const leaderByAgent = {};
+    history.agentsWithLeaders.forEach(agent => { leaderByAgent[agent.agent_email] = agent; });
+
+    const offboarded = new Set();
+    const lastLeaderCase = {}; // agent email -> date the Leader ladder last fired
+    const caseC = [];
+    const agents = {};
+    const agentSummary = (week) => {
+        if (!agents[week.agent_email]) {
+            agents[week.agent_email] = {
+                agentEmail: week.agent_email,
+                agentName: week.agent_name,
+                simulatedWarnings: {},
+                recordedWarnings: {},
+                cases: {},
+                reachedCaseC: false,
+            };
+        }
+        return agents[week.agent_email];
+    };
+
+    const replayDates = [...new Set(history.weeks
+        .map(week => formatDate(toDate(week.start_date)))
+        .filter(date => date >= from && date <= to))].sort();
+
+    const weeks = [];
+    for (const date of replayDates) {
+        const weekDate = parseDate(date);
+        const weekSummary = {
+            weekStart: date,
+            agentsUnderperforming: 0,
+            cases: {},
+            leaderCases: {},
+            simulatedWarnings: {},
+            recordedWarnings: {},
+            atRisk: { Medium: 0, High: 0, Critical: 0 },
+        };
+        const offboardedThisWeek = [];
+
+        for (const agentEmail of Object.keys(weeksByAgent)) {
+            const agentWeeks = weeksByAgent[agentEmail];
+            const weekIndex = agentWeeks.findIndex(week => formatDate(toDate(week.start_date)) === date);
+            if (weekIndex === -1 || offboarded.has(agentEmail)) continue;
+
+            const week = agentWeeks[weekIndex];
+            const summary = agentSummary(week);
+            if (warningEngine.isUnderperforming(week, null)) weekSummary.agentsUnderperforming++;
+
+            // Agent ladder, per flagged metric
+            for (const metricType of Object.keys(warningEngine.METRIC_COLUMNS)) {
+                if (!warningEngine.isUnderperforming(week, metricType)) continue;
+
+                const ruleSet = await getRuleSet('Agent', week.client, week.category);
+                const evaluation = await escalationRules.evaluateRules(ruleSet.rules, createReplayFacts({
+                    warnings: (warningsByAgent[agentEmail] || [])
+                        .filter(w => w.metricType === metricType && isActiveOn(w, weekDate)),
+                    stats: warningEngine.summarizeUnderperformance([week], metricType),
+                    leaderActed: () => leaderActed(history, agentEmail, weekDate, policy.coachingCountsAsAction),
+                }));
+                if (!evaluation.rule) continue;
+
+                const caseType = evaluation.rule.caseType;
+                increment(weekSummary.cases, caseType);
+                increment(summary.cases, caseType);
+
+                const warningType = warningEngine.CASE_WARNING_TYPES[caseType];
+                if (warningType) {
+                    if (!warningsByAgent[agentEmail]) warningsByAgent[agentEmail] = [];
+                    warningsByAgent[agentEmail].push({
+                        warningType,
+                        metricType,
+                        issued: weekDate,
+                        expires: expiresOn(weekDate, escalationPolicy.getExpirationDays(policy, warningType)),
+                    });
+                    increment(weekSummary.simulatedWarnings, warningType);
+                    increment(summary.simulatedWarnings, warningType);
+                }
+
+                if (caseType === OFFBOARDING_CASE && !summary.reachedCaseC) {
+                    summary.reachedCaseC = true;
+                    caseC.push({ agentEmail, agentName: week.agent_name, metricType, weekStart: date });
+                    offboardedThisWeek.push(agentEmail);
+                }
+            }
+
+            // Leader ladder over the trailing window
+            const leader = leaderByAgent[agentEmail];
+            const lastFired = lastLeaderCase[agentEmail];
+            if (leader && (!lastFired || (weekDate - lastFired) / (7 * 24 * 60 * 60 * 1000) >= LEADER_WINDOW_WEEKS)) {
+                const windowStart = addDays(weekDate, -7 * (LEADER_WINDOW_WEEKS - 1));
+                const windowWeeks = agentWeeks.slice(0, weekIndex + 1).filter(w => toDate(w.start_date) >= windowStart);
+                const firstWeek = windowWeeks.find(w => warningEngine.isUnderperforming(w, null));
+                const activeReports = (reportsByLeader[leader.leader_email] || []).filter(r => isActiveOn(r, weekDate));
+                const ruleSet = await getRuleSet('Leader', week.client, week.category);
+
+                const evaluation = await escalationRules.evaluateRules(ruleSet.rules, createReplayFacts({
+                    warnings: (warningsByAgent[agentEmail] || []).filter(w => isActiveOn(w, weekDate)),
+                    stats: warningEngine.summarizeUnderperformance(windowWeeks, null),
+                    leaderActed: () => leaderActed(history, agentEmail,
+                        firstWeek ? toDate(firstWeek.start_date) : weekDate, policy.coachingCountsAsAction),
+                    activeReports,
+                }));
+
+                if (evaluation.rule) {
+                    increment(weekSummary.leaderCases, evaluation.rule.caseType);
+                    addReport(leader.leader_email, leadershipReports.getNextReportType(activeReports), weekDate);
+                    lastLeaderCase[agentEmail] = weekDate;
+                }
+            }
+
+            // At-risk for the month so far
+            const monthWeeks = agentWeeks.slice(0, weekIndex + 1).filter(w => {
+                const start = toDate(w.start_date);
+                return start.getFullYear() === weekDate.getFullYear() && start.getMonth() === weekDate.getMonth();
+            });
+            for (const metricType of Object.keys(warningEngine.METRIC_COLUMNS)) {
+                const stats = warningEngine.summarizeUnderperformance(monthWeeks, metricType);
+                const qualifyingWeeks = policy.atRiskMode === 'consecutive' ? stats.consecutiveWeeks : stats.underperformingWeeks;
+                if (qualifyingWeeks < policy.atRiskThreshold || !stats.currentlyUnderperforming) continue;
+                weekSummary.atRisk[warningEngine.deriveRiskLevel(qualifyingWeeks, policy.atRiskThreshold)]++;
+            }
+        }
+
+        offboardedThisWeek.forEach(agentEmail => offboarded.add(agentEmail));
+
+        // Warnings actually recorded during the week, for comparison
+        const weekEnd = addDays(weekDate, 6);
+        history.warnings.forEach(w => {
+            const issued = toDate(w.issue_date);
+            if (issued < weekDate || issued > weekEnd || w.status === 'Rescinded') return;
+            increment(weekSummary.recordedWarnings, w.warning_type);
+            if (agents[w.agent_email]) increment(agents[w.agent_email].recordedWarnings, w.warning_type);
+        });
+
+        weeks.push(weekSummary);
+    }
+
+    const totals = { cases: {}, leaderCases: {}, simulatedWarnings: {}, recordedWarnings: {} };
+    weeks.forEach(week => {
+        Object.keys(totals).forEach(key => {
+            Object.entries(week[key]).forEach(([name, count]) => {
+                totals[key][name] = (totals[key][name] || 0) + count;
+            });
+        });
+    });
+
+    // Agents where the replay and the recorded warnings differ, or who reached Case C
+    const agentComparison = Object.values(agents).filter(agent =>
+        agent.reachedCaseC ||
+        ['Verbal', 'Written'].some(type =>
+            (agent.simulatedWarnings[type] || 0) !== (agent.recordedWarnings[type] || 0)));
+
+    return {
+        from,
+        to,
+        policy,
+        proposedRules: Object.keys(options.rules || {}),
+        weeks,
+        caseC,
+        agents: agentComparison,
+        totals,
+    };
+}
+
+module.exports = {
+    MAX_SIMULATION_WEEKS,
+    validateSimulation,
+    simulate,
+};
@@ -0,0 +1,127 @@
+// test/dataFilters.test.js
+// Parsing the shared data filters from a query string and turning them into SQL
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { isoWeekRange, parseDataFilters, pickFilters, dataFilterClause } = require('../dataFilters');
+
+describe('isoWeekRange', () => {
+    test('week 1 is the week containing 4 January', () => {
+        assert.deepStrictEqual(isoWeekRange(2025, 1), { from: '2024-12-30', to: '2025-01-05' });
+        assert.deepStrictEqual(isoWeekRange(2021, 1), { from: '2021-01-04', to: '2021-01-10' });
+    });
+
+    test('a whole ISO year runs Monday of week 1 to the Sunday before the next', () => {
+        assert.deepStrictEqual(isoWeekRange(2025), { from: '2024-12-30', to: '2025-12-28' });
+    });
+
+    test('only long years have a week 53', () => {
+        assert.deepStrictEqual(isoWeekRange(2020, 53), { from: '2020-12-28', to: '2021-01-03' });
+        assert.strictEqual(isoWeekRange(2025, 53), null);
+    });
+});
+
+describe('parseDataFilters: dates and ISO weeks', () => {
+    test('no filters', () => {
+        assert.deepStrictEqual(parseDataFilters({}), { filters: {} });
+    });
+
+    test('from / to', () => {
+        assert.deepStrictEqual(parseDataFilters({ from: '2025-06-01', to: '2025-06-30' }), {
+            filters: { from: '2025-06-01', to: '2025-06-30' },
+        });
+    });
+
+    test('rejects impossible dates and a reversed range', () => {
+        assert.deepStrictEqual(parseDataFilters({ from: '2025-02-29' }), { error: 'from must be a date (YYYY-MM-DD)' });
+        assert.deepStrictEqual(parseDataFilters({ from: '2025-06-30', to: '2025-06-01' }), { error: 'from must be on or before to' });
+    });
+
+    test('an ISO week becomes its Monday..Sunday range', () => {
+        assert.deepStrictEqual(parseDataFilters({ isoYear: '2025', isoWeek: '24' }), {
+            filters: { from: '2025-06-09', to: '2025-06-15' },
+        });
+    });
+
+    test('an ISO week is intersected with an explicit from / to', () => {
+        assert.deepStrictEqual(parseDataFilters({ isoYear: '2025', isoWeek: '24', from: '2025-06-11' }), {
+            filters: { from: '2025-06-11', to: '2025-06-15' },
+        });
+    });
+
+    test('rejects bad ISO weeks', () => {
+        assert.deepStrictEqual(parseDataFilters({ isoWeek: '3' }), { error: 'isoWeek requires isoYear' });
+        assert.deepStrictEqual(parseDataFilters({ isoYear: '25' }), { error: 'isoYear must be a four-digit year' });
+        assert.deepStrictEqual(parseDataFilters({ isoYear: '2025', isoWeek: '0' }), { error: 'isoWeek must be a whole number from 1 to 53' });
+        assert.deepStrictEqual(parseDataFilters({ isoYear: '2025', isoWeek: '53' }), { error: '2025 has no ISO week 53' });
+    });
+});
+
+describe('parseDataFilters: lists and exclusions', () => {
+    test('a single value and repeated values both come back as arrays', () => {
+        assert.deepStrictEqual(parseDataFilters({ client: 'Acme', category: ['Chat', 'Email'] }), {
+            filters: { client: ['Acme'], category: ['Chat', 'Email'] },
+        });
+    });
+
+    test('blank and repeated values are dropped', () => {
+        assert.deepStrictEqual(parseDataFilters({ client: ['Acme', '', 'Acme'], task: '' }), {
+            filters: { client: ['Acme'] },
+        });
+    });
+
+    test('exclusions sit alongside inclusions', () => {
+        assert.deepStrictEqual(parseDataFilters({ client: 'Acme', excludeCategory: 'Voice' }), {
+            filters: { client: ['Acme'], excludeCategory: ['Voice'] },
+        });
+    });
+
+    test('years must be whole numbers', () => {
+        assert.deepStrictEqual(parseDataFilters({ year: ['2024', '2025'] }), { filters: { year: [2024, 2025] } });
+        assert.deepStrictEqual(parseDataFilters({ excludeYear: '2025a' }), { error: 'excludeYear must be a whole number' });
+    });
+
+    test('agent emails are lowercased', () => {
+        assert.deepStrictEqual(parseDataFilters({ agentEmail: ['Agent1@X.com', 'agent1@x.com'] }), {
+            filters: { agentEmail: ['agent1@x.com'] },
+        });
+    });
+});
+
+describe('dataFilterClause', () => {
+    test('adds conditions and params in order', () => {
+        const params = ['existing'];
+        const clause = dataFilterClause({
+            client: ['Acme'],
+            excludeCategory: ['Voice'],
+            agentEmail: ['agent1@x.com'],
+            from: '2025-06-01',
+            to: '2025-06-30',
+        }, params, 'd');
+
+        assert.strictEqual(clause, [
+            ' AND d.client = ANY($2)',
+            ' AND (d.category IS NULL OR d.category <> ALL($3))',
+            ' AND LOWER(d.agent_email) = ANY($4)',
+            ' AND d.start_date >= $5::date - 6',
+            ' AND d.start_date <= $6::date',
+        ].join(''));
+        assert.deepStrictEqual(params, ['existing', ['Acme'], ['Voice'], ['agent1@x.com'], '2025-06-01', '2025-06-30']);
+    });
+
+    test('is empty without filters', () => {
+        const params = [];
+        assert.strictEqual(dataFilterClause({}, params), '');
+        assert.deepStrictEqual(params, []);
+    });
+});
+
+describe('pickFilters', () => {
+    test('keeps the named filters and their exclusions', () => {
+        assert.deepStrictEqual(
+            pickFilters({ client: ['Acme'], excludeClient: ['Beta'], category: ['Chat'] }, ['client']),
+            { client: ['Acme'], excludeClient: ['Beta'] }
+        );
+    });
+});
@@ -0,0 +1,83 @@
+// test/digestTemplates.test.js
+// Rendering the leader digest email
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { renderDigest } = require('../digestTemplates');
+
+function digest(overrides = {}) {
+    return {
+        leader: { person_email: 'tl1@example.com', person_name: 'Terry Lead' },
+        frequency: 'Weekly',
+        recommendations: [],
+        newAtRisk: [],
+        ...overrides,
+    };
+}
+
+const recommendation = {
+    agent_email: 'agent1@example.com',
+    agent_name: 'Alex Agent',
+    recommendation_type: 'First Verbal Warning',
+    metric_type: 'QA',
+    priority: 'Low',
+    generated_date: new Date(2025, 5, 9), // pg DATE: local midnight
+    days_pending: 3,
+};
+
+const atRisk = {
+    agent_email: 'agent2@example.com',
+    agent_name: null,
+    metric_type: 'Production',
+    risk_level: 'High',
+    consecutive_weeks: 4,
+    flagged_date: new Date(2025, 5, 16),
+};
+
+describe('renderDigest', () => {
+    test('the subject counts recommendations and at-risk agents, with plurals', () => {
+        assert.strictEqual(
+            renderDigest(digest({ recommendations: [recommendation], newAtRisk: [atRisk, atRisk] })).subject,
+            'QPerform weekly digest: 1 unactioned recommendation and 2 new at-risk agents'
+        );
+        assert.strictEqual(
+            renderDigest(digest({ frequency: 'Daily' })).subject,
+            'QPerform daily digest: 0 unactioned recommendations and 0 new at-risk agents'
+        );
+    });
+
+    test('the text body lists each row with its columns', () => {
+        const { text } = renderDigest(digest({ recommendations: [recommendation], newAtRisk: [atRisk] }));
+
+        assert.match(text, /^Hi Terry Lead,/);
+        assert.ok(text.includes('Unactioned recommendations (oldest first) (1):\n'
+            + '  - Agent: Alex Agent | Recommendation: First Verbal Warning | Metric: QA | Priority: Low | Generated: 2025-06-09 | Days Pending: 3'));
+        // Falls back to the email when the agent has no name
+        assert.ok(text.includes('  - Agent: agent2@example.com | Metric: Production | Risk Level: High | Consecutive Weeks: 4 | Flagged: 2025-06-16'));
+    });
+
+    test('empty sections say none', () => {
+        const { text, html } = renderDigest(digest());
+
+        assert.ok(text.includes('Unactioned recommendations (oldest first): none'));
+        assert.ok(text.includes('New at-risk agents: none'));
+        assert.ok(html.includes('<h3>New at-risk agents</h3><p>None</p>'));
+    });
+
+    test('greets the leader by email when there is no name', () => {
+        const { text } = renderDigest(digest({ leader: { person_email: 'tl1@example.com', person_name: null } }));
+        assert.match(text, /^Hi tl1@example.com,/);
+    });
+
+    test('escapes names and values in the HTML body', () => {
+        const { html } = renderDigest(digest({
+            leader: { person_email: 'tl1@example.com', person_name: 'Terry <b>Lead</b>' },
+            recommendations: [{ ...recommendation, agent_name: 'O\'Brien & "Co"' }],
+        }));
+
+        assert.ok(html.includes('<p>Hi Terry &lt;b&gt;Lead&lt;/b&gt;,</p>'));
+        assert.ok(html.includes('<td>O&#39;Brien &amp; &quot;Co&quot;</td>'));
+        assert.ok(!html.includes('<b>Lead</b>'));
+    });
+});
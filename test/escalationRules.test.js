@@ -0,0 +1,148 @@
+// test/escalationRules.test.js
+// Rule set validation and evaluation of the escalation ladders
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_RULES, validateRules, evaluateRules } = require('../escalationRules');
+
+function rule(overrides = {}) {
+    return {
+        caseType: 'A',
+        conditions: [],
+        recommendation: 'First Verbal Warning',
+        priority: 'Low',
+        details: 'Agent is underperforming.',
+        ...overrides,
+    };
+}
+
+/**
+ * Fact lookup over a plain object that records which facts were asked for
+ */
+function factsFrom(values) {
+    const asked = [];
+    const getFact = async (name) => {
+        asked.push(name);
+        return values[name];
+    };
+    return { getFact, asked };
+}
+
+describe('validateRules', () => {
+    test('accepts the default ladders', () => {
+        assert.strictEqual(validateRules('Agent', DEFAULT_RULES.Agent), null);
+        assert.strictEqual(validateRules('Leader', DEFAULT_RULES.Leader), null);
+    });
+
+    test('rejects an unknown ladder or a non-array rule set', () => {
+        assert.strictEqual(validateRules('Manager', []), 'ladder must be one of: Agent, Leader');
+        assert.strictEqual(validateRules('Agent', {}), 'rules must be an array');
+    });
+
+    test('rejects duplicate case types', () => {
+        assert.strictEqual(
+            validateRules('Agent', [rule(), rule()]),
+            'rules[1].caseType "A" is used by more than one rule'
+        );
+    });
+
+    test('rejects an unknown priority', () => {
+        assert.strictEqual(
+            validateRules('Agent', [rule({ priority: 'Urgent' })]),
+            'rules[0].priority must be one of: Low, Medium, High, Critical'
+        );
+    });
+
+    test('rejects facts the ladder does not have, in conditions and in details', () => {
+        const leaderOnly = rule({ conditions: [{ fact: 'activeLeadershipReports', operator: '>=', value: 1 }] });
+        assert.match(validateRules('Agent', [leaderOnly]), /^rules\[0\]\.conditions\[0\]: unknown fact "activeLeadershipReports"/);
+        assert.strictEqual(validateRules('Leader', [leaderOnly]), null);
+
+        assert.strictEqual(
+            validateRules('Agent', [rule({ details: 'Has {activeWarnings.Final} warnings' })]),
+            'rules[0].details: unknown fact "{activeWarnings.Final}"'
+        );
+    });
+
+    test('rejects bad operators and values', () => {
+        assert.match(
+            validateRules('Agent', [rule({ conditions: [{ fact: 'weeksUnderperforming', operator: '=>', value: 2 }] })]),
+            /^rules\[0\]\.conditions\[0\]: operator must be one of/
+        );
+        assert.strictEqual(
+            validateRules('Agent', [rule({ conditions: [{ fact: 'weeksUnderperforming', operator: '>', value: '2' }] })]),
+            'rules[0].conditions[0]: value must be a number or true/false'
+        );
+    });
+
+    test('validates conditions nested in any', () => {
+        assert.strictEqual(
+            validateRules('Agent', [rule({ conditions: [{ any: [] }] })]),
+            'rules[0].conditions[0].any must be a non-empty array of conditions'
+        );
+        assert.match(
+            validateRules('Agent', [rule({ conditions: [{ any: [{ fact: 'nope', operator: '=', value: 1 }] }] })]),
+            /^rules\[0\]\.conditions\[0\]\.any\[0\]: unknown fact "nope"/
+        );
+    });
+});
+
+describe('evaluateRules', () => {
+    test('fires the first rule whose conditions all hold', async () => {
+        const { getFact } = factsFrom({ 'activeWarnings.Written': 0, 'activeWarnings.Verbal': 2 });
+        const result = await evaluateRules(DEFAULT_RULES.Agent, getFact);
+
+        assert.strictEqual(result.rule.caseType, 'B');
+        assert.deepStrictEqual(result.trace.map(r => [r.caseType, r.fired]), [['C', false], ['B', true]]);
+    });
+
+    test('falls through to a rule without conditions', async () => {
+        const { getFact } = factsFrom({ 'activeWarnings.Written': 0, 'activeWarnings.Verbal': 0 });
+        const result = await evaluateRules(DEFAULT_RULES.Agent, getFact);
+
+        assert.strictEqual(result.rule.caseType, 'First');
+    });
+
+    test('returns no rule when none fires', async () => {
+        const { getFact } = factsFrom({ weeksUnderperforming: 1, leaderActionTaken: false });
+        const result = await evaluateRules(DEFAULT_RULES.Leader, getFact);
+
+        assert.strictEqual(result.rule, null);
+        assert.strictEqual(result.details, null);
+        assert.strictEqual(result.trace.length, 2);
+    });
+
+    test('looks each fact up once, and only while conditions keep passing', async () => {
+        const { getFact, asked } = factsFrom({ weeksUnderperforming: 1, leaderActionTaken: false, activeLeadershipReports: 0 });
+        await evaluateRules(DEFAULT_RULES.Leader, getFact);
+
+        assert.deepStrictEqual(asked, ['weeksUnderperforming']);
+    });
+
+    test('fills fact placeholders in the details', async () => {
+        const { getFact } = factsFrom({ weeksUnderperforming: 4, leaderActionTaken: false, activeLeadershipReports: 0 });
+        const result = await evaluateRules(DEFAULT_RULES.Leader, getFact);
+
+        assert.strictEqual(result.rule.caseType, 'D');
+        assert.match(result.details, /^Agent has been underperforming for 4 weeks/);
+        assert.deepStrictEqual(result.facts, { weeksUnderperforming: 4, leaderActionTaken: false, activeLeadershipReports: 0 });
+    });
+
+    test('an any condition holds when one of its options does', async () => {
+        const rules = [rule({
+            caseType: 'X',
+            conditions: [{
+                any: [
+                    { fact: 'activeWarnings.Written', operator: '>=', value: 1 },
+                    { fact: 'consecutiveWeeks', operator: '>=', value: 3 },
+                ],
+            }],
+        })];
+        const { getFact } = factsFrom({ 'activeWarnings.Written': 0, consecutiveWeeks: 3 });
+        const result = await evaluateRules(rules, getFact);
+
+        assert.strictEqual(result.rule.caseType, 'X');
+        assert.deepStrictEqual(result.trace[0].conditions[0].any.map(c => c.passed), [false, true]);
+    });
+});
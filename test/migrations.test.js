@@ -0,0 +1,77 @@
+// test/migrations.test.js
+// Reading migration files (no database needed)
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadMigrations } = require('../migrations');
+
+describe('loadMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function write(files) {
+        Object.entries(files).forEach(([file, sql]) => fs.writeFileSync(path.join(dir, file), sql));
+    }
+
+    test('loads the migrations shipped with the repo', () => {
+        const migrations = loadMigrations();
+        assert.ok(migrations.length > 0);
+        assert.strictEqual(migrations[0].version, '001');
+        assert.strictEqual(migrations[0].name, 'baseline');
+    });
+
+    test('pairs up and down files and sorts by numeric version', () => {
+        write({
+            '10_later.up.sql': 'SELECT 10;',
+            '9_earlier.up.sql': 'SELECT 9;',
+            '9_earlier.down.sql': 'SELECT -9;',
+            'README.md': 'not a migration',
+        });
+
+        const migrations = loadMigrations(dir);
+        assert.deepStrictEqual(migrations.map(m => [m.version, m.name, m.downSql]), [
+            ['9', 'earlier', 'SELECT -9;'],
+            ['10', 'later', null],
+        ]);
+    });
+
+    test('checksums the up file, ignoring CRLF line endings', () => {
+        write({ '1_a.up.sql': 'SELECT 1;\nSELECT 2;\n' });
+        const [lf] = loadMigrations(dir);
+
+        write({ '1_a.up.sql': 'SELECT 1;\r\nSELECT 2;\r\n' });
+        const [crlf] = loadMigrations(dir);
+
+        assert.match(lf.checksum, /^[0-9a-f]{64}$/);
+        assert.strictEqual(crlf.checksum, lf.checksum);
+
+        write({ '1_a.up.sql': 'SELECT 1;\nSELECT 3;\n' });
+        assert.notStrictEqual(loadMigrations(dir)[0].checksum, lf.checksum);
+    });
+
+    test('rejects a badly named file', () => {
+        write({ 'add_table.sql': 'SELECT 1;' });
+        assert.throws(() => loadMigrations(dir), /Migration file "add_table.sql" must be named/);
+    });
+
+    test('rejects two names for one version', () => {
+        write({ '2_one.up.sql': 'SELECT 1;', '2_two.up.sql': 'SELECT 2;' });
+        assert.throws(() => loadMigrations(dir), /Migration version 2 is used by both/);
+    });
+
+    test('rejects a down file without an up file', () => {
+        write({ '3_orphan.down.sql': 'SELECT 1;' });
+        assert.throws(() => loadMigrations(dir), /Migration 3_orphan has a down file but no up file/);
+    });
+});
@@ -0,0 +1,125 @@
+// test/pagination.test.js
+// Page parameters, cursors and the page query (against a stub pool)
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, PAGE_SPECS, parsePageParams, fetchPage } = require('../pagination');
+
+const spec = PAGE_SPECS.warnings;
+
+/**
+ * Pool whose page query returns pageRows and whose count query returns total; records the queries
+ */
+function stubPool(pageRows, total) {
+    const queries = [];
+    return {
+        queries,
+        query: async (text, params) => {
+            queries.push({ text, params });
+            if (text.includes('COUNT(*)')) return { rows: [{ total }] };
+            return { rows: pageRows.map(row => ({ ...row })) };
+        },
+    };
+}
+
+function warningRow(id, issueDate) {
+    return { id, issue_date: issueDate, __cursor_0: issueDate, __cursor_1: String(id) };
+}
+
+describe('parsePageParams', () => {
+    test('without limit or cursor every row is returned, in the default sort', () => {
+        assert.deepStrictEqual(parsePageParams({}, spec), {
+            limit: null,
+            sort: [{ column: 'issue_date', descending: true }, { column: 'id', descending: false }],
+            fields: null,
+            after: null,
+        });
+    });
+
+    test('limit must be a whole number within the maximum', () => {
+        assert.strictEqual(parsePageParams({ limit: '25' }, spec).limit, 25);
+        ['0', '2.5', 'ten', String(MAX_PAGE_SIZE + 1)].forEach(limit => {
+            assert.deepStrictEqual(parsePageParams({ limit }, spec), {
+                error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`,
+            });
+        });
+    });
+
+    test('sort terms are validated and the tiebreakers appended', () => {
+        assert.deepStrictEqual(parsePageParams({ sort: 'agent_email,-id' }, spec).sort, [
+            { column: 'agent_email', descending: false },
+            { column: 'id', descending: true },
+        ]);
+        assert.match(parsePageParams({ sort: 'password' }, spec).error, /^Cannot sort on "password"/);
+    });
+
+    test('fields must be known columns', () => {
+        assert.deepStrictEqual(parsePageParams({ fields: 'id,status,id' }, spec).fields, ['id', 'status']);
+        assert.match(parsePageParams({ fields: 'id,secret' }, spec).error, /^Unknown fields: secret\./);
+    });
+
+    test('rejects a cursor that is not one of ours', () => {
+        assert.deepStrictEqual(parsePageParams({ cursor: 'not-a-cursor' }, spec), {
+            error: 'cursor is invalid or was issued for a different sort',
+        });
+    });
+});
+
+describe('fetchPage', () => {
+    test('returns a next cursor that resumes after the last row', async () => {
+        const page = parsePageParams({ limit: '2' }, spec);
+        const pool = stubPool([warningRow(9, '2025-06-10'), warningRow(7, '2025-06-03'), warningRow(8, '2025-06-03')], 5);
+
+        const result = await fetchPage(pool, 'SELECT * FROM consolidations.warnings WHERE status = $1', ['Active'], page);
+
+        assert.deepStrictEqual(result.rows, [{ id: 9, issue_date: '2025-06-10' }, { id: 7, issue_date: '2025-06-03' }]);
+        assert.strictEqual(result.total, 5);
+        assert.ok(result.nextCursor);
+
+        // One extra row is fetched to know whether there is another page
+        assert.match(pool.queries[0].text, /LIMIT \$2/);
+        assert.deepStrictEqual(pool.queries[0].params, ['Active', 3]);
+
+        const next = parsePageParams({ cursor: result.nextCursor }, spec);
+        assert.strictEqual(next.limit, DEFAULT_PAGE_SIZE);
+        assert.deepStrictEqual(next.after, ['2025-06-03', '7']);
+    });
+
+    test('a cursor only works with the sort it was issued for', async () => {
+        const pool = stubPool([warningRow(9, '2025-06-10'), warningRow(7, '2025-06-03')], 2);
+        const result = await fetchPage(pool, 'SELECT * FROM consolidations.warnings', [], parsePageParams({ limit: '1' }, spec));
+
+        assert.deepStrictEqual(parsePageParams({ cursor: result.nextCursor, sort: 'id' }, spec), {
+            error: 'cursor is invalid or was issued for a different sort',
+        });
+    });
+
+    test('the page after a cursor is keyed on the cursor values', async () => {
+        const page = parsePageParams({ limit: '2' }, spec);
+        page.after = ['2025-06-03', '7'];
+        const pool = stubPool([], 5);
+
+        await fetchPage(pool, 'SELECT * FROM consolidations.warnings', [], page);
+
+        assert.match(pool.queries[0].text, /issue_date < \$1/);
+        assert.match(pool.queries[0].text, /issue_date = \$1 AND \(id > \$2 OR id IS NULL\)/);
+        assert.deepStrictEqual(pool.queries[0].params, ['2025-06-03', '7', 3]);
+    });
+
+    test('no limit means no LIMIT and no next cursor', async () => {
+        const pool = stubPool([warningRow(9, '2025-06-10'), warningRow(7, '2025-06-03')], 2);
+        const result = await fetchPage(pool, 'SELECT * FROM consolidations.warnings', [], parsePageParams({}, spec));
+
+        assert.doesNotMatch(pool.queries[0].text, /LIMIT/);
+        assert.strictEqual(result.rows.length, 2);
+        assert.strictEqual(result.nextCursor, null);
+    });
+
+    test('the last page has no next cursor', async () => {
+        const pool = stubPool([warningRow(9, '2025-06-10')], 1);
+        const result = await fetchPage(pool, 'SELECT * FROM consolidations.warnings', [], parsePageParams({ limit: '2' }, spec));
+
+        assert.strictEqual(result.nextCursor, null);
+    });
+});
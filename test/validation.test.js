@@ -0,0 +1,187 @@
+// test/validation.test.js
+// validation.validate and the validateRequest middleware
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { validate, validateRequest } = require('../validation');
+
+function messages(errors) {
+    return errors.map(e => e.message);
+}
+
+describe('validate', () => {
+    test('passes valid values and ignores fields the schema does not name', () => {
+        const errors = validate({
+            agentEmail: { type: 'email', required: true },
+            weekStartDate: { type: 'date' },
+            warningId: { type: 'id' },
+            limit: { type: 'integer', min: 1, max: 100 },
+            threshold: { type: 'number', min: 0 },
+            isActive: { type: 'boolean' },
+            metricType: { type: 'enum', values: ['QA', 'Production'] },
+        }, {
+            agentEmail: 'agent1@example.com',
+            weekStartDate: '2025-06-09',
+            warningId: '12',
+            limit: '50',
+            threshold: '0.75',
+            isActive: 'true',
+            metricType: 'QA',
+            extra: 'anything',
+        }, 'query');
+
+        assert.deepStrictEqual(errors, []);
+    });
+
+    test('reports missing required fields and lets optional ones be blank', () => {
+        const errors = validate({
+            reason: { type: 'string', required: true },
+            notes: { type: 'string' },
+        }, { notes: null }, 'body');
+
+        assert.deepStrictEqual(errors, [{ location: 'body', field: 'reason', message: 'reason is required' }]);
+    });
+
+    test('rejects a blank required string', () => {
+        const errors = validate({ reason: { type: 'string', required: true } }, { reason: '   ' }, 'body');
+        assert.deepStrictEqual(messages(errors), ['reason must not be blank']);
+    });
+
+    test('enforces maxLength', () => {
+        const errors = validate({ client: { type: 'string', maxLength: 3 } }, { client: 'abcd' }, 'query');
+        assert.deepStrictEqual(messages(errors), ['client must be at most 3 characters']);
+    });
+
+    test('rejects impossible dates and malformed emails', () => {
+        const errors = validate({
+            from: { type: 'date' },
+            to: { type: 'date' },
+            email: { type: 'email' },
+        }, { from: '2025-02-30', to: '06/09/2025', email: 'not-an-email' }, 'query');
+
+        assert.deepStrictEqual(messages(errors), [
+            'from must be a date (YYYY-MM-DD)',
+            'to must be a date (YYYY-MM-DD)',
+            'email must be a valid email address',
+        ]);
+    });
+
+    test('ids are positive whole numbers within the integer column range', () => {
+        const schema = { id: { type: 'id' } };
+        assert.strictEqual(validate(schema, { id: '0' }, 'params').length, 1);
+        assert.strictEqual(validate(schema, { id: '1.5' }, 'params').length, 1);
+        assert.strictEqual(validate(schema, { id: '2147483648' }, 'params').length, 1);
+        assert.strictEqual(validate(schema, { id: 7 }, 'body').length, 0);
+    });
+
+    test('integer and number bounds', () => {
+        const errors = validate({
+            weeks: { type: 'integer', min: 1, max: 52 },
+            threshold: { type: 'number', max: 1 },
+            ratio: { type: 'number' },
+        }, { weeks: '53', threshold: 1.5, ratio: 'abc' }, 'query');
+
+        assert.deepStrictEqual(messages(errors), [
+            'weeks must be at most 52',
+            'threshold must be at most 1',
+            'ratio must be a number',
+        ]);
+    });
+
+    test('booleans are "true" / "false" in query strings and real booleans in bodies', () => {
+        const schema = { isActive: { type: 'boolean' } };
+        assert.strictEqual(validate(schema, { isActive: 'false' }, 'query').length, 0);
+        assert.strictEqual(validate(schema, { isActive: 'yes' }, 'query').length, 1);
+        assert.strictEqual(validate(schema, { isActive: false }, 'body').length, 0);
+        assert.strictEqual(validate(schema, { isActive: 'false' }, 'body').length, 1);
+    });
+
+    test('lists the allowed enum values', () => {
+        const errors = validate({ metricType: { type: 'enum', values: ['QA', 'Production'] } }, { metricType: 'qa' }, 'query');
+        assert.deepStrictEqual(messages(errors), ['metricType must be one of: QA, Production']);
+    });
+
+    test('rejects a query parameter given more than once', () => {
+        const errors = validate({ client: { type: 'string' } }, { client: ['A', 'B'] }, 'query');
+        assert.deepStrictEqual(messages(errors), ['client must be given once']);
+    });
+
+    test('checks each array item and a required array must not be empty', () => {
+        const schema = { agentEmails: { type: 'array', required: true, items: { type: 'email' } } };
+
+        assert.deepStrictEqual(messages(validate(schema, { agentEmails: [] }, 'body')), ['agentEmails must not be empty']);
+        assert.deepStrictEqual(validate(schema, { agentEmails: ['a@x.com', 'bad'] }, 'body'), [
+            { location: 'body', field: 'agentEmails[1]', message: 'agentEmails[1] must be a valid email address' },
+        ]);
+    });
+
+    test('objects must not be arrays', () => {
+        const schema = { data: { type: 'object' } };
+        assert.strictEqual(validate(schema, { data: {} }, 'body').length, 0);
+        assert.deepStrictEqual(messages(validate(schema, { data: [] }, 'body')), ['data must be an object']);
+    });
+
+    test('throws on an unknown rule type', () => {
+        assert.throws(() => validate({ x: { type: 'uuid' } }, { x: 'a' }, 'body'), /Unknown validation type "uuid"/);
+    });
+});
+
+describe('validateRequest', () => {
+    function run(middleware, req) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; },
+        };
+        let nextCalled = false;
+        middleware(req, res, () => { nextCalled = true; });
+        return { res, nextCalled };
+    }
+
+    test('calls next when every location passes', () => {
+        const middleware = validateRequest({
+            params: { warningId: { type: 'id' } },
+            body: { reason: { type: 'string', required: true } },
+        });
+        const { res, nextCalled } = run(middleware, { params: { warningId: '3' }, query: {}, body: { reason: 'Done' } });
+
+        assert.strictEqual(nextCalled, true);
+        assert.strictEqual(res.statusCode, 200);
+    });
+
+    test('responds 400 with every failure across locations', () => {
+        const middleware = validateRequest({
+            params: { warningId: { type: 'id' } },
+            query: { metricType: { type: 'enum', values: ['QA'] } },
+        });
+        const { res, nextCalled } = run(middleware, { params: { warningId: 'abc' }, query: { metricType: 'X' } });
+
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 400);
+        assert.strictEqual(res.body.error, 'warningId must be a positive whole number; metricType must be one of: QA');
+        assert.deepStrictEqual(res.body.details.map(d => d.location), ['params', 'query']);
+    });
+
+    test('treats a missing body as an empty object', () => {
+        const middleware = validateRequest({ body: { notes: { type: 'string' } } });
+        const req = { params: {}, query: {} };
+        const { nextCalled } = run(middleware, req);
+
+        assert.strictEqual(nextCalled, true);
+        assert.deepStrictEqual(req.body, {});
+    });
+
+    test('rejects a body that is not a JSON object', () => {
+        const middleware = validateRequest({ body: { notes: { type: 'string' } } });
+        const { res, nextCalled } = run(middleware, { params: {}, query: {}, body: [1, 2] });
+
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.body.error, 'Request body must be a JSON object');
+    });
+
+    test('throws on an unknown location', () => {
+        assert.throws(() => validateRequest({ headers: {} }), /Unknown request location "headers"/);
+    });
+});
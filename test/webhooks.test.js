@@ -0,0 +1,189 @@
+// test/webhooks.test.js
+// Subscription checks, request signing and retry backoff
+// Deliveries are POSTed to a local receiver; the database is a stub pool
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const webhooks = require('../webhooks');
+
+const SECRET = 'a-secret-of-16-chars-or-more';
+
+/**
+ * Local receiver answering with the status code of the path (/200, /500) and keeping each request
+ */
+function startReceiver() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = Number(req.url.slice(1));
+            res.end('thanks');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, received, url: (status) => `http://127.0.0.1:${server.address().port}/${status}` });
+    }));
+}
+
+/**
+ * Pool that queues and hands out the given claimed deliveries once, recording each claim and attempt
+ * attempts is the count after the claim (the claim increments it)
+ */
+function stubPool(deliveries) {
+    const recorded = [];
+    const claims = [];
+    let claimed = false;
+    return {
+        recorded,
+        claims,
+        query: async (text, params) => {
+            if (text.includes('INSERT INTO consolidations.webhook_deliveries')) {
+                return { rows: deliveries.map(d => ({ delivery_id: d.delivery_id })) };
+            }
+            if (text.includes('RETURNING d.*')) {
+                claims.push(params);
+                const rows = claimed ? [] : deliveries;
+                claimed = true;
+                return { rows };
+            }
+            if (text.includes('last_attempt_at = NOW()')) {
+                const [deliveryId, status, statusCode, , error, retryMinutes] = params;
+                recorded.push({ deliveryId, status, statusCode, error, retryMinutes });
+                return { rowCount: 1 };
+            }
+            throw new Error(`Unexpected query: ${text}`);
+        },
+    };
+}
+
+function delivery(id, url, attempts) {
+    return {
+        delivery_id: id,
+        event_type: 'warning.created',
+        payload: { id: `event-${id}`, type: 'warning.created', data: { warningId: id } },
+        attempts,
+        url,
+        secret: SECRET,
+    };
+}
+
+describe('validateSubscription', () => {
+    test('accepts a valid subscription', () => {
+        assert.strictEqual(webhooks.validateSubscription({
+            url: 'https://example.com/hooks',
+            eventTypes: ['warning.created'],
+            secret: SECRET,
+        }), null);
+    });
+
+    test('skips fields that are not given', () => {
+        assert.strictEqual(webhooks.validateSubscription({}), null);
+    });
+
+    test('rejects non-http urls, unknown events and short secrets', () => {
+        assert.strictEqual(webhooks.validateSubscription({ url: 'ftp://example.com' }), 'url must be an absolute http(s) URL');
+        assert.strictEqual(webhooks.validateSubscription({ url: '/relative' }), 'url must be an absolute http(s) URL');
+        assert.match(webhooks.validateSubscription({ eventTypes: [] }), /^eventTypes must be a non-empty array/);
+        assert.match(webhooks.validateSubscription({ eventTypes: ['warning.deleted'] }), /^Unknown event types: warning.deleted\./);
+        assert.strictEqual(webhooks.validateSubscription({ secret: 'short' }), 'secret must be at least 16 characters');
+    });
+});
+
+describe('deliverDue', () => {
+    let receiver;
+
+    before(async () => {
+        receiver = await startReceiver();
+    });
+
+    after(() => {
+        receiver.server.close();
+    });
+
+    test('signs "<timestamp>.<body>" with the subscription secret', async () => {
+        receiver.received.length = 0;
+        const pool = stubPool([delivery(1, receiver.url(200), 1)]);
+
+        await webhooks.deliverDue(pool);
+
+        const [{ headers, body }] = receiver.received;
+        const expected = 'sha256=' + crypto.createHmac('sha256', SECRET)
+            .update(`${headers['x-qperform-timestamp']}.${body}`)
+            .digest('hex');
+
+        assert.strictEqual(headers['x-qperform-signature'], expected);
+        assert.strictEqual(headers['x-qperform-event'], 'warning.created');
+        assert.strictEqual(headers['x-qperform-delivery'], '1');
+        assert.match(headers['x-qperform-timestamp'], /^\d+$/);
+        assert.deepStrictEqual(JSON.parse(body), { id: 'event-1', type: 'warning.created', data: { warningId: 1 } });
+    });
+
+    test('records a successful attempt as Delivered', async () => {
+        const pool = stubPool([delivery(2, receiver.url(200), 1)]);
+
+        const summary = await webhooks.deliverDue(pool);
+
+        assert.deepStrictEqual(summary, { attempted: 1, delivered: 1, retrying: 0, failed: 0 });
+        assert.deepStrictEqual(pool.recorded, [{ deliveryId: 2, status: 'Delivered', statusCode: 200, error: null, retryMinutes: null }]);
+    });
+
+    test('backs off 1, 5, 30, 120 and 720 minutes, then fails', async () => {
+        const deliveries = [1, 2, 3, 4, 5, 6].map(attempts => delivery(10 + attempts, receiver.url(500), attempts));
+        const pool = stubPool(deliveries);
+
+        const summary = await webhooks.deliverDue(pool);
+
+        assert.strictEqual(webhooks.MAX_ATTEMPTS, 6);
+        assert.deepStrictEqual(summary, { attempted: 6, delivered: 0, retrying: 5, failed: 1 });
+        assert.deepStrictEqual(pool.recorded.map(r => [r.status, r.retryMinutes]), [
+            ['Pending', 1],
+            ['Pending', 5],
+            ['Pending', 30],
+            ['Pending', 120],
+            ['Pending', 720],
+            ['Failed', null],
+        ]);
+        assert.deepStrictEqual(pool.recorded[0].error, 'HTTP 500');
+    });
+
+    test('an unreachable receiver counts as a failed attempt', async () => {
+        const pool = stubPool([delivery(20, 'http://127.0.0.1:1/200', 1)]);
+
+        await webhooks.deliverDue(pool);
+
+        assert.strictEqual(pool.recorded[0].status, 'Pending');
+        assert.strictEqual(pool.recorded[0].statusCode, null);
+        assert.ok(pool.recorded[0].error);
+    });
+});
+
+describe('pingSubscription', () => {
+    let receiver;
+
+    before(async () => {
+        receiver = await startReceiver();
+    });
+
+    after(() => {
+        receiver.server.close();
+    });
+
+    test('claims and attempts only the ping delivery', async () => {
+        const pool = stubPool([{ ...delivery(30, receiver.url(200), 1), event_type: webhooks.PING_EVENT }]);
+
+        const result = await webhooks.pingSubscription(pool, 4);
+
+        assert.deepStrictEqual(result, { deliveryId: 30, status: 'Delivered', statusCode: 200, error: null });
+        assert.deepStrictEqual(pool.claims.map(([limit, , deliveryId]) => [limit, deliveryId]), [[1, 30]]);
+    });
+
+    test('returns null when the subscription is missing or inactive', async () => {
+        const pool = stubPool([]);
+        assert.strictEqual(await webhooks.pingSubscription(pool, 4), null);
+    });
+});
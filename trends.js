@@ -0,0 +1,183 @@
+// trends.js
+// Weekly and monthly trend series for the performance data
+// Each point carries week-over-week / month-over-month deltas and a rolling average
+
+const { dataFilterClause } = require('./dataFilters');
+
+const DEFAULT_ROLLING_WEEKS = 4;
+const MAX_ROLLING_WEEKS = 26;
+
+// Series values that get deltas (and rolling averages)
+const TREND_METRICS = ['avgQa', 'avgProd', 'aftes', 'underperformers', 'underperformersQa', 'underperformersProd'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar day index of a pg DATE (local midnight), unaffected by DST
+ */
+function dayNumber(date) {
+    return Math.round((date.getTime() - date.getTimezoneOffset() * 60000) / DAY_MS);
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Aggregate columns shared by the weekly and monthly series
+ * Scores are averaged as percentages, like the summary endpoints
+ */
+const AGGREGATES = `
+    ROUND(AVG(kpi_qa) * 100, 2) as avg_qa,
+    ROUND(AVG(kpi_prod) * 100, 2) as avg_prod,
+    COUNT(DISTINCT agent_id) as aftes,
+    COUNT(DISTINCT CASE
+        WHEN flag_qa IN ('Low', 'Critical') OR flag_prod IN ('Low', 'Critical')
+        THEN agent_id
+    END) as underperformers,
+    COUNT(DISTINCT CASE WHEN flag_qa IN ('Low', 'Critical') THEN agent_id END) as underperformers_qa,
+    COUNT(DISTINCT CASE WHEN flag_prod IN ('Low', 'Critical') THEN agent_id END) as underperformers_prod
+`;
+
+/**
+ * WHERE conditions for the trend filters
+ * filters: parsed data filters (see dataFilters.js) plus
+ * visibleEmails - lowercased emails the caller may see (null = everyone)
+ */
+function buildWhere(filters, params) {
+    let where = 'WHERE 1=1' + dataFilterClause(filters, params);
+
+    if (filters.visibleEmails) {
+        params.push(filters.visibleEmails);
+        where += ` AND LOWER(agent_email) = ANY($${params.length})`;
+    }
+
+    return where;
+}
+
+/**
+ * Numeric series values from an aggregate row
+ */
+function toPoint(row) {
+    return {
+        avgQa: row.avg_qa === null ? null : Number(row.avg_qa),
+        avgProd: row.avg_prod === null ? null : Number(row.avg_prod),
+        aftes: Number(row.aftes),
+        underperformers: Number(row.underperformers),
+        underperformersQa: Number(row.underperformers_qa),
+        underperformersProd: Number(row.underperformers_prod),
+    };
+}
+
+/**
+ * current - previous for each metric (null when either side is missing)
+ */
+function delta(current, previous) {
+    const result = {};
+    TREND_METRICS.forEach(metric => {
+        result[metric] = previous && current[metric] !== null && previous[metric] !== null
+            ? round2(current[metric] - previous[metric])
+            : null;
+    });
+    return result;
+}
+
+/**
+ * Mean of each metric over the points (nulls ignored)
+ */
+function average(points) {
+    const result = {};
+    TREND_METRICS.forEach(metric => {
+        const values = points.map(p => p[metric]).filter(v => v !== null);
+        result[metric] = values.length > 0 ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null;
+    });
+    return result;
+}
+
+/**
+ * Weekly series: deltas against the week 7 days and 4 weeks (28 days) earlier,
+ * rolling average over the last rollingWeeks calendar weeks (missing weeks are skipped, not zero)
+ */
+async function getWeeklyTrend(pool, filters, rollingWeeks) {
+    const params = [];
+    const query = `
+        SELECT start_date, MAX(week_range) as week_range, ${AGGREGATES}
+        FROM consolidations.data_qperform_weekly
+        ${buildWhere(filters, params)}
+        GROUP BY start_date
+        ORDER BY start_date
+    `;
+
+    const result = await pool.query(query, params);
+    const weeks = result.rows.map(row => ({ startDate: row.start_date, weekRange: row.week_range, ...toPoint(row) }));
+    const byDay = new Map(weeks.map(w => [dayNumber(w.startDate), w]));
+
+    return weeks.map(week => {
+        const day = dayNumber(week.startDate);
+        const window = weeks.filter(w => {
+            const daysBack = day - dayNumber(w.startDate);
+            return daysBack >= 0 && daysBack < rollingWeeks * 7;
+        });
+
+        return {
+            ...week,
+            weekOverWeek: delta(week, byDay.get(day - 7)),
+            monthOverMonth: delta(week, byDay.get(day - 28)),
+            rollingAverage: average(window),
+        };
+    });
+}
+
+/**
+ * Monthly series (by the data's month_name / year_num) with month-over-month deltas
+ */
+async function getMonthlyTrend(pool, filters) {
+    const params = [];
+    const query = `
+        SELECT year_num, month_name,
+               TO_DATE(year_num || ' ' || month_name, 'YYYY Month') as month_start,
+               ${AGGREGATES}
+        FROM consolidations.data_qperform_weekly
+        ${buildWhere(filters, params)}
+            AND year_num IS NOT NULL AND month_name IS NOT NULL
+        GROUP BY year_num, month_name
+        ORDER BY month_start
+    `;
+
+    const result = await pool.query(query, params);
+    const months = result.rows.map(row => ({
+        year: row.year_num,
+        month: row.month_name,
+        monthStart: row.month_start,
+        ...toPoint(row),
+    }));
+
+    return months.map((month, i) => {
+        const previous = months[i - 1];
+        const isPreviousMonth = previous &&
+            (month.monthStart.getFullYear() * 12 + month.monthStart.getMonth()) -
+            (previous.monthStart.getFullYear() * 12 + previous.monthStart.getMonth()) === 1;
+
+        return { ...month, monthOverMonth: delta(month, isPreviousMonth ? previous : null) };
+    });
+}
+
+/**
+ * Trend series for clients/categories/tasks and/or agents
+ * filters: data filters, visibleEmails; rollingWeeks defaults to 4
+ */
+async function getTrends(pool, filters = {}, rollingWeeks = DEFAULT_ROLLING_WEEKS) {
+    const [weeks, months] = await Promise.all([
+        getWeeklyTrend(pool, filters, rollingWeeks),
+        getMonthlyTrend(pool, filters),
+    ]);
+
+    return { rollingWeeks, weeks, months };
+}
+
+module.exports = {
+    DEFAULT_ROLLING_WEEKS,
+    MAX_ROLLING_WEEKS,
+    TREND_METRICS,
+    getTrends,
+};
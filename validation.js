@@ -0,0 +1,158 @@
+// validation.js
+// Declarative checks for route params, query strings and JSON bodies
+// A schema maps each field to a rule: { type, required, values, min, max, maxLength, items }
+// Types: string, email, date (YYYY-MM-DD), id (positive whole number), integer, number, boolean,
+// enum (rule.values), array (each entry checked against rule.items) and object
+// Values are checked, never converted: query strings and params stay strings, so an id or integer
+// there is a string of digits and a boolean is 'true' / 'false'. Fields a schema doesn't name are ignored
+
+const { isValidDate } = require('./dataFilters');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function isInteger(value) {
+    if (typeof value === 'number') return Number.isInteger(value);
+    return typeof value === 'string' && INTEGER_PATTERN.test(value);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Problem with one value, or null when it passes
+ * The message is completed by the caller with the field name ("must be a valid email")
+ */
+function checkValue(rule, value, fromString) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (rule.required && value.trim() === '') return 'must not be blank';
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            return null;
+        case 'email':
+            return typeof value === 'string' && EMAIL_PATTERN.test(value) && value.length <= 255
+                ? null : 'must be a valid email address';
+        case 'date':
+            return typeof value === 'string' && isValidDate(value) ? null : 'must be a date (YYYY-MM-DD)';
+        case 'id':
+            return isInteger(value) && Number(value) >= 1 && Number(value) <= 2147483647
+                ? null : 'must be a positive whole number';
+        case 'integer': {
+            if (!isInteger(value)) return 'must be a whole number';
+            const number = Number(value);
+            if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+            if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+            return null;
+        }
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return 'must be a number';
+            if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+            if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+            return null;
+        }
+        case 'boolean':
+            if (fromString) return value === 'true' || value === 'false' ? null : 'must be true or false';
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'enum':
+            return rule.values.includes(value) ? null : `must be one of: ${rule.values.join(', ')}`;
+        case 'array':
+            if (!Array.isArray(value)) return 'must be an array';
+            if (rule.required && value.length === 0) return 'must not be empty';
+            return null;
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        default:
+            throw new Error(`Unknown validation type "${rule.type}"`);
+    }
+}
+
+/**
+ * Check a set of values against a schema
+ * Returns [{ location, field, message }], empty when everything passes
+ */
+function validate(schema, values, location) {
+    const errors = [];
+    const fromString = location !== 'body';
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = values[field];
+
+        if (isBlank(value)) {
+            // An explicit null in a body clears an optional field, so only missing required fields fail
+            if (rule.required) errors.push({ location, field, message: `${field} is required` });
+            return;
+        }
+
+        if (fromString && Array.isArray(value)) {
+            errors.push({ location, field, message: `${field} must be given once` });
+            return;
+        }
+
+        const problem = checkValue(rule, value, fromString);
+        if (problem) {
+            errors.push({ location, field, message: `${field} ${problem}` });
+            return;
+        }
+
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, i) => {
+                const itemProblem = checkValue(rule.items, item, false);
+                if (itemProblem) errors.push({ location, field: `${field}[${i}]`, message: `${field}[${i}] ${itemProblem}` });
+            });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * 400 response listing every failed check
+ * error joins the messages for clients that only show one line; details has them per field
+ */
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        error: errors.map(e => e.message).join('; '),
+        details: errors,
+    });
+}
+
+/**
+ * Middleware: check req.params, req.query and req.body against their schemas and respond 400 on failure
+ * e.g. validateRequest({ params: { warningId: { type: 'id' } }, body: { reason: { type: 'string', required: true } } })
+ * A route with a body schema always sees req.body as an object (an empty one when nothing was sent)
+ */
+function validateRequest(schemas) {
+    Object.keys(schemas).forEach(location => {
+        if (!LOCATIONS.includes(location)) throw new Error(`Unknown request location "${location}"`);
+    });
+
+    return (req, res, next) => {
+        const errors = [];
+
+        if (schemas.body) {
+            if (req.body === undefined) req.body = {};
+            if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+                return sendValidationErrors(res, [{ location: 'body', field: null, message: 'Request body must be a JSON object' }]);
+            }
+        }
+
+        LOCATIONS.forEach(location => {
+            if (schemas[location]) errors.push(...validate(schemas[location], req[location] || {}, location));
+        });
+
+        if (errors.length > 0) return sendValidationErrors(res, errors);
+        next();
+    };
+}
+
+module.exports = {
+    EMAIL_PATTERN,
+    validate,
+    validateRequest,
+    sendValidationErrors,
+};
@@ -0,0 +1,173 @@
+// warningEffectiveness.js
+// Measures whether warnings improve performance
+// Writes consolidations.warning_effectiveness and reports on it
+
+// Weeks after the warning's baseline week that get measured
+const MEASUREMENT_WEEKS = [1, 2, 4];
+
+// Report dimensions -> warnings column (issued_by is the issuing leader)
+const REPORT_DIMENSIONS = {
+    byWarningType: 'warning_type',
+    byWarningSubtype: 'warning_subtype',
+    byClient: 'client',
+    byCategory: 'category',
+    byIssuedBy: 'issued_by',
+};
+
+/**
+ * Measurement job: for every warning, compare the metric score of the week the
+ * warning was issued for (week_start_date, or the latest week on/before issue_date)
+ * with the same metric 1, 2 and 4 weeks later
+ * Only weeks that have data are measured; re-running fills in weeks that were missing
+ */
+async function measureWarningEffectiveness(pool) {
+    const query = `
+        WITH pending AS (
+            SELECT w.id as warning_id, w.agent_email, w.metric_type,
+                   COALESCE(w.week_start_date, w.issue_date) as baseline_date
+            FROM consolidations.warnings w
+            WHERE w.metric_type IN ('QA', 'Production')
+                AND w.issue_date IS NOT NULL
+                AND (SELECT COUNT(*) FROM consolidations.warning_effectiveness e
+                     WHERE e.warning_id = w.id) < $1
+        ),
+        weekly AS (
+            SELECT d.agent_email, d.start_date, MAX(d.agent_id) as agent_id,
+                   AVG(d.kpi_qa) as kpi_qa, AVG(d.kpi_prod) as kpi_prod
+            FROM consolidations.data_qperform_weekly d
+            WHERE d.agent_email IN (SELECT agent_email FROM pending)
+            GROUP BY d.agent_email, d.start_date
+        ),
+        measurements AS (
+            SELECT
+                p.warning_id,
+                b.agent_id,
+                p.agent_email,
+                f.weeks_after,
+                b.start_date as baseline_week,
+                CASE p.metric_type WHEN 'QA' THEN b.kpi_qa ELSE b.kpi_prod END as previous_score,
+                CASE p.metric_type WHEN 'QA' THEN n.kpi_qa ELSE n.kpi_prod END as new_score
+            FROM pending p
+            JOIN LATERAL (
+                SELECT * FROM weekly
+                WHERE weekly.agent_email = p.agent_email AND weekly.start_date <= p.baseline_date
+                ORDER BY weekly.start_date DESC
+                LIMIT 1
+            ) b ON true
+            CROSS JOIN unnest($2::int[]) as f(weeks_after)
+            JOIN weekly n ON n.agent_email = p.agent_email
+                AND n.start_date = b.start_date + f.weeks_after * 7
+        )
+        INSERT INTO consolidations.warning_effectiveness
+        (warning_id, agent_id, agent_email, weeks_after_warning, performance_improved,
+         new_score, previous_score, improvement_percentage, measured_date, notes)
+        SELECT
+            warning_id,
+            agent_id,
+            agent_email,
+            weeks_after,
+            new_score > previous_score,
+            ROUND(new_score, 4),
+            ROUND(previous_score, 4),
+            GREATEST(LEAST(ROUND((new_score - previous_score) / NULLIF(previous_score, 0) * 100, 2), 999.99), -999.99),
+            CURRENT_DATE,
+            'Baseline week ' || TO_CHAR(baseline_week, 'YYYY-MM-DD')
+        FROM measurements
+        WHERE previous_score IS NOT NULL AND new_score IS NOT NULL
+        ON CONFLICT (warning_id, weeks_after_warning) DO NOTHING
+        RETURNING weeks_after_warning, performance_improved
+    `;
+
+    const result = await pool.query(query, [MEASUREMENT_WEEKS.length, MEASUREMENT_WEEKS]);
+
+    const summary = {
+        measured: result.rows.length,
+        improved: result.rows.filter(r => r.performance_improved).length,
+        byWeeksAfter: {},
+    };
+    MEASUREMENT_WEEKS.forEach(weeks => {
+        summary.byWeeksAfter[weeks] = result.rows.filter(r => r.weeks_after_warning === weeks).length;
+    });
+
+    return summary;
+}
+
+/**
+ * Aggregate effectiveness by warning type, subtype, client, category and issuing leader
+ */
+async function getEffectivenessReport(pool, filters = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (filters.weeksAfter) {
+        whereClause += ` AND e.weeks_after_warning = $${paramCount}`;
+        params.push(parseInt(filters.weeksAfter));
+        paramCount++;
+    }
+
+    if (filters.metricType) {
+        whereClause += ` AND w.metric_type = $${paramCount}`;
+        params.push(filters.metricType);
+        paramCount++;
+    }
+
+    if (filters.client) {
+        whereClause += ` AND w.client = $${paramCount}`;
+        params.push(filters.client);
+        paramCount++;
+    }
+
+    if (filters.category) {
+        whereClause += ` AND w.category = $${paramCount}`;
+        params.push(filters.category);
+        paramCount++;
+    }
+
+    if (filters.from) {
+        whereClause += ` AND w.issue_date >= $${paramCount}`;
+        params.push(filters.from);
+        paramCount++;
+    }
+
+    if (filters.to) {
+        whereClause += ` AND w.issue_date <= $${paramCount}`;
+        params.push(filters.to);
+        paramCount++;
+    }
+
+    const buildQuery = (column) => `
+        SELECT
+            w.${column} as group_value,
+            e.weeks_after_warning,
+            COUNT(DISTINCT e.warning_id) as warnings_measured,
+            COUNT(CASE WHEN e.performance_improved THEN 1 END) as improved_count,
+            ROUND(AVG(CASE WHEN e.performance_improved THEN 1.0 ELSE 0.0 END) * 100, 2) as improvement_rate,
+            ROUND(AVG(e.improvement_percentage), 2) as avg_improvement_percentage,
+            ROUND(AVG(e.previous_score) * 100, 2) as avg_previous_score,
+            ROUND(AVG(e.new_score) * 100, 2) as avg_new_score
+        FROM consolidations.warning_effectiveness e
+        JOIN consolidations.warnings w ON w.id = e.warning_id
+        ${whereClause}
+        GROUP BY w.${column}, e.weeks_after_warning
+        ORDER BY w.${column}, e.weeks_after_warning
+    `;
+
+    const dimensions = Object.keys(REPORT_DIMENSIONS);
+    const results = await Promise.all(
+        dimensions.map(dimension => pool.query(buildQuery(REPORT_DIMENSIONS[dimension]), params))
+    );
+
+    const report = {};
+    dimensions.forEach((dimension, i) => {
+        report[dimension] = results[i].rows;
+    });
+
+    return report;
+}
+
+module.exports = {
+    MEASUREMENT_WEEKS,
+    measureWarningEffectiveness,
+    getEffectivenessReport,
+};
@@ -5,7 +5,7 @@
 /**
  * Warning & Recommendation Engine
  *
- * Cases:
+ * Default cases (the escalation ladders are declarative rules, see escalationRules.js):
  * A: 1 Verbal Warning + underperforms again → Second Verbal Warning + Coaching
  * B: 2 Verbal Warnings + underperforms again → Written Warning
  * C: 2 Written Warnings + underperforms again → Employee Offboarding
@@ -13,38 +13,58 @@
  * E: Leader fails procedures again (within warning period) → Second Report + Written Warning
  */
 
+const hierarchy = require('./hierarchy');
+const escalationPolicy = require('./escalationPolicy');
+const { COUNTED_STATUSES } = require('./warningLifecycle');
+const leadershipReports = require('./leadershipReports');
+const escalationRules = require('./escalationRules');
+const { withTransaction } = require('./db');
+const { WEEK_SPAN_DAYS } = require('./dataFilters');
+
 // ====================================
-// CONFIGURATION (needs clarification)
+// CONFIGURATION
 // ====================================
 
-const WARNING_EXPIRATION = {
-    'Verbal': 90, // days - NEEDS CONFIRMATION
-    'Written': 180, // days - NEEDS CONFIRMATION
-    'Coaching': null, // never expires? - NEEDS CONFIRMATION
-};
+// Warning expiration, at-risk threshold/mode and whether coaching counts as an action
+// are read per client/category/date from escalationPolicy (consolidations.escalation_policy)
+
+// Flag values in data_qperform_weekly that count as underperforming
+const UNDERPERFORMING_FLAGS = ['Low', 'Critical'];
+
+const WARNING_TYPES = ['Verbal', 'Written', 'Coaching'];
+
+// Days either side of an underperforming week in which a recorded warning or action counts as the leader acting
+const LEADER_ACTION_WINDOW_DAYS = 7;
 
-// NEEDS CONFIRMATION: Is "at risk" 3 consecutive weeks OR 3 total weeks in month?
-const AT_RISK_THRESHOLD = 3; // weeks
-const AT_RISK_MODE = 'consecutive'; // 'consecutive' or 'total'
+// Warning issued when a recommendation of each default case is actioned
+// (other cases, e.g. C offboarding or the leadership cases, only log the action unless a type is chosen)
+const CASE_WARNING_TYPES = {
+    'First': 'Verbal',
+    'A': 'Verbal',
+    'B': 'Written',
+};
 
-// NEEDS CONFIRMATION: Does Coaching count as an "Action"?
-const COACHING_COUNTS_AS_ACTION = false;
+// Weekly data columns backing each metric type
+const METRIC_COLUMNS = {
+    'QA': { flag: 'flag_qa', kpi: 'kpi_qa' },
+    'Production': { flag: 'flag_prod', kpi: 'kpi_prod' },
+};
 
 /**
  * Get active warnings for an agent
- * Uses existing warnings table
+ * Uses existing warnings table; warnings under appeal still count until resolved
  */
 async function getActiveWarnings(pool, agentEmail, metricType) {
     const query = `
         SELECT * FROM consolidations.warnings
         WHERE agent_email = $1
             AND metric_type = $2
-            AND status = 'Active'
+            AND status = ANY($3)
             AND (expiration_date IS NULL OR expiration_date >= CURRENT_DATE)
         ORDER BY issue_date DESC
     `;
 
-    const result = await pool.query(query, [agentEmail, metricType]);
+    const result = await pool.query(query, [agentEmail, metricType, COUNTED_STATUSES]);
     return result.rows;
 }
 
@@ -56,245 +76,482 @@ function countWarningsByType(warnings, warningType) {
 }
 
 /**
- * Get weeks underperforming for an agent
+ * Get one row per agent per week, by date range and/or month
+ * Agents with several tasks in a week get their worst flag for that week
  */
-async function getWeeksUnderperforming(pool, agentEmail, metricType, monthName, yearNum) {
-    const query = `
-        SELECT COUNT(*) as weeks,
-               COUNT(CASE WHEN flag_${metricType.toLowerCase()} IN ('Low', 'Critical') THEN 1 END) as underperforming_weeks
+async function getAgentWeeks(pool, filters = {}) {
+    let query = `
+        SELECT
+            agent_email,
+            start_date,
+            MAX(agent_id) as agent_id,
+            MAX(agent_name) as agent_name,
+            MAX(client) as client,
+            MAX(category) as category,
+            CASE
+                WHEN BOOL_OR(flag_qa = 'Critical') THEN 'Critical'
+                WHEN BOOL_OR(flag_qa = 'Low') THEN 'Low'
+                ELSE MAX(flag_qa)
+            END as flag_qa,
+            CASE
+                WHEN BOOL_OR(flag_prod = 'Critical') THEN 'Critical'
+                WHEN BOOL_OR(flag_prod = 'Low') THEN 'Low'
+                ELSE MAX(flag_prod)
+            END as flag_prod
         FROM consolidations.data_qperform_weekly
-        WHERE agent_email = $1
-            AND month_name = $2
-            AND year_num = $3
+        WHERE 1=1
     `;
+    const params = [];
+    let paramCount = 1;
+
+    if (filters.weekStartDate && filters.weekEndDate) {
+        query += ` AND start_date BETWEEN $${paramCount} AND $${paramCount + 1}`;
+        params.push(filters.weekStartDate, filters.weekEndDate);
+        paramCount += 2;
+    }
+
+    if (filters.monthName && filters.yearNum) {
+        query += ` AND month_name = $${paramCount} AND year_num = $${paramCount + 1}`;
+        params.push(filters.monthName, parseInt(filters.yearNum));
+        paramCount += 2;
+    }
 
-    const result = await pool.query(query, [agentEmail, monthName, yearNum]);
-    return result.rows[0];
+    if (filters.agentEmails) {
+        query += ` AND agent_email = ANY($${paramCount})`;
+        params.push(filters.agentEmails);
+        paramCount++;
+    }
+
+    query += ` GROUP BY agent_email, start_date ORDER BY agent_email, start_date`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
 }
 
 /**
- * Check if leader has taken action on an underperforming agent
- * Checks both warnings and action_log tables
+ * Whether a week is flagged underperforming on a metric (on either metric when metricType is null)
  */
-async function checkLeaderAction(pool, agentEmail, weekStartDate) {
-    // Check if there's any warning or action logged for this agent around this week
-    const query = `
-        SELECT
-            (SELECT COUNT(*) FROM consolidations.warnings
-             WHERE agent_email = $1
-               AND issue_date >= $2 - INTERVAL '7 days'
-               AND issue_date <= $2 + INTERVAL '7 days') +
-            (SELECT COUNT(*) FROM consolidations.action_log
-             WHERE agent_email = $1
-               AND action_date >= $2 - INTERVAL '7 days'
-               AND action_date <= $2 + INTERVAL '7 days')
-        as action_count
-    `;
-
-    const result = await pool.query(query, [agentEmail, weekStartDate]);
-    return result.rows[0].action_count > 0;
+function isUnderperforming(week, metricType) {
+    const metricTypes = metricType ? [metricType] : Object.keys(METRIC_COLUMNS);
+    return metricTypes.some(type => UNDERPERFORMING_FLAGS.includes(week[METRIC_COLUMNS[type].flag]));
 }
 
 /**
- * CASE A: Second Verbal Warning Path
- * Trigger: 1 Verbal Warning + underperforms again
- * Action: Second Verbal Warning + Coaching/Reinforcement
+ * Summarize a single agent's weeks (ordered by start_date) for one metric (or either, when metricType is null)
+ * Consecutive weeks must be 7 days apart - a missing week breaks the streak
  */
-function evaluateCaseA(warnings) {
-    const verbalWarnings = countWarningsByType(warnings, 'Verbal');
+function summarizeUnderperformance(weeks, metricType) {
+    const summary = {
+        weeks: weeks.length,
+        underperformingWeeks: 0,
+        consecutiveWeeks: 0,
+        lastUnderperformingDate: null,
+        currentlyUnderperforming: false,
+    };
+
+    let streak = 0;
+    let previousDate = null;
+
+    weeks.forEach(week => {
+        const underperforming = isUnderperforming(week, metricType);
+        const startDate = new Date(week.start_date);
+        const adjacent = previousDate && Math.round((startDate - previousDate) / (24 * 60 * 60 * 1000)) === 7;
+
+        if (underperforming) {
+            streak = adjacent && streak > 0 ? streak + 1 : 1;
+            summary.underperformingWeeks++;
+            summary.lastUnderperformingDate = week.start_date;
+        } else {
+            streak = 0;
+        }
 
-    if (verbalWarnings === 1) {
-        return {
-            case: 'A',
-            applies: true,
-            recommendation: 'Second Verbal Warning + Coaching/Reinforcement',
-            priority: 'Medium',
-            details: 'Agent has 1 verbal warning and is underperforming again. Issue second verbal warning and provide coaching.',
-        };
-    }
+        summary.consecutiveWeeks = Math.max(summary.consecutiveWeeks, streak);
+        previousDate = startDate;
+    });
 
-    return { applies: false };
+    summary.currentlyUnderperforming = streak > 0;
+    return summary;
 }
 
 /**
- * CASE B: Written Warning
- * Trigger: 2 Verbal Warnings + underperforms again
- * Action: Written Warning for "Substandard Work"
+ * Get weeks underperforming for an agent in a month
  */
-function evaluateCaseB(warnings) {
-    const verbalWarnings = countWarningsByType(warnings, 'Verbal');
-
-    if (verbalWarnings >= 2) {
-        return {
-            case: 'B',
-            applies: true,
-            recommendation: 'Written Warning - Substandard Work',
-            priority: 'High',
-            details: 'Agent has 2 verbal warnings and is still underperforming. Issue formal written warning for substandard work.',
-        };
-    }
+async function getWeeksUnderperforming(pool, agentEmail, metricType, monthName, yearNum) {
+    const weeks = await getAgentWeeks(pool, { monthName, yearNum, agentEmails: [agentEmail] });
+    return summarizeUnderperformance(weeks, metricType);
+}
 
-    return { applies: false };
+/**
+ * Check if leader has taken action on an underperforming agent
+ * Checks both warnings and action_log tables; coaching only counts when the policy says so
+ */
+async function checkLeaderAction(pool, agentEmail, weekStartDate,
+    coachingCountsAsAction = escalationPolicy.DEFAULT_POLICY.coachingCountsAsAction) {
+    const [acted] = await checkLeaderActions(pool, [{ agentEmail, weekStartDate, coachingCountsAsAction }]);
+    return acted;
 }
 
 /**
- * CASE C: Employee Offboarding
- * Trigger: 2 Written Warnings + underperforms again
- * Action: Prepare Employee Offboarding
+ * checkLeaderAction for many agent-weeks in one query
+ * checks: [{ agentEmail, weekStartDate, coachingCountsAsAction }] - each week under its own policy's setting
+ * Returns a boolean per check, in the same order
  */
-function evaluateCaseC(warnings) {
-    const writtenWarnings = countWarningsByType(warnings, 'Written');
+async function checkLeaderActions(pool, checks) {
+    if (checks.length === 0) return [];
 
-    if (writtenWarnings >= 2) {
-        return {
-            case: 'C',
-            applies: true,
-            recommendation: 'Prepare Employee Offboarding',
-            priority: 'Critical',
-            details: 'Agent has 2 written warnings and continues to underperform. Agent is at risk. Prepare for offboarding process.',
-        };
-    }
+    const query = `
+        SELECT
+            EXISTS (
+                SELECT 1 FROM consolidations.warnings w
+                WHERE w.agent_email = c.agent_email
+                  AND w.issue_date >= c.week_start - $4::int
+                  AND w.issue_date <= c.week_start + $4::int
+                  AND (c.coaching_counts OR w.warning_type IS DISTINCT FROM 'Coaching')
+            ) OR EXISTS (
+                SELECT 1 FROM consolidations.action_log a
+                WHERE a.agent_email = c.agent_email
+                  AND a.action_date >= c.week_start - $4::int
+                  AND a.action_date <= c.week_start + $4::int
+                  AND (c.coaching_counts OR COALESCE(a.action_type, '') NOT ILIKE '%coaching%')
+            ) as acted
+        FROM unnest($1::text[], $2::date[], $3::boolean[]) WITH ORDINALITY
+            as c(agent_email, week_start, coaching_counts, position)
+        ORDER BY c.position
+    `;
 
-    return { applies: false };
+    const result = await pool.query(query, [
+        checks.map(check => check.agentEmail),
+        checks.map(check => check.weekStartDate),
+        checks.map(check => check.coachingCountsAsAction),
+        LEADER_ACTION_WINDOW_DAYS,
+    ]);
+    return result.rows.map(row => row.acted);
 }
 
 /**
- * CASE D: Leadership Behavior Report (First)
- * Trigger: Agent underperforming >2 weeks, NO ACTIONS by leader
- * Action: Director provides Leadership Behavior Report to AVP + Verbal Warning
+ * Fact lookup for escalation rules (see escalationRules.FACTS) about one agent over a week range
+ * context: agentEmail, metricType (null = both metrics, for the Leader ladder), weeks (getAgentWeeks rows),
+ * weekStartDate, client/category, leaderEmail (Leader ladder) and reportsByLeader (cache shared by a batch)
  */
-async function evaluateCaseD(pool, agentEmail, leaderEmail, weeksData) {
-    // Check if agent has been underperforming for >2 weeks
-    const underperformingWeeks = weeksData.filter(w =>
-        w.flag_qa === 'Low' || w.flag_qa === 'Critical' ||
-        w.flag_prod === 'Low' || w.flag_prod === 'Critical'
-    );
+function createFactLookup(pool, context) {
+    const stats = summarizeUnderperformance(context.weeks, context.metricType);
+    let warnings = null;
+
+    const getWarnings = async () => {
+        if (warnings) return warnings;
+
+        const metricTypes = context.metricType ? [context.metricType] : Object.keys(METRIC_COLUMNS);
+        warnings = [];
+        for (const metricType of metricTypes) {
+            warnings.push(...await getActiveWarnings(pool, context.agentEmail, metricType));
+        }
+        return warnings;
+    };
+
+    return async (fact) => {
+        if (fact.startsWith('activeWarnings.')) {
+            const warningType = fact.slice('activeWarnings.'.length);
+            const active = await getWarnings();
+            return warningType === 'total' ? active.length : countWarningsByType(active, warningType);
+        }
+
+        switch (fact) {
+            case 'weeksUnderperforming':
+                return stats.underperformingWeeks;
+            case 'consecutiveWeeks':
+                return stats.consecutiveWeeks;
+            case 'leaderActionTaken': {
+                // Actions are looked for around the first underperforming week, under that week's policy
+                const firstWeek = context.weeks.find(week => isUnderperforming(week, context.metricType));
+                const policy = await escalationPolicy.getPolicy(pool, {
+                    client: firstWeek ? firstWeek.client : context.client,
+                    category: firstWeek ? firstWeek.category : context.category,
+                    asOfDate: firstWeek ? firstWeek.start_date : context.weekStartDate,
+                });
+                return checkLeaderAction(pool, context.agentEmail,
+                    firstWeek ? firstWeek.start_date : context.weekStartDate, policy.coachingCountsAsAction);
+            }
+            case 'activeLeadershipReports': {
+                const cache = context.reportsByLeader || {};
+                if (cache[context.leaderEmail] === undefined) {
+                    cache[context.leaderEmail] = (await leadershipReports.getActiveReports(pool, context.leaderEmail)).length;
+                }
+                return cache[context.leaderEmail];
+            }
+            default:
+                throw new Error(`Unknown rule fact "${fact}"`);
+        }
+    };
+}
 
-    if (underperformingWeeks.length <= 2) {
-        return { applies: false };
+/**
+ * Evaluate a ladder's escalation rules (see escalationRules.js) for one agent
+ * The rule set is picked by the client/category of the agent's latest week in the range;
+ * context.ruleSets caches rule sets across a batch
+ * Returns { result, explanation }: result is the fired rule's recommendation, or { applies: false };
+ * explanation says which rule set was used, the facts looked up and why each rule fired or not
+ */
+async function evaluateLadder(pool, ladder, context) {
+    const latestWeek = context.weeks[context.weeks.length - 1];
+    const client = latestWeek ? latestWeek.client : (context.client || null);
+    const category = latestWeek ? latestWeek.category : (context.category || null);
+
+    const ruleSets = context.ruleSets || {};
+    const scopeKey = `${ladder}|${client}|${category}`;
+    if (!ruleSets[scopeKey]) {
+        ruleSets[scopeKey] = await escalationRules.getRules(pool, { ladder, client, category });
     }
+    const ruleSet = ruleSets[scopeKey];
 
-    // Check if leader has taken ANY action
-    const hasActions = await checkLeaderAction(pool, agentEmail, underperformingWeeks[0].start_date);
+    const evaluation = await escalationRules.evaluateRules(
+        ruleSet.rules,
+        createFactLookup(pool, { ...context, client, category })
+    );
 
-    if (!hasActions) {
-        return {
-            case: 'D',
+    const rule = evaluation.rule;
+    const result = rule
+        ? {
+            case: rule.caseType,
             applies: true,
-            recommendation: 'Leadership Behavior Report + Verbal Warning for Leader',
-            priority: 'High',
-            details: `Agent has been underperforming for ${underperformingWeeks.length} weeks with no documented actions from direct leader. Issue leadership behavior report.`,
-            leaderEmail: leaderEmail,
-        };
+            recommendation: rule.recommendation,
+            priority: rule.priority,
+            details: evaluation.details,
+            ruleId: rule.ruleId || null,
+        }
+        : { applies: false };
+
+    return {
+        result,
+        explanation: {
+            ladder,
+            ruleSet: { source: ruleSet.source, client: ruleSet.client, category: ruleSet.category },
+            firedCase: rule ? rule.caseType : null,
+            facts: evaluation.facts,
+            rules: evaluation.trace,
+        },
+    };
+}
+
+/**
+ * Evaluate the Agent ladder (Cases First/A/B/C by default) for an agent and metric over a week range
+ * options.weeks / options.ruleSets let a batch reuse data it already loaded
+ * Returns { result, explanation } as evaluateLadder
+ */
+async function explainRecommendation(pool, agentEmail, metricType, weekStartDate, weekEndDate, options = {}) {
+    const weeks = options.weeks || await getAgentWeeks(pool, { weekStartDate, weekEndDate, agentEmails: [agentEmail] });
+
+    const evaluation = await evaluateLadder(pool, 'Agent', {
+        agentEmail,
+        metricType,
+        weeks,
+        weekStartDate,
+        ruleSets: options.ruleSets,
+    });
+
+    if (evaluation.result.applies) {
+        Object.assign(evaluation.result, { agentEmail, metricType, weekStartDate, weekEndDate });
     }
+    return evaluation;
+}
 
-    return { applies: false };
+/**
+ * Main function: Generate recommendation for an agent
+ * Returns { applies: false } when no rule fires (a custom ladder without a catch-all rule)
+ */
+async function generateRecommendation(pool, agentEmail, metricType, weekStartDate, weekEndDate, options = {}) {
+    const evaluation = await explainRecommendation(pool, agentEmail, metricType, weekStartDate, weekEndDate, options);
+    return evaluation.result;
+}
+
+/**
+ * Evaluate the Leader ladder (Cases D/E by default) for an agent's direct leader over a week range
+ * context: leaderEmail, weeks (the agent's weeks in the range) and optional reportsByLeader / ruleSets caches
+ * Returns { result, explanation } as evaluateLadder
+ */
+async function explainLeadershipCase(pool, agentEmail, weekStartDate, weekEndDate, context = {}) {
+    const weeks = context.weeks || await getAgentWeeks(pool, { weekStartDate, weekEndDate, agentEmails: [agentEmail] });
+
+    return evaluateLadder(pool, 'Leader', {
+        ...context,
+        agentEmail,
+        metricType: null,
+        weeks,
+        weekStartDate,
+    });
 }
 
 /**
- * CASE E: Leadership Written Warning
- * Trigger: Leader fails procedures again (within warning timeframe)
- * Action: Second Leadership Behavior Report + Written Warning
+ * Save recommendation to database
+ * Returns null when a recommendation for the same agent/metric/week already exists
  */
-async function evaluateCaseE(pool, leaderEmail) {
-    // Check for existing leadership reports
+async function saveRecommendation(pool, recommendation) {
     const query = `
-        SELECT * FROM consolidations.leadership_reports
-        WHERE leader_email = $1
-            AND is_active = true
-            AND (expires_date IS NULL OR expires_date >= CURRENT_DATE)
-        ORDER BY issued_date DESC
+        INSERT INTO consolidations.recommendations
+        (agent_id, agent_email, agent_name, recommendation_type, case_type, metric_type, recommendation_text,
+         priority, generated_date, generated_for_week_start, generated_for_week_end, client, category)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_DATE, $9, $10, $11, $12)
+        ON CONFLICT (agent_email, metric_type, generated_for_week_start, generated_for_week_end)
+            WHERE leader_email IS NULL
+            DO NOTHING
+        RETURNING recommendation_id
     `;
 
-    const result = await pool.query(query, [leaderEmail]);
-    const reports = result.rows;
-
-    if (reports.length >= 1) {
-        return {
-            case: 'E',
-            applies: true,
-            recommendation: 'Second Leadership Behavior Report + Written Warning for Leader',
-            priority: 'Critical',
-            details: 'Leader has failed to follow procedures again within warning period. Issue written warning.',
-            leaderEmail: leaderEmail,
-        };
-    }
+    const values = [
+        recommendation.agentId,
+        recommendation.agentEmail,
+        recommendation.agentName || null,
+        recommendation.recommendation,
+        recommendation.case,
+        recommendation.metricType,
+        recommendation.details,
+        recommendation.priority,
+        recommendation.weekStartDate,
+        recommendation.weekEndDate,
+        recommendation.client || null,
+        recommendation.category || null,
+    ];
 
-    return { applies: false };
+    const result = await pool.query(query, values);
+    return result.rows.length > 0 ? result.rows[0].recommendation_id : null;
 }
 
 /**
- * Main function: Generate recommendation for an agent
+ * Get every agent flagged Low/Critical on QA or Production within a week range
+ * Client/category are taken from the agent's most recent flagged row
  */
-async function generateRecommendation(pool, agentEmail, metricType, weekStartDate, weekEndDate) {
-    try {
-        // Get active warnings
-        const warnings = await getActiveWarnings(pool, agentEmail, metricType);
-
-        // Evaluate cases in priority order (C > B > A)
-        // Case C (most severe) first
-        let result = evaluateCaseC(warnings);
-        if (result.applies) {
-            result.agentEmail = agentEmail;
-            result.metricType = metricType;
-            result.weekStartDate = weekStartDate;
-            result.weekEndDate = weekEndDate;
-            return result;
-        }
+async function getUnderperformingAgents(pool, weekStartDate, weekEndDate) {
+    const query = `
+        SELECT
+            agent_email,
+            MAX(agent_id) as agent_id,
+            MAX(agent_name) as agent_name,
+            (ARRAY_AGG(client ORDER BY start_date DESC) FILTER (
+                WHERE flag_qa = ANY($3) OR flag_prod = ANY($3)))[1] as client,
+            (ARRAY_AGG(category ORDER BY start_date DESC) FILTER (
+                WHERE flag_qa = ANY($3) OR flag_prod = ANY($3)))[1] as category,
+            BOOL_OR(flag_qa = ANY($3)) as underperforming_qa,
+            BOOL_OR(flag_prod = ANY($3)) as underperforming_prod
+        FROM consolidations.data_qperform_weekly
+        WHERE start_date BETWEEN $1 AND $2
+        GROUP BY agent_email
+        HAVING BOOL_OR(flag_qa = ANY($3) OR flag_prod = ANY($3))
+        ORDER BY agent_email
+    `;
 
-        // Case B
-        result = evaluateCaseB(warnings);
-        if (result.applies) {
-            result.agentEmail = agentEmail;
-            result.metricType = metricType;
-            result.weekStartDate = weekStartDate;
-            result.weekEndDate = weekEndDate;
-            return result;
-        }
+    const result = await pool.query(query, [weekStartDate, weekEndDate, UNDERPERFORMING_FLAGS]);
+    return result.rows;
+}
 
-        // Case A
-        result = evaluateCaseA(warnings);
-        if (result.applies) {
-            result.agentEmail = agentEmail;
-            result.metricType = metricType;
-            result.weekStartDate = weekStartDate;
-            result.weekEndDate = weekEndDate;
-            return result;
-        }
+/**
+ * Week a batch recommendation is saved for: the latest of the agent's weeks flagged on the metric
+ * (either metric when metricType is null), else the latest week; {} (keep the range) when there are none
+ * Saving against the week evaluated rather than the requested range is what makes re-runs idempotent:
+ * an overlapping range (Mon-Sun, then Mon-Wed) evaluates the same week and finds it already saved
+ */
+function evaluatedWeek(weeks, metricType) {
+    const week = [...weeks].reverse().find(w => isUnderperforming(w, metricType)) || weeks[weeks.length - 1];
+    if (!week) return {};
+
+    const start = week.start_date;
+    return {
+        weekStartDate: start,
+        weekEndDate: new Date(start.getFullYear(), start.getMonth(), start.getDate() + WEEK_SPAN_DAYS),
+    };
+}
 
-        // If no existing warnings, this is the first underperformance
-        return {
-            case: 'First',
-            applies: true,
-            recommendation: 'First Verbal Warning',
-            priority: 'Low',
-            details: 'Agent is underperforming for the first time. Issue first verbal warning.',
-            agentEmail: agentEmail,
-            metricType: metricType,
-            weekStartDate: weekStartDate,
-            weekEndDate: weekEndDate,
-        };
-
-    } catch (error) {
-        console.error('Error generating recommendation:', error);
-        throw error;
+/**
+ * Batch run: generate and persist recommendations for every underperforming agent in a week range
+ * Idempotent - re-running the same or an overlapping range skips recommendations already saved for a week
+ */
+async function generateWeeklyRecommendations(pool, weekStartDate, weekEndDate) {
+    const agents = await getUnderperformingAgents(pool, weekStartDate, weekEndDate);
+    const weeks = await getAgentWeeks(pool, {
+        weekStartDate,
+        weekEndDate,
+        agentEmails: agents.map(a => a.agent_email),
+    });
+
+    const weeksByAgent = {};
+    weeks.forEach(week => {
+        if (!weeksByAgent[week.agent_email]) weeksByAgent[week.agent_email] = [];
+        weeksByAgent[week.agent_email].push(week);
+    });
+
+    const summary = {
+        weekStartDate,
+        weekEndDate,
+        agentsEvaluated: agents.length,
+        created: 0,
+        skipped: 0,
+        unmatched: 0, // no rule fired (custom ladders without a catch-all rule)
+        cases: { First: 0, A: 0, B: 0, C: 0 },
+        recommendationIds: [],
+    };
+
+    // Rule sets by ladder/client/category, loaded once per batch
+    const ruleSets = {};
+
+    for (const agent of agents) {
+        const metricTypes = [];
+        if (agent.underperforming_qa) metricTypes.push('QA');
+        if (agent.underperforming_prod) metricTypes.push('Production');
+
+        for (const metricType of metricTypes) {
+            const recommendation = await generateRecommendation(
+                pool,
+                agent.agent_email,
+                metricType,
+                weekStartDate,
+                weekEndDate,
+                { weeks: weeksByAgent[agent.agent_email] || [], ruleSets }
+            );
+            if (!recommendation.applies) {
+                summary.unmatched++;
+                continue;
+            }
+
+            recommendation.agentId = agent.agent_id;
+            recommendation.agentName = agent.agent_name;
+            recommendation.client = agent.client;
+            recommendation.category = agent.category;
+            Object.assign(recommendation, evaluatedWeek(weeksByAgent[agent.agent_email], metricType));
+
+            const recommendationId = await saveRecommendation(pool, recommendation);
+            if (recommendationId === null) {
+                summary.skipped++;
+                continue;
+            }
+
+            summary.created++;
+            summary.cases[recommendation.case] = (summary.cases[recommendation.case] || 0) + 1;
+            summary.recommendationIds.push(recommendationId);
+        }
     }
+
+    return summary;
 }
 
 /**
- * Save recommendation to database
+ * Save a Leader ladder (Case D/E) recommendation
+ * Returns null when one already exists for the same leader/agent/week
  */
-async function saveRecommendation(pool, recommendation) {
+async function saveLeadershipRecommendation(pool, recommendation) {
     const query = `
         INSERT INTO consolidations.recommendations
-        (agent_email, recommendation_type, case_type, metric_type, recommendation_text,
-         priority, generated_date, generated_for_week_start, generated_for_week_end)
-        VALUES ($1, $2, $3, $4, $5, $6, CURRENT_DATE, $7, $8)
+        (agent_id, agent_email, agent_name, recommendation_type, case_type, metric_type, recommendation_text,
+         priority, generated_date, generated_for_week_start, generated_for_week_end, client, category,
+         leader_email, leader_name, director_email)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_DATE, $9, $10, $11, $12, $13, $14, $15)
+        ON CONFLICT (leader_email, agent_email, generated_for_week_start, generated_for_week_end)
+            WHERE leader_email IS NOT NULL
+            DO NOTHING
         RETURNING recommendation_id
     `;
 
     const values = [
+        recommendation.agentId,
         recommendation.agentEmail,
+        recommendation.agentName || null,
         recommendation.recommendation,
         recommendation.case,
         recommendation.metricType,
@@ -302,40 +559,286 @@ async function saveRecommendation(pool, recommendation) {
         recommendation.priority,
         recommendation.weekStartDate,
         recommendation.weekEndDate,
+        recommendation.client || null,
+        recommendation.category || null,
+        recommendation.leaderEmail,
+        recommendation.leaderName || null,
+        recommendation.directorEmail || null,
     ];
 
     const result = await pool.query(query, values);
-    return result.rows[0].recommendation_id;
+    return result.rows.length > 0 ? result.rows[0].recommendation_id : null;
+}
+
+/**
+ * Batch run: evaluate the Leader ladder for every agent with a leader
+ * (by default Case D, escalating to Case E when the leader already holds an active leadership report)
+ */
+async function evaluateLeadershipCases(pool, weekStartDate, weekEndDate) {
+    const agents = await hierarchy.getAgentsWithLeaders(pool);
+    const weeks = await getAgentWeeks(pool, {
+        weekStartDate,
+        weekEndDate,
+        agentEmails: agents.map(a => a.agent_email),
+    });
+
+    const weeksByAgent = {};
+    weeks.forEach(week => {
+        if (!weeksByAgent[week.agent_email]) weeksByAgent[week.agent_email] = [];
+        weeksByAgent[week.agent_email].push(week);
+    });
+
+    const summary = {
+        weekStartDate,
+        weekEndDate,
+        leadersEvaluated: new Set(agents.map(a => a.leader_email)).size,
+        agentsEvaluated: agents.length,
+        created: 0,
+        skipped: 0,
+        cases: { D: 0, E: 0 },
+        recommendationIds: [],
+    };
+
+    // Active report counts only depend on the leader, and rule sets on the client/category
+    const reportsByLeader = {};
+    const ruleSets = {};
+
+    for (const agent of agents) {
+        const agentWeeks = weeksByAgent[agent.agent_email];
+        if (!agentWeeks) continue;
+
+        const { result } = await explainLeadershipCase(pool, agent.agent_email, weekStartDate, weekEndDate, {
+            leaderEmail: agent.leader_email,
+            weeks: agentWeeks,
+            reportsByLeader,
+            ruleSets,
+        });
+        if (!result.applies) continue;
+
+        const flaggedQa = agentWeeks.some(w => UNDERPERFORMING_FLAGS.includes(w.flag_qa));
+        const flaggedProd = agentWeeks.some(w => UNDERPERFORMING_FLAGS.includes(w.flag_prod));
+        const latestWeek = agentWeeks[agentWeeks.length - 1];
+
+        result.agentId = latestWeek.agent_id;
+        result.agentEmail = agent.agent_email;
+        result.agentName = agent.agent_name || latestWeek.agent_name;
+        result.metricType = flaggedQa && flaggedProd ? 'Both' : (flaggedQa ? 'QA' : 'Production');
+        Object.assign(result, evaluatedWeek(agentWeeks, null));
+        result.client = latestWeek.client;
+        result.category = latestWeek.category;
+        result.leaderEmail = agent.leader_email;
+        result.leaderName = agent.leader_name;
+        result.directorEmail = agent.director_email;
+
+        const recommendationId = await saveLeadershipRecommendation(pool, result);
+        if (recommendationId === null) {
+            summary.skipped++;
+            continue;
+        }
+
+        summary.created++;
+        summary.cases[result.case] = (summary.cases[result.case] || 0) + 1;
+        summary.recommendationIds.push(recommendationId);
+    }
+
+    return summary;
+}
+
+/**
+ * Derive risk_level from how far past the at-risk threshold an agent is
+ */
+function deriveRiskLevel(qualifyingWeeks, threshold) {
+    if (qualifyingWeeks >= threshold + 2) return 'Critical';
+    if (qualifyingWeeks === threshold + 1) return 'High';
+    return 'Medium';
+}
+
+/**
+ * Detect at-risk agents for a month
+ * Upserts an open at_risk_agents row per agent/metric past the policy's at-risk threshold
+ * (consecutive or total weeks per the policy's at-risk mode) and auto-resolves open rows
+ * for agents whose latest week is no longer underperforming
+ */
+async function detectAtRiskAgents(pool, monthName, yearNum) {
+    const weeks = await getAgentWeeks(pool, { monthName, yearNum });
+
+    const weeksByAgent = {};
+    weeks.forEach(week => {
+        if (!weeksByAgent[week.agent_email]) weeksByAgent[week.agent_email] = [];
+        weeksByAgent[week.agent_email].push(week);
+    });
+
+    const summary = {
+        monthName,
+        yearNum: parseInt(yearNum),
+        agentsEvaluated: Object.keys(weeksByAgent).length,
+        flagged: 0,
+        updated: 0,
+        resolved: 0,
+        riskLevels: { Medium: 0, High: 0, Critical: 0 },
+    };
+
+    const atRiskEmails = [];
+    const atRiskMetrics = [];
+
+    const upsertQuery = `
+        INSERT INTO consolidations.at_risk_agents
+        (agent_id, agent_email, agent_name, metric_type, risk_level, weeks_underperforming,
+         consecutive_weeks, month_name, year_num, last_underperforming_date, flagged_date)
+        SELECT $1::varchar, $2::varchar, $3::varchar, $4::varchar, $5::varchar, $6::int,
+            $7::int, $8::varchar, $9::int, $10::date, CURRENT_DATE
+        WHERE NOT EXISTS (
+            -- Respect a manual resolution unless the agent underperformed again afterwards
+            SELECT 1 FROM consolidations.at_risk_agents
+            WHERE agent_email = $2 AND metric_type = $4 AND month_name = $8 AND year_num = $9
+                AND is_resolved = true AND resolved_date >= $10
+        )
+        ON CONFLICT (agent_email, metric_type, month_name, year_num) WHERE is_resolved = false
+        DO UPDATE SET
+            risk_level = EXCLUDED.risk_level,
+            weeks_underperforming = EXCLUDED.weeks_underperforming,
+            consecutive_weeks = EXCLUDED.consecutive_weeks,
+            last_underperforming_date = EXCLUDED.last_underperforming_date,
+            updated_at = NOW()
+        RETURNING (xmax = 0) as inserted
+    `;
+
+    // Policies differ per client/category, so look each one up once
+    const policies = {};
+
+    for (const agentEmail of Object.keys(weeksByAgent)) {
+        const agentWeeks = weeksByAgent[agentEmail];
+        const latestWeek = agentWeeks[agentWeeks.length - 1];
+
+        const policyKey = `${latestWeek.client}|${latestWeek.category}`;
+        if (!policies[policyKey]) {
+            policies[policyKey] = await escalationPolicy.getPolicy(pool, {
+                client: latestWeek.client,
+                category: latestWeek.category,
+                asOfDate: latestWeek.start_date,
+            });
+        }
+        const policy = policies[policyKey];
+
+        for (const metricType of Object.keys(METRIC_COLUMNS)) {
+            const stats = summarizeUnderperformance(agentWeeks, metricType);
+            const qualifyingWeeks = policy.atRiskMode === 'consecutive'
+                ? stats.consecutiveWeeks
+                : stats.underperformingWeeks;
+
+            if (qualifyingWeeks < policy.atRiskThreshold || !stats.currentlyUnderperforming) continue;
+
+            atRiskEmails.push(agentEmail);
+            atRiskMetrics.push(metricType);
+
+            const riskLevel = deriveRiskLevel(qualifyingWeeks, policy.atRiskThreshold);
+            const result = await pool.query(upsertQuery, [
+                latestWeek.agent_id,
+                agentEmail,
+                latestWeek.agent_name,
+                metricType,
+                riskLevel,
+                stats.underperformingWeeks,
+                stats.consecutiveWeeks,
+                monthName,
+                parseInt(yearNum),
+                stats.lastUnderperformingDate,
+            ]);
+
+            if (result.rows.length === 0) continue;
+            if (result.rows[0].inserted) summary.flagged++;
+            else summary.updated++;
+            summary.riskLevels[riskLevel]++;
+        }
+    }
+
+    const resolveQuery = `
+        UPDATE consolidations.at_risk_agents a
+        SET is_resolved = true,
+            resolved_date = CURRENT_DATE,
+            resolved_by = 'System',
+            notes = CONCAT_WS(E'\n', notes, 'Auto-resolved: agent is no longer underperforming'),
+            updated_at = NOW()
+        WHERE a.month_name = $1
+            AND a.year_num = $2
+            AND a.is_resolved = false
+            AND NOT EXISTS (
+                SELECT 1 FROM unnest($3::text[], $4::text[]) as s(agent_email, metric_type)
+                WHERE s.agent_email = a.agent_email AND s.metric_type = a.metric_type
+            )
+    `;
+
+    const resolved = await pool.query(resolveQuery, [monthName, parseInt(yearNum), atRiskEmails, atRiskMetrics]);
+    summary.resolved = resolved.rowCount;
+
+    return summary;
+}
+
+/**
+ * Manually resolve an at-risk entry
+ * Returns null when the entry does not exist or is already resolved
+ */
+async function resolveAtRiskAgent(pool, atRiskId, resolvedBy, notes) {
+    const query = `
+        UPDATE consolidations.at_risk_agents
+        SET is_resolved = true,
+            resolved_date = CURRENT_DATE,
+            resolved_by = $2,
+            notes = CONCAT_WS(E'\n', notes, $3::text),
+            updated_at = NOW()
+        WHERE at_risk_id = $1 AND is_resolved = false
+        RETURNING *
+    `;
+
+    const result = await pool.query(query, [atRiskId, resolvedBy, notes || null]);
+    return result.rows[0] || null;
 }
 
 /**
  * Record a warning using existing warnings table
+ * Throws on an unknown warningType rather than storing it as a non-expiring level 1 warning
  */
 async function recordWarning(pool, warningData) {
+    if (!WARNING_TYPES.includes(warningData.warningType)) {
+        throw new Error(`Invalid warning type "${warningData.warningType}". Expected one of: ${WARNING_TYPES.join(', ')}`);
+    }
+
     // Calculate warning_level from warning_type for backwards compatibility
-    let warningLevel = 1; // Default to Verbal
+    let warningLevel = 1; // Verbal
     if (warningData.warningType === 'Written') warningLevel = 2;
     else if (warningData.warningType === 'Coaching') warningLevel = 0;
 
-    const expiresDate = warningData.warningType && WARNING_EXPIRATION[warningData.warningType]
-        ? new Date(Date.now() + WARNING_EXPIRATION[warningData.warningType] * 24 * 60 * 60 * 1000)
-        : null;
-
+    // Expiration comes from the policy in effect for the client/category on the issue date,
+    // and is stored on the warning so later policy changes don't rewrite history
+    const issuedDate = warningData.issuedDate || new Date();
+    const policy = await escalationPolicy.getPolicy(pool, {
+        client: warningData.client,
+        category: warningData.category,
+        asOfDate: issuedDate,
+    });
+    const expirationDays = escalationPolicy.getExpirationDays(policy, warningData.warningType);
+
+    // Insert the warning and its first status history row in one statement
     const query = `
-        INSERT INTO consolidations.warnings
-        (agent_email, action_log_id, warning_level, issue_date, expiration_date, status,
-         warning_type, warning_subtype, metric_type, issued_by, notes,
-         week_start_date, week_end_date, client, category)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-        RETURNING id
+        WITH inserted AS (
+            INSERT INTO consolidations.warnings
+            (agent_email, action_log_id, warning_level, issue_date, expiration_date, status,
+             warning_type, warning_subtype, metric_type, issued_by, notes,
+             week_start_date, week_end_date, client, category)
+            VALUES ($1, $2, $3, $4, $4::date + $5::int, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            RETURNING id, status, issued_by
+        )
+        INSERT INTO consolidations.warning_status_history (warning_id, to_status, action, changed_by)
+        SELECT id, status, 'Issued', issued_by FROM inserted
+        RETURNING warning_id as id
     `;
 
     const values = [
         warningData.agentEmail,
         warningData.actionLogId || null, // Link to action_log if provided
         warningLevel,
-        warningData.issuedDate || new Date(),
-        expiresDate,
+        issuedDate,
+        expirationDays,
         'Active',
         warningData.warningType, // 'Verbal', 'Written', 'Coaching'
         warningData.warningSubtype, // e.g., 'Substandard Work - QA'
@@ -352,14 +855,97 @@ async function recordWarning(pool, warningData) {
     return result.rows[0].id;
 }
 
+/**
+ * Action a recommendation in one transaction: log the action, issue the warning for its case
+ * (CASE_WARNING_TYPES, or action.warningType) linked to that action_log entry, and mark the
+ * recommendation actioned with the warning's id. Leadership recommendations only log the action
+ * action: actionedBy, actionedByEmail, notes, warningType, warningSubtype
+ * Returns { recommendation, warningId, actionLogId }, or null when the recommendation doesn't exist or is already actioned
+ */
+async function actionRecommendation(pool, recommendationId, action) {
+    return withTransaction(pool, async (client) => {
+        const existing = await client.query(`
+            SELECT * FROM consolidations.recommendations
+            WHERE recommendation_id = $1 AND is_actioned = false
+            FOR UPDATE
+        `, [recommendationId]);
+        if (existing.rows.length === 0) return null;
+
+        const recommendation = existing.rows[0];
+        const warningType = recommendation.leader_email
+            ? null
+            : action.warningType || CASE_WARNING_TYPES[recommendation.case_type] || null;
+
+        const actionLog = await client.query(`
+            INSERT INTO consolidations.action_log
+            (agent_email, agent_id, client, category, action_type, description, taken_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id
+        `, [
+            recommendation.agent_email,
+            recommendation.agent_id,
+            recommendation.client,
+            recommendation.category,
+            warningType ? `${warningType} Warning` : recommendation.recommendation_type,
+            action.notes || `Actioned recommendation ${recommendationId}: ${recommendation.recommendation_type}`,
+            action.actionedByEmail,
+        ]);
+        const actionLogId = actionLog.rows[0].id;
+
+        let warningId = null;
+        if (warningType) {
+            warningId = await recordWarning(client, {
+                agentEmail: recommendation.agent_email,
+                actionLogId,
+                warningType,
+                warningSubtype: action.warningSubtype || null,
+                metricType: recommendation.metric_type,
+                issuedBy: action.actionedByEmail,
+                notes: action.notes || recommendation.recommendation_text,
+                weekStartDate: recommendation.generated_for_week_start,
+                weekEndDate: recommendation.generated_for_week_end,
+                client: recommendation.client,
+                category: recommendation.category,
+            });
+        }
+
+        const updated = await client.query(`
+            UPDATE consolidations.recommendations
+            SET is_actioned = true,
+                actioned_date = CURRENT_DATE,
+                actioned_by = $2,
+                actioned_by_email = $3,
+                action_notes = $4,
+                warning_id = $5
+            WHERE recommendation_id = $1
+            RETURNING *
+        `, [recommendationId, action.actionedBy, action.actionedByEmail, action.notes || null, warningId]);
+
+        return { recommendation: updated.rows[0], warningId, actionLogId };
+    });
+}
+
 module.exports = {
+    UNDERPERFORMING_FLAGS,
+    LEADER_ACTION_WINDOW_DAYS,
+    WARNING_TYPES,
+    CASE_WARNING_TYPES,
+    METRIC_COLUMNS,
     generateRecommendation,
+    generateWeeklyRecommendations,
+    evaluateLeadershipCases,
     saveRecommendation,
     recordWarning,
+    actionRecommendation,
     getActiveWarnings,
-    evaluateCaseA,
-    evaluateCaseB,
-    evaluateCaseC,
-    evaluateCaseD,
-    evaluateCaseE,
+    getWeeksUnderperforming,
+    getAgentWeeks,
+    isUnderperforming,
+    checkLeaderActions,
+    summarizeUnderperformance,
+    deriveRiskLevel,
+    detectAtRiskAgents,
+    resolveAtRiskAgent,
+    explainRecommendation,
+    explainLeadershipCase,
 };
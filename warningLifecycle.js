@@ -0,0 +1,168 @@
+// warningLifecycle.js
+// Warning status transitions: rescind, appeal, expiry
+// Every transition is recorded in consolidations.warning_status_history
+
+const { withTransaction } = require('./db');
+
+const WARNING_STATUSES = ['Active', 'Under Appeal', 'Rescinded', 'Expired'];
+
+// Statuses that still count towards escalation (a warning under appeal stands until overturned)
+const COUNTED_STATUSES = ['Active', 'Under Appeal'];
+
+// Allowed status transitions (Rescinded and Expired are final)
+const ALLOWED_TRANSITIONS = {
+    'Active': ['Rescinded', 'Under Appeal', 'Expired'],
+    'Under Appeal': ['Active', 'Rescinded', 'Expired'],
+    'Rescinded': [],
+    'Expired': [],
+};
+
+const APPEAL_OUTCOMES = ['Upheld', 'Overturned'];
+
+/**
+ * Whether a warning may move from one status to another
+ */
+function canTransition(fromStatus, toStatus) {
+    return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Get a warning by id
+ */
+async function getWarning(pool, warningId) {
+    const result = await pool.query('SELECT * FROM consolidations.warnings WHERE id = $1', [warningId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Move a warning to a new status and record the transition
+ * Returns null when the warning does not exist; throws when the transition is not allowed
+ */
+async function transitionWarning(pool, warningId, toStatus, change) {
+    return withTransaction(pool, async (client) => {
+        const current = await client.query(
+            'SELECT * FROM consolidations.warnings WHERE id = $1 FOR UPDATE',
+            [warningId]
+        );
+        if (current.rows.length === 0) return null;
+
+        const fromStatus = current.rows[0].status;
+        if (!canTransition(fromStatus, toStatus)) {
+            throw new Error(`Cannot change warning ${warningId} from ${fromStatus} to ${toStatus}`);
+        }
+
+        const updated = await client.query(`
+            UPDATE consolidations.warnings SET status = $2
+            WHERE id = $1
+            RETURNING *
+        `, [warningId, toStatus]);
+
+        const history = await client.query(`
+            INSERT INTO consolidations.warning_status_history
+            (warning_id, from_status, to_status, action, reason, changed_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [warningId, fromStatus, toStatus, change.action, change.reason || null, change.changedBy]);
+
+        return { warning: updated.rows[0], transition: history.rows[0] };
+    });
+}
+
+/**
+ * Rescind a warning - it no longer counts towards escalation
+ */
+async function rescindWarning(pool, warningId, reason, changedBy) {
+    return transitionWarning(pool, warningId, 'Rescinded', { action: 'Rescinded', reason, changedBy });
+}
+
+/**
+ * Open an appeal - the warning keeps counting until the appeal is resolved
+ */
+async function openAppeal(pool, warningId, reason, changedBy) {
+    return transitionWarning(pool, warningId, 'Under Appeal', { action: 'Appeal Opened', reason, changedBy });
+}
+
+/**
+ * Resolve an appeal
+ * Upheld: back to Active (or Expired if it lapsed during the appeal); Overturned: Rescinded
+ */
+async function resolveAppeal(pool, warningId, outcome, notes, changedBy) {
+    let toStatus = 'Rescinded';
+
+    if (outcome === 'Upheld') {
+        const result = await pool.query(`
+            SELECT COALESCE(expiration_date < CURRENT_DATE, false) as lapsed
+            FROM consolidations.warnings WHERE id = $1
+        `, [warningId]);
+        if (result.rows.length === 0) return null;
+
+        toStatus = result.rows[0].lapsed ? 'Expired' : 'Active';
+    }
+
+    return transitionWarning(pool, warningId, toStatus, {
+        action: `Appeal ${outcome}`,
+        reason: notes,
+        changedBy,
+    });
+}
+
+/**
+ * Expiry sweep: mark Active warnings past expiration_date as Expired
+ * Warnings under appeal are left until the appeal is resolved
+ */
+async function expireWarnings(pool, changedBy) {
+    const query = `
+        WITH expired AS (
+            UPDATE consolidations.warnings
+            SET status = 'Expired'
+            WHERE status = 'Active'
+                AND expiration_date < CURRENT_DATE
+            RETURNING id, expiration_date
+        )
+        INSERT INTO consolidations.warning_status_history
+        (warning_id, from_status, to_status, action, reason, changed_by)
+        SELECT id, 'Active', 'Expired', 'Expired',
+               'Passed expiration date ' || TO_CHAR(expiration_date, 'YYYY-MM-DD'), $1
+        FROM expired
+        RETURNING warning_id
+    `;
+
+    const result = await pool.query(query, [changedBy]);
+    return result.rows.map(r => r.warning_id);
+}
+
+/**
+ * Status history of every warning for an agent, oldest first
+ */
+async function getAgentWarningHistory(pool, agentEmail, metricType) {
+    let query = `
+        SELECT h.*, w.warning_type, w.metric_type, w.issue_date, w.expiration_date, w.status as current_status
+        FROM consolidations.warning_status_history h
+        JOIN consolidations.warnings w ON w.id = h.warning_id
+        WHERE w.agent_email = $1
+    `;
+    const params = [agentEmail];
+
+    if (metricType) {
+        query += ` AND w.metric_type = $2`;
+        params.push(metricType);
+    }
+
+    query += ` ORDER BY h.changed_at, h.history_id`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+}
+
+module.exports = {
+    WARNING_STATUSES,
+    COUNTED_STATUSES,
+    APPEAL_OUTCOMES,
+    canTransition,
+    getWarning,
+    rescindWarning,
+    openAppeal,
+    resolveAppeal,
+    expireWarnings,
+    getAgentWarningHistory,
+};
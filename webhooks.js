@@ -0,0 +1,395 @@
+// webhooks.js
+// Outbound webhooks for warning, recommendation and leadership report events
+// Events are written to consolidations.webhook_deliveries in the same transaction as the change
+// that caused them, then POSTed by deliverDue (right after the request, and on a timer for retries)
+//
+// Each request carries:
+//   X-QPerform-Event       event type, e.g. warning.created
+//   X-QPerform-Delivery    delivery id (stable across retries)
+//   X-QPerform-Timestamp   unix seconds when this attempt was signed
+//   X-QPerform-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret>
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+    'warning.created',
+    'recommendation.generated',
+    'recommendation.actioned',
+    'leadership_report.issued',
+];
+
+// Sent only by the test endpoint, whatever the subscription's event types
+const PING_EVENT = 'ping';
+
+// Wait before each retry; a delivery is marked Failed after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const DELIVERY_STATUSES = ['Pending', 'Delivered', 'Failed'];
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// A claimed delivery is not picked up again for this long, so a crashed attempt is retried later
+const CLAIM_LEASE_MINUTES = 5;
+
+const DELIVERY_BATCH_SIZE = 20;
+
+// Stored response text is cut to this length
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Columns returned for subscriptions - the secret is only shown when it is created
+const SUBSCRIPTION_COLUMNS = `
+    subscription_id, url, event_types, description, is_active, created_by, created_at, updated_at
+`;
+
+/**
+ * Problem with a subscription's url / eventTypes, or null when valid
+ * Fields that are undefined are not checked (partial updates)
+ */
+function validateSubscription(subscription) {
+    if (subscription.url !== undefined) {
+        let url;
+        try {
+            url = new URL(subscription.url);
+        } catch (err) {
+            return 'url must be an absolute http(s) URL';
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'url must be an absolute http(s) URL';
+        }
+    }
+
+    if (subscription.eventTypes !== undefined) {
+        if (!Array.isArray(subscription.eventTypes) || subscription.eventTypes.length === 0) {
+            return `eventTypes must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+        const unknown = subscription.eventTypes.filter(type => !WEBHOOK_EVENTS.includes(type));
+        if (unknown.length > 0) {
+            return `Unknown event types: ${unknown.join(', ')}. Expected: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+    }
+
+    if (subscription.secret !== undefined && (typeof subscription.secret !== 'string' || subscription.secret.length < 16)) {
+        return 'secret must be at least 16 characters';
+    }
+
+    return null;
+}
+
+async function listSubscriptions(pool) {
+    const result = await pool.query(`
+        SELECT ${SUBSCRIPTION_COLUMNS} FROM consolidations.webhook_subscriptions
+        ORDER BY subscription_id
+    `);
+    return result.rows;
+}
+
+async function getSubscription(pool, subscriptionId) {
+    const result = await pool.query(`
+        SELECT ${SUBSCRIPTION_COLUMNS} FROM consolidations.webhook_subscriptions
+        WHERE subscription_id = $1
+    `, [subscriptionId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Create a subscription; a secret is generated when none is given
+ * Returns the subscription including its secret
+ */
+async function createSubscription(pool, subscription) {
+    const secret = subscription.secret || crypto.randomBytes(32).toString('hex');
+
+    const result = await pool.query(`
+        INSERT INTO consolidations.webhook_subscriptions (url, event_types, secret, description, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING ${SUBSCRIPTION_COLUMNS}, secret
+    `, [subscription.url, subscription.eventTypes, secret, subscription.description || null, subscription.createdBy]);
+
+    return result.rows[0];
+}
+
+/**
+ * Change a subscription's url, event types, description, secret or active flag
+ * Returns null when it doesn't exist
+ */
+async function updateSubscription(pool, subscriptionId, changes) {
+    const result = await pool.query(`
+        UPDATE consolidations.webhook_subscriptions SET
+            url = COALESCE($2, url),
+            event_types = COALESCE($3, event_types),
+            description = COALESCE($4, description),
+            secret = COALESCE($5, secret),
+            is_active = COALESCE($6, is_active),
+            updated_at = NOW()
+        WHERE subscription_id = $1
+        RETURNING ${SUBSCRIPTION_COLUMNS}
+    `, [
+        subscriptionId,
+        changes.url ?? null,
+        changes.eventTypes ?? null,
+        changes.description ?? null,
+        changes.secret ?? null,
+        changes.isActive ?? null,
+    ]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete a subscription and its delivery log
+ * Returns false when it doesn't exist
+ */
+async function deleteSubscription(pool, subscriptionId) {
+    const result = await pool.query(`
+        DELETE FROM consolidations.webhook_subscriptions WHERE subscription_id = $1
+    `, [subscriptionId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Insert the deliveries of one event; returns the new delivery ids
+ */
+async function queueEvent(pool, eventType, data, options = {}) {
+    const payload = {
+        id: crypto.randomUUID(),
+        type: eventType,
+        occurredAt: new Date().toISOString(),
+        data,
+    };
+
+    const params = [eventType, payload];
+    let query = `
+        INSERT INTO consolidations.webhook_deliveries (subscription_id, event_id, event_type, payload)
+        SELECT subscription_id, ($2::jsonb ->> 'id')::uuid, $1::varchar, $2
+        FROM consolidations.webhook_subscriptions
+        WHERE is_active = true
+    `;
+
+    if (options.subscriptionId) {
+        params.push(options.subscriptionId);
+        query += ` AND subscription_id = $${params.length}`;
+    } else {
+        query += ` AND $1::text = ANY(event_types)`;
+    }
+    query += ` RETURNING delivery_id`;
+
+    const result = await pool.query(query, params);
+    return result.rows.map(row => row.delivery_id);
+}
+
+/**
+ * Queue an event for every active subscription to its type
+ * (or for one subscription with options.subscriptionId)
+ * Call with the transaction's client so the event only goes out if the change commits
+ * Returns the number of deliveries queued
+ */
+async function emitEvent(pool, eventType, data, options = {}) {
+    return (await queueEvent(pool, eventType, data, options)).length;
+}
+
+/**
+ * Queue one event per recommendation (e.g. the ids a batch run created)
+ */
+async function emitRecommendationEvents(pool, eventType, recommendationIds) {
+    if (recommendationIds.length === 0) return 0;
+
+    const result = await pool.query(`
+        SELECT * FROM consolidations.recommendations
+        WHERE recommendation_id = ANY($1)
+        ORDER BY recommendation_id
+    `, [recommendationIds]);
+
+    let queued = 0;
+    for (const recommendation of result.rows) {
+        queued += await emitEvent(pool, eventType, { recommendation });
+    }
+    return queued;
+}
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Claim deliveries that are due (only deliveryId when given), pushing their next attempt out by the lease
+ * Deliveries of inactive subscriptions stay Pending until the subscription is reactivated
+ */
+async function claimDueDeliveries(pool, limit, deliveryId = null) {
+    const result = await pool.query(`
+        UPDATE consolidations.webhook_deliveries d
+        SET attempts = d.attempts + 1,
+            next_attempt_at = NOW() + $2::int * INTERVAL '1 minute'
+        FROM consolidations.webhook_subscriptions s
+        WHERE s.subscription_id = d.subscription_id
+            AND d.delivery_id IN (
+                SELECT pending.delivery_id
+                FROM consolidations.webhook_deliveries pending
+                JOIN consolidations.webhook_subscriptions active
+                    ON active.subscription_id = pending.subscription_id AND active.is_active = true
+                WHERE pending.status = 'Pending' AND pending.next_attempt_at <= NOW()
+                    AND ($3::int IS NULL OR pending.delivery_id = $3)
+                ORDER BY pending.next_attempt_at
+                LIMIT $1
+                FOR UPDATE OF pending SKIP LOCKED
+            )
+        RETURNING d.*, s.url, s.secret
+    `, [limit, CLAIM_LEASE_MINUTES, deliveryId]);
+
+    return result.rows;
+}
+
+/**
+ * POST one delivery; resolves to { ok, statusCode, response, error }
+ */
+async function postDelivery(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'QPerform-Webhooks/1.0',
+                'X-QPerform-Event': delivery.event_type,
+                'X-QPerform-Delivery': String(delivery.delivery_id),
+                'X-QPerform-Timestamp': String(timestamp),
+                'X-QPerform-Signature': sign(delivery.secret, timestamp, body),
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        const text = await response.text();
+
+        return {
+            ok: response.ok,
+            statusCode: response.status,
+            response: text.slice(0, MAX_RESPONSE_LENGTH),
+            error: response.ok ? null : `HTTP ${response.status}`,
+        };
+    } catch (err) {
+        return { ok: false, statusCode: null, response: null, error: err.message };
+    }
+}
+
+/**
+ * Record the outcome of an attempt: Delivered, Pending with the next backoff, or Failed when out of attempts
+ */
+async function recordAttempt(pool, delivery, outcome) {
+    let status = 'Delivered';
+    let retryMinutes = null;
+    if (!outcome.ok) {
+        status = delivery.attempts >= MAX_ATTEMPTS ? 'Failed' : 'Pending';
+        retryMinutes = status === 'Pending' ? RETRY_DELAYS_MINUTES[delivery.attempts - 1] : null;
+    }
+
+    await pool.query(`
+        UPDATE consolidations.webhook_deliveries SET
+            status = $2::varchar,
+            last_attempt_at = NOW(),
+            last_status_code = $3,
+            last_response = $4,
+            last_error = $5,
+            next_attempt_at = CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + $6::int * INTERVAL '1 minute' END,
+            delivered_at = CASE WHEN $2::varchar = 'Delivered' THEN NOW() ELSE NULL END
+        WHERE delivery_id = $1
+    `, [delivery.delivery_id, status, outcome.statusCode, outcome.response, outcome.error, retryMinutes]);
+
+    return status;
+}
+
+/**
+ * POST a claimed delivery and record the outcome; returns { status, statusCode, error }
+ */
+async function attemptDelivery(pool, delivery) {
+    const outcome = await postDelivery(delivery);
+    const status = await recordAttempt(pool, delivery, outcome);
+
+    if (!outcome.ok) {
+        console.error(`❌ Webhook delivery ${delivery.delivery_id} (${delivery.event_type}) to ${delivery.url} failed: ${outcome.error}`);
+    }
+    return { status, statusCode: outcome.statusCode, error: outcome.error };
+}
+
+/**
+ * Attempt every delivery that is due (new events and retries)
+ * Returns { attempted, delivered, retrying, failed }
+ */
+async function deliverDue(pool) {
+    const summary = { attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+
+    let deliveries = await claimDueDeliveries(pool, DELIVERY_BATCH_SIZE);
+    while (deliveries.length > 0) {
+        for (const delivery of deliveries) {
+            const { status } = await attemptDelivery(pool, delivery);
+
+            summary.attempted++;
+            if (status === 'Delivered') summary.delivered++;
+            else if (status === 'Pending') summary.retrying++;
+            else summary.failed++;
+        }
+        deliveries = await claimDueDeliveries(pool, DELIVERY_BATCH_SIZE);
+    }
+
+    return summary;
+}
+
+/**
+ * Queue a ping to one subscription and attempt just that delivery now, leaving other due deliveries
+ * to dispatch / the scheduler; a failed ping is retried like any other delivery
+ * Returns { deliveryId, status, statusCode, error }, or null when the subscription is missing or inactive
+ */
+async function pingSubscription(pool, subscriptionId) {
+    const [deliveryId] = await queueEvent(pool, PING_EVENT, { subscriptionId }, { subscriptionId });
+    if (!deliveryId) return null;
+
+    const [delivery] = await claimDueDeliveries(pool, 1, deliveryId);
+    if (!delivery) return { deliveryId, status: 'Pending', statusCode: null, error: null };
+
+    return { deliveryId, ...(await attemptDelivery(pool, delivery)) };
+}
+
+/**
+ * Run deliverDue in the background, logging instead of throwing
+ * Used right after a request queues events, so the response isn't held up by slow receivers
+ */
+function dispatch(pool) {
+    deliverDue(pool).catch(err => console.error('❌ Webhook dispatch failed:', err.message));
+}
+
+/**
+ * Put a delivery back in the queue for an immediate attempt, with a fresh set of retries
+ * Returns null when it doesn't exist
+ */
+async function retryDelivery(pool, deliveryId) {
+    const result = await pool.query(`
+        UPDATE consolidations.webhook_deliveries SET
+            status = 'Pending',
+            attempts = 0,
+            next_attempt_at = NOW(),
+            delivered_at = NULL
+        WHERE delivery_id = $1
+        RETURNING *
+    `, [deliveryId]);
+
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    MAX_ATTEMPTS,
+    DELIVERY_STATUSES,
+    validateSubscription,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    emitEvent,
+    emitRecommendationEvents,
+    deliverDue,
+    pingSubscription,
+    dispatch,
+    retryDelivery,
+};